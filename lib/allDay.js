@@ -0,0 +1,73 @@
+// ===============================
+// VertiDog KDS – All-day item counts
+// ===============================
+//
+// "All day" is the kitchen's running total of what's still to make across every ticket on
+// the line, so the fryer cook can drop six fries at once instead of adding up bubbles by
+// eye. Counts cover items not yet completed on working orders (new, in-progress,
+// recalled), grouped by display name, variation and modifiers: "VD ORIG + no onion" and
+// plain "VD ORIG" are different batches, as are a Regular and a Jumbo. Scheduled orders
+// aren't counted until they fire, and items flagged as 86'd aren't counted at all, since
+// there's nothing to make them from.
+
+const { isWorking } = require("./orderStateMachine");
+
+function toQuantity(value) {
+  const n = Number(value ?? 1);
+  return Number.isFinite(n) && n > 0 ? n : 1;
+}
+
+function normalizeText(text) {
+  return String(text || "").replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+// describeItem gives the menu display fields for an item (see lib/menuDisplay.js). A
+// station limits the counts to that station's items; expo and no station count everything.
+function buildAllDayCounts(orders, { describeItem, station = null } = {}) {
+  const groups = new Map();
+  const scoped = Boolean(station && station !== "expo");
+
+  (orders || []).forEach((order) => {
+    if (!order || !isWorking(order.status)) return;
+    (order.items || []).forEach((item) => {
+      if (item.completed || item.eightySixed) return;
+      if (scoped && item.station !== station) return;
+
+      const display = describeItem(item);
+      const name = display.displayName || item.name || "Item";
+      const variationName = item.variationName || null;
+      const modifiers = (display.displayModifiers || []).slice().sort((a, b) =>
+        normalizeText(a).localeCompare(normalizeText(b))
+      );
+      const key = [normalizeText(name), normalizeText(variationName), ...modifiers.map(normalizeText)].join("|");
+
+      let group = groups.get(key);
+      if (!group) {
+        group = {
+          key,
+          name,
+          variationName,
+          modifiers,
+          station: item.station || null,
+          quantity: 0,
+          orderNumbers: [],
+        };
+        groups.set(key, group);
+      }
+      group.quantity += toQuantity(item.quantity);
+      if (!group.orderNumbers.includes(order.orderNumber)) group.orderNumbers.push(order.orderNumber);
+    });
+  });
+
+  // Biggest batches first; same-size batches in name order so rows don't jump around
+  const items = [...groups.values()].sort(
+    (a, b) => b.quantity - a.quantity || a.key.localeCompare(b.key)
+  );
+  return {
+    station: scoped ? station : null,
+    items,
+    totalQuantity: items.reduce((sum, g) => sum + g.quantity, 0),
+  };
+}
+
+module.exports = { buildAllDayCounts };
@@ -0,0 +1,113 @@
+// ===============================
+// VertiDog KDS – Customer display push channel
+// ===============================
+//
+// Read-only Server-Sent Events stream for the customer display (cds.html). It only ever
+// carries order id, number, status and ready time: the screen faces the dining room, so item
+// names, notes and customer details never leave the kitchen side. Numbers repeat across
+// locations and business days, so the display keeps track of orders by id.
+//
+// A new subscriber gets a `snapshot` event, then one `order` event per change a customer
+// would actually see (number, status or ready time), and a `wait` event when the kitchen's
+// estimated wait changes. Comment lines keep proxies from closing an idle stream. A display
+// subscribed for one location only hears about that location's orders and wait.
+
+function toCustomerView(order) {
+  return {
+    orderId: order.orderId,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    readyAt: order.readyAt || null,
+  };
+}
+
+// getOrders(location) lists orders for a snapshot (location null = all); locationOf(order)
+// says which location an order belongs to; getWait(location) gives the estimated wait as
+// { minutes, behind }, or null
+function createCdsChannel({ getOrders, locationOf = () => null, getWait = () => null, keepAliveMs = 25000 }) {
+  // response -> location it subscribed to (null = every location)
+  const clients = new Map();
+  // response -> the wait it was last sent
+  const lastWait = new Map();
+  // What each order last looked like to customers, so kitchen-only changes aren't pushed
+  const lastSent = new Map();
+  let keepAliveTimer = null;
+
+  function send(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function getSnapshot(location = null) {
+    return getOrders(location).map(toCustomerView);
+  }
+
+  function handleStream(req, res, location = null) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // don't let a proxy buffer the stream
+    });
+    res.write("retry: 3000\n\n");
+    const wait = getWait(location);
+    send(res, "snapshot", { orders: getSnapshot(location), wait, location, at: Date.now() });
+
+    clients.set(res, location);
+    lastWait.set(res, JSON.stringify(wait));
+    req.on("close", () => {
+      clients.delete(res);
+      lastWait.delete(res);
+    });
+  }
+
+  function publish(order) {
+    if (!order?.orderId || !order.orderNumber) return;
+    const view = toCustomerView(order);
+    const key = `${view.orderNumber}|${view.status}|${view.readyAt}`;
+    if (lastSent.get(order.orderId) === key) return;
+    lastSent.set(order.orderId, key);
+
+    const orderLocation = locationOf(order);
+    clients.forEach((location, res) => {
+      if (!location || location === orderLocation) send(res, "order", view);
+    });
+  }
+
+  // Tell each display its wait, if that changed since the last one it got
+  function publishWait() {
+    const byLocation = new Map();
+    clients.forEach((location, res) => {
+      if (!byLocation.has(location)) byLocation.set(location, getWait(location));
+      const wait = byLocation.get(location);
+      const json = JSON.stringify(wait);
+      if (lastWait.get(res) === json) return;
+      lastWait.set(res, json);
+      send(res, "wait", wait);
+    });
+  }
+
+  // Archived orders are long gone from the display; just stop tracking them
+  function forget(orderId) {
+    lastSent.delete(orderId);
+  }
+
+  function start() {
+    if (keepAliveTimer) return;
+    keepAliveTimer = setInterval(() => {
+      for (const res of clients.keys()) res.write(": keep-alive\n\n");
+    }, keepAliveMs);
+    keepAliveTimer.unref();
+  }
+
+  function stop() {
+    if (keepAliveTimer) clearInterval(keepAliveTimer);
+    keepAliveTimer = null;
+    for (const res of clients.keys()) res.end();
+    clients.clear();
+    lastWait.clear();
+  }
+
+  return { handleStream, publish, publishWait, forget, getSnapshot, start, stop };
+}
+
+module.exports = { createCdsChannel, toCustomerView };
@@ -0,0 +1,148 @@
+// ===============================
+// VertiDog KDS – ESC/POS ticket rendering
+// ===============================
+//
+// Turns a station's view of an order (see viewOrderForStation in server.js) into the raw
+// bytes a thermal receipt printer understands. Only the handful of commands every ESC/POS
+// printer supports are used: init, alignment, bold, double size, feed and cut. Text is
+// sent as plain ASCII; accents are stripped and anything else becomes "?", since printers
+// disagree on code pages.
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+const COMMANDS = {
+  init: Buffer.from([ESC, 0x40]),
+  alignLeft: Buffer.from([ESC, 0x61, 0]),
+  alignCenter: Buffer.from([ESC, 0x61, 1]),
+  boldOn: Buffer.from([ESC, 0x45, 1]),
+  boldOff: Buffer.from([ESC, 0x45, 0]),
+  sizeNormal: Buffer.from([GS, 0x21, 0x00]),
+  sizeDouble: Buffer.from([GS, 0x21, 0x11]),
+  sizeTall: Buffer.from([GS, 0x21, 0x01]),
+  // Feed to the cutter, then a partial cut
+  cut: Buffer.from([GS, 0x56, 66, 3]),
+};
+
+function toPrintable(text) {
+  return String(text ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[\r\t]/g, " ")
+    .replace(/[^\x20-\x7e\n]/g, "?");
+}
+
+// Word-wrap to the paper width; continuation lines get the same indent
+function wrap(text, width, indent = "") {
+  const lines = [];
+  toPrintable(text)
+    .split("\n")
+    .forEach((paragraph) => {
+      let line = indent;
+      paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+        while (word.length > width - indent.length) {
+          if (line.trim()) lines.push(line);
+          lines.push(indent + word.slice(0, width - indent.length));
+          word = word.slice(width - indent.length);
+          line = indent;
+        }
+        if (!word) return;
+        const candidate = line.trim() ? `${line} ${word}` : `${indent}${word}`;
+        if (candidate.length > width) {
+          lines.push(line);
+          line = `${indent}${word}`;
+        } else {
+          line = candidate;
+        }
+      });
+      if (line.trim()) lines.push(line);
+    });
+  return lines;
+}
+
+function formatTime(ts, timeZone) {
+  if (!ts) return "";
+  return new Intl.DateTimeFormat("en-US", { hour: "numeric", minute: "2-digit", timeZone }).format(new Date(ts));
+}
+
+function createWriter() {
+  const parts = [];
+  return {
+    raw(buffer) {
+      parts.push(buffer);
+    },
+    line(text = "") {
+      parts.push(Buffer.from(`${toPrintable(text)}\n`, "ascii"));
+    },
+    toBuffer() {
+      return Buffer.concat(parts);
+    },
+  };
+}
+
+// kind is "ticket" (a new order reaching the line), "reprint", or "ready" (the short chit
+// expo gets when the last station finishes)
+function renderTicket(order, { kind = "ticket", station = null, width = 42, timeZone, shopName = null } = {}) {
+  const out = createWriter();
+  const rule = "-".repeat(width);
+  out.raw(COMMANDS.init);
+  out.raw(COMMANDS.alignCenter);
+
+  if (kind === "ready") {
+    out.raw(COMMANDS.boldOn);
+    out.line("READY");
+    out.raw(COMMANDS.sizeDouble);
+    out.line(`#${order.orderNumber}`);
+    out.raw(COMMANDS.sizeNormal);
+    out.raw(COMMANDS.boldOff);
+    if (order.diningOption) out.line(order.diningOption);
+    out.line(formatTime(order.readyAt || Date.now(), timeZone));
+    out.raw(COMMANDS.cut);
+    return out.toBuffer();
+  }
+
+  if (shopName) out.line(shopName);
+  if (kind === "reprint") out.line("*** REPRINT ***");
+  out.raw(COMMANDS.sizeDouble);
+  out.raw(COMMANDS.boldOn);
+  out.line(`#${order.orderNumber}`);
+  out.raw(COMMANDS.sizeNormal);
+  if (order.diningOption) out.line(order.diningOption);
+  out.raw(COMMANDS.boldOff);
+  if (station && station !== "expo") out.line(`Station: ${station.toUpperCase()}`);
+  if (order.isPrioritized) out.line("!! PRIORITY !!");
+  const placed = formatTime(order.firedAt || order.createdAt, timeZone);
+  const pickup = order.pickupAt ? ` - pickup ${formatTime(order.pickupAt, timeZone)}` : "";
+  out.line(`${placed}${pickup}`);
+
+  out.raw(COMMANDS.alignLeft);
+  out.line(rule);
+  (order.items || []).forEach((item) => {
+    const qty = Number(item.quantity ?? 1);
+    const name = item.displayName || item.name || "Item";
+    const variant = item.variationName ? ` (${item.variationName})` : "";
+    out.raw(COMMANDS.boldOn);
+    out.raw(COMMANDS.sizeTall);
+    wrap(`${Number.isFinite(qty) ? qty : 1}x ${name}${variant}`, width).forEach((l) => out.line(l));
+    out.raw(COMMANDS.sizeNormal);
+    out.raw(COMMANDS.boldOff);
+    const modifiers = Array.isArray(item.displayModifiers) ? item.displayModifiers : item.modifiers || [];
+    modifiers.filter(Boolean).forEach((mod) => wrap(`+ ${mod}`, width, "   ").forEach((l) => out.line(l)));
+    if (item.note) wrap(`* ${item.note}`, width, "   ").forEach((l) => out.line(l));
+    if (item.eightySixed) out.line("   !! 86'd - check with customer");
+  });
+  out.line(rule);
+
+  if (order.notes) {
+    out.raw(COMMANDS.boldOn);
+    out.line("NOTES");
+    out.raw(COMMANDS.boldOff);
+    wrap(order.notes, width).forEach((l) => out.line(l));
+    out.line(rule);
+  }
+
+  out.raw(COMMANDS.cut);
+  return out.toBuffer();
+}
+
+module.exports = { renderTicket, toPrintable, wrap, COMMANDS };
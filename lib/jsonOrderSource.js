@@ -0,0 +1,177 @@
+// ===============================
+// VertiDog KDS – Generic JSON order source
+// ===============================
+//
+// An order source adapter (see lib/orderSources.js) for anything that isn't Square: a
+// kiosk, a delivery platform bridge, a catering form. Each one is configured with an id,
+// a badge label and a shared secret (KDS_ORDER_SOURCES="kiosk=s3cret,doordash:DoorDash=..."),
+// and posts its orders to POST /webhooks/orders/<id>.
+//
+// Authentication, either of:
+//
+//   X-KDS-Signature: sha256=<hex HMAC-SHA256 of the exact request body, keyed with the secret>
+//   X-KDS-Secret: <the secret>          for senders that can't sign (use HTTPS)
+//
+// Body:
+//
+//   {
+//     "eventId": "evt-1029",            optional; a redelivery with the same id is ignored
+//     "type": "order.created",          order.created, order.updated or order.cancelled
+//     "order": {
+//       "id": "A-1001",                 required, unique within the source; letters, digits, _ . : -
+//       "locationId": "L1AB",           optional; the default location otherwise
+//       "status": "open",               "cancelled" cancels the ticket, like order.cancelled
+//       "diningOption": "pickup",       "to go", "dine in", "delivery", ... or any text
+//       "notes": "Birthday, add candle",
+//       "customer": { "name": "Sam", "phone": "+15551234567", "email": "sam@example.com" },
+//       "pickupAt": "2026-10-19T18:30:00Z",   ISO time or epoch ms; omit for ASAP
+//       "prepTimeMinutes": 20,          how long before pickupAt to start it
+//       "items": [
+//         {
+//           "name": "Chili Dog",        required
+//           "quantity": 2,              whole number 1-99, default 1
+//           "variationName": "Jumbo",
+//           "modifiers": ["No onion", "Extra cheese"],
+//           "note": "Well done",
+//           "catalogObjectId": "SKU-17",  matches the 86 list and menu like a Square catalog id
+//           "category": "Hot Dogs"        used for station routing
+//         }
+//       ]
+//     }
+//   }
+//
+// "items" can be left out of an update to keep the ones already on the ticket. A body that
+// doesn't fit is answered 400 with the list of problems. The KDS order id is
+// "<source id>-<order.id>", so two sources can't collide.
+
+const crypto = require("crypto");
+const { OrderSourceError, normalizeDiningOption } = require("./orderSources");
+const { normalizeItem, optionalText } = require("./manualOrders");
+
+const MAX_ITEMS = 50;
+const MAX_PREP_MINUTES = 24 * 60;
+// Order ids end up in URLs, file names and the screens' markup, so they stay plain
+const ORDER_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+
+// The X-KDS-Signature value for a body, for senders and test tools
+function signJsonOrderPayload(rawBody, secret) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(rawBody).digest("hex")}`;
+}
+
+function safeEqual(a, b) {
+  const aBuf = Buffer.from(String(a));
+  const bBuf = Buffer.from(String(b));
+  return aBuf.length === bBuf.length && crypto.timingSafeEqual(aBuf, bBuf);
+}
+
+function parsePickupAt(value, errors) {
+  if (value === undefined || value === null || value === "") return null;
+  const ts = typeof value === "number" ? value : Date.parse(String(value));
+  if (!Number.isFinite(ts)) {
+    errors.push("order.pickupAt must be an ISO time or epoch milliseconds");
+    return null;
+  }
+  return ts;
+}
+
+function parseCustomer(value, errors) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== "object" || Array.isArray(value)) {
+    errors.push("order.customer must be an object");
+    return null;
+  }
+  const customer = {
+    name: optionalText(value.name, 100, "order.customer.name", errors),
+    phone: optionalText(value.phone, 30, "order.customer.phone", errors),
+    email: optionalText(value.email, 254, "order.customer.email", errors),
+  };
+  return customer.name || customer.phone || customer.email ? customer : null;
+}
+
+function createJsonOrderSource({ id, label = id, secret, defaultPrepMs = 15 * 60 * 1000 }) {
+  if (!secret) throw new Error(`Order source ${id} needs a secret`);
+
+  function verify(req) {
+    const signature = req.get("x-kds-signature");
+    if (signature) return Boolean(req.rawBody) && safeEqual(signature, signJsonOrderPayload(req.rawBody, secret));
+    const presented = req.get("x-kds-secret");
+    return Boolean(presented) && safeEqual(presented, secret);
+  }
+
+  async function parse(body) {
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      throw new OrderSourceError("Body must be a JSON object");
+    }
+    const order = body.order;
+    if (!order || typeof order !== "object" || Array.isArray(order)) {
+      throw new OrderSourceError("Invalid order", ["order must be an object"]);
+    }
+    const errors = [];
+
+    const sourceOrderId = optionalText(
+      typeof order.id === "number" ? String(order.id) : order.id,
+      64,
+      "order.id",
+      errors
+    );
+    if (!sourceOrderId) errors.push("order.id is required");
+    else if (!ORDER_ID_PATTERN.test(sourceOrderId)) {
+      errors.push("order.id may only use letters, digits and _ . : -");
+    }
+
+    let items = null;
+    if (order.items !== undefined && order.items !== null) {
+      if (!Array.isArray(order.items)) {
+        errors.push("order.items must be a list");
+      } else if (order.items.length > MAX_ITEMS) {
+        errors.push(`order.items can list at most ${MAX_ITEMS} items`);
+      } else {
+        items = order.items
+          .map((item, i) => normalizeItem(item, `order.items[${i}]`, errors))
+          .filter(Boolean);
+      }
+    }
+
+    const pickupAt = parsePickupAt(order.pickupAt, errors);
+    let prepTimeMs = defaultPrepMs;
+    if (order.prepTimeMinutes !== undefined && order.prepTimeMinutes !== null) {
+      const minutes = Number(order.prepTimeMinutes);
+      if (!Number.isFinite(minutes) || minutes < 0 || minutes > MAX_PREP_MINUTES) {
+        errors.push(`order.prepTimeMinutes must be between 0 and ${MAX_PREP_MINUTES}`);
+      } else {
+        prepTimeMs = minutes * 60000;
+      }
+    }
+
+    const status = optionalText(order.status, 40, "order.status", errors);
+    const diningOption = optionalText(order.diningOption, 40, "order.diningOption", errors);
+    const result = {
+      orderId: `${id}-${sourceOrderId}`,
+      locationId: optionalText(order.locationId, 64, "order.locationId", errors),
+      items,
+      diningOption: normalizeDiningOption(diningOption),
+      notes: order.notes === undefined ? null : optionalText(order.notes, 500, "order.notes", errors) || "",
+      customer: parseCustomer(order.customer, errors),
+      schedule: pickupAt === null ? null : { pickupAt, prepTimeMs, fireAt: pickupAt - prepTimeMs },
+      cancelled:
+        /cancel/i.test(String(body.type || "")) || /^cancell?ed$/i.test(status || ""),
+      state: status ? status.toLowerCase() : null,
+      fields: {},
+    };
+
+    if (errors.length > 0) throw new OrderSourceError("Invalid order", errors);
+    return result;
+  }
+
+  return {
+    id,
+    label,
+    verify,
+    eventId: (body) => (body?.eventId === undefined || body?.eventId === null ? null : String(body.eventId)),
+    eventType: (body) => String(body?.type || "unknown"),
+    eventTypes: ["order.created", "order.updated", "order.cancelled"],
+    parse,
+  };
+}
+
+module.exports = { createJsonOrderSource, signJsonOrderPayload };
@@ -0,0 +1,100 @@
+// ===============================
+// VertiDog KDS – Structured logging
+// ===============================
+//
+// One JSON object per line on stdout (warnings and errors on stderr), so the hosting
+// platform's log search can filter by level, request id or order:
+//
+//   {"time":"2026-01-02T18:04:11.120Z","level":"info","msg":"Order ready","orderNumber":"012"}
+//
+// Fields go in an object after the message. Anything that identifies a customer (phone,
+// email, names on the fulfillment, addresses) and anything secret (PINs, tokens, cookies)
+// is replaced with "[redacted]" wherever it sits in the fields, since webhook bodies and
+// orders get logged whole at debug level.
+//
+// KDS_LOG_LEVEL picks the lowest level written (debug, info, warn, error; default info).
+// KDS_LOG_FORMAT=pretty prints "time level msg {fields}" for reading in a terminal.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REDACTED_KEYS = new Set(
+  [
+    "customer",
+    "recipient",
+    "display_name",
+    "phone",
+    "phone_number",
+    "email",
+    "email_address",
+    "address",
+    "pin",
+    "pass",
+    "password",
+    "token",
+    "authorization",
+    "cookie",
+    "signature",
+  ].map((key) => key.toLowerCase())
+);
+const MAX_DEPTH = 12; // Square webhook bodies nest fulfillment details about ten levels down
+
+function serializeError(err) {
+  return { name: err.name, message: err.message, ...(err.code ? { code: err.code } : {}), stack: err.stack };
+}
+
+// Copy of `value` with customer and secret fields blanked out
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (value instanceof Error) return serializeError(value);
+  if (!value || typeof value !== "object") return value;
+  if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+  if (seen.has(value)) return "[circular]";
+  if (depth >= MAX_DEPTH) return "[truncated]";
+  seen.add(value);
+
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1, seen));
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    out[key] = REDACTED_KEYS.has(key.toLowerCase()) && v != null ? "[redacted]" : redact(v, depth + 1, seen);
+  }
+  return out;
+}
+
+function createLogger({
+  level = "info",
+  format = "json",
+  fields = {},
+  stdout = process.stdout,
+  stderr = process.stderr,
+} = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  function write(entryLevel, msg, extra) {
+    if (LEVELS[entryLevel] < threshold) return;
+    const data = redact({ ...fields, ...(extra instanceof Error ? { err: extra } : extra) });
+    const stream = LEVELS[entryLevel] >= LEVELS.warn ? stderr : stdout;
+    if (format === "pretty") {
+      const rest = Object.keys(data).length > 0 ? ` ${JSON.stringify(data)}` : "";
+      stream.write(`${new Date().toISOString()} ${entryLevel.toUpperCase().padEnd(5)} ${msg}${rest}\n`);
+      return;
+    }
+    stream.write(`${JSON.stringify({ time: new Date().toISOString(), level: entryLevel, msg, ...data })}\n`);
+  }
+
+  return {
+    debug: (msg, extra) => write("debug", msg, extra),
+    info: (msg, extra) => write("info", msg, extra),
+    warn: (msg, extra) => write("warn", msg, extra),
+    error: (msg, extra) => write("error", msg, extra),
+    isLevelEnabled: (name) => (LEVELS[name] ?? 0) >= threshold,
+    // Same logger with fields added to every line (a component, a request id)
+    child: (more) => createLogger({ level, format, fields: { ...fields, ...more }, stdout, stderr }),
+  };
+}
+
+// The process-wide logger; modules take a child of it for their own component name
+const logger = createLogger({
+  level: process.env.KDS_LOG_LEVEL || "info",
+  format: process.env.KDS_LOG_FORMAT || "json",
+});
+
+module.exports = { logger, createLogger, redact, LEVELS };
@@ -0,0 +1,117 @@
+// ===============================
+// VertiDog KDS – Manual order entry
+// ===============================
+//
+// Checks the tickets staff key in themselves (POST /api/orders, the kitchen's "new ticket"
+// form) for walk-ups and phone orders while Square is down. Items usually come from the
+// menu list (lib/menu.js) and carry its catalog id and category, so they route and display
+// like the same item on a Square order; a hand-typed name works too.
+
+const MAX_ITEMS = 50;
+const MAX_QUANTITY = 99;
+const MAX_PICKUP_MINUTES = 24 * 60;
+
+class ManualOrderError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = "ManualOrderError";
+    this.details = details;
+  }
+}
+
+// Trimmed string, or null when empty; longer than maxLength is an error
+function optionalText(value, maxLength, where, errors) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== "string") {
+    errors.push(`${where} must be a string`);
+    return null;
+  }
+  const text = value.trim();
+  if (text.length > maxLength) errors.push(`${where} must be at most ${maxLength} characters`);
+  return text || null;
+}
+
+function normalizeItem(item, where, errors) {
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    errors.push(`${where} must be an object`);
+    return null;
+  }
+  const name = optionalText(item.name, 80, `${where}.name`, errors);
+  if (!name) errors.push(`${where}.name is required`);
+
+  const quantity = item.quantity === undefined || item.quantity === null ? 1 : Number(item.quantity);
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+    errors.push(`${where}.quantity must be a whole number from 1 to ${MAX_QUANTITY}`);
+  }
+
+  // A list, or one comma-separated string from a text box
+  const rawModifiers = typeof item.modifiers === "string" ? item.modifiers.split(",") : item.modifiers || [];
+  if (!Array.isArray(rawModifiers)) errors.push(`${where}.modifiers must be a list`);
+  const modifiers = (Array.isArray(rawModifiers) ? rawModifiers : [])
+    .map((m, i) => optionalText(typeof m === "number" ? String(m) : m, 80, `${where}.modifiers[${i}]`, errors))
+    .filter(Boolean)
+    .slice(0, 20);
+
+  return {
+    name,
+    quantity,
+    variationName: optionalText(item.variationName, 80, `${where}.variationName`, errors),
+    modifiers,
+    note: optionalText(item.note, 200, `${where}.note`, errors) || "",
+    catalogObjectId: optionalText(item.catalogObjectId, 64, `${where}.catalogObjectId`, errors),
+    category: optionalText(item.category, 80, `${where}.category`, errors),
+  };
+}
+
+// Returns a clean copy of a manual order, or throws ManualOrderError listing every problem
+function normalizeManualOrder(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new ManualOrderError("Order must be an object");
+  }
+  const errors = [];
+
+  if (!Array.isArray(body.items) || body.items.length === 0) {
+    errors.push("items must list at least one item");
+  } else if (body.items.length > MAX_ITEMS) {
+    errors.push(`items can list at most ${MAX_ITEMS} items`);
+  }
+  const items = (Array.isArray(body.items) ? body.items.slice(0, MAX_ITEMS) : [])
+    .map((item, i) => normalizeItem(item, `items[${i}]`, errors))
+    .filter(Boolean);
+
+  let customer = null;
+  if (body.customer !== undefined && body.customer !== null) {
+    if (typeof body.customer !== "object" || Array.isArray(body.customer)) {
+      errors.push("customer must be an object");
+    } else {
+      customer = {
+        name: optionalText(body.customer.name, 100, "customer.name", errors),
+        phone: optionalText(body.customer.phone, 30, "customer.phone", errors),
+        email: optionalText(body.customer.email, 254, "customer.email", errors),
+      };
+      if (!customer.name && !customer.phone && !customer.email) customer = null;
+    }
+  }
+
+  let pickupInMinutes = null;
+  if (body.pickupInMinutes !== undefined && body.pickupInMinutes !== null && body.pickupInMinutes !== "") {
+    pickupInMinutes = Number(body.pickupInMinutes);
+    if (!Number.isFinite(pickupInMinutes) || pickupInMinutes < 0 || pickupInMinutes > MAX_PICKUP_MINUTES) {
+      errors.push(`pickupInMinutes must be between 0 and ${MAX_PICKUP_MINUTES}`);
+    }
+  }
+
+  const order = {
+    items,
+    diningOption: optionalText(body.diningOption, 40, "diningOption", errors),
+    notes: optionalText(body.notes, 500, "notes", errors) || "",
+    customer,
+    pickupInMinutes: pickupInMinutes || null,
+    location: optionalText(body.location, 64, "location", errors),
+  };
+
+  if (errors.length > 0) throw new ManualOrderError("Invalid order", errors);
+  return order;
+}
+
+module.exports = { normalizeManualOrder, normalizeItem, optionalText, ManualOrderError };
@@ -0,0 +1,149 @@
+// ===============================
+// VertiDog KDS – Menu list and 86 list
+// ===============================
+//
+// The menu list is what the kitchen's "new ticket" form offers. It's learned from the
+// items on Square orders (name, variation, catalog id, category), so it keeps working
+// when Square itself is down and needs no separate menu to maintain. Items not seen for
+// a while fall off once the list is full.
+//
+// The 86 list is what has run out. An entry matches an order item on its Square catalog
+// id, or on the item name (and variation, when the entry has one) ignoring case, so a
+// hand-typed "fries" on a manual ticket matches too. An entry with a location only
+// applies there; one without applies everywhere.
+//
+// Both live in data/menu.json.
+
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "menu" });
+
+function normalizeText(text) {
+  return String(text || "").replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+// One key per menu item: the catalog id when Square gave one, else name and variation
+function itemKey(item) {
+  if (item?.catalogObjectId) return `catalog:${item.catalogObjectId}`;
+  return `name:${normalizeText(item?.name)}|${normalizeText(item?.variationName)}`;
+}
+
+function entryMatches(entry, item) {
+  if (entry.catalogObjectId && item.catalogObjectId === entry.catalogObjectId) return true;
+  if (normalizeText(entry.name) !== normalizeText(item.name)) return false;
+  return !entry.variationName || normalizeText(entry.variationName) === normalizeText(item.variationName);
+}
+
+function appliesTo(entry, location) {
+  return !location || !entry.location || entry.location === location;
+}
+
+function createMenu({ file, maxItems = 300 }) {
+  // key -> { key, name, variationName, catalogObjectId, category, lastSeenAt }
+  let items = new Map();
+  // [{ key, name, variationName, catalogObjectId, location, at, by }]
+  let eightySixed = [];
+
+  function load() {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+      items = new Map((Array.isArray(parsed.items) ? parsed.items : []).map((item) => [item.key, item]));
+      eightySixed = Array.isArray(parsed.eightySixed) ? parsed.eightySixed : [];
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        log.error("Error loading menu list", { file, error: error.message });
+      }
+    }
+  }
+
+  function save() {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ items: [...items.values()], eightySixed }), "utf8");
+      fs.renameSync(tmp, file);
+    } catch (error) {
+      log.error("Error saving menu list", { error: error.message });
+    }
+  }
+
+  // Add the items of an incoming Square order to the menu list. Only writes the file when
+  // something new shows up; last-seen times ride along with the next write.
+  function learn(orderItems, now = Date.now()) {
+    let changed = false;
+    (orderItems || []).forEach((item) => {
+      if (!item?.name) return;
+      const key = itemKey(item);
+      const known = items.get(key);
+      const entry = {
+        key,
+        name: item.name,
+        variationName: item.variationName || null,
+        catalogObjectId: item.catalogObjectId || null,
+        category: item.category || known?.category || null,
+        lastSeenAt: now,
+      };
+      if (!known || known.name !== entry.name || known.category !== entry.category) changed = true;
+      items.set(key, entry);
+    });
+    if (items.size > maxItems) {
+      const keep = [...items.values()].sort((a, b) => b.lastSeenAt - a.lastSeenAt).slice(0, maxItems);
+      items = new Map(keep.map((item) => [item.key, item]));
+      changed = true;
+    }
+    if (changed) save();
+  }
+
+  // By category, then name
+  function list() {
+    return [...items.values()].sort(
+      (a, b) =>
+        normalizeText(a.category).localeCompare(normalizeText(b.category)) ||
+        normalizeText(a.name).localeCompare(normalizeText(b.name)) ||
+        normalizeText(a.variationName).localeCompare(normalizeText(b.variationName))
+    );
+  }
+
+  // What's out, as seen from a location (null = every location)
+  function getEightySixed(location = null) {
+    return eightySixed.filter((entry) => appliesTo(entry, location));
+  }
+
+  // The 86 entry that covers an item on an order from `location`, if any
+  function findEightySixed(item, location) {
+    if (!item) return null;
+    const covering = eightySixed.filter((entry) => !entry.location || entry.location === location);
+    return covering.find((entry) => entryMatches(entry, item)) || null;
+  }
+
+  // 86 an item at a location (null = everywhere), or bring it back. Bringing it back
+  // clears every entry for it that the location sees. Returns false when nothing changed.
+  function setEightySixed(item, isOut, { location = null, by = null } = {}) {
+    const key = itemKey(item);
+    if (!isOut) {
+      const remaining = eightySixed.filter((entry) => entry.key !== key || !appliesTo(entry, location));
+      if (remaining.length === eightySixed.length) return false;
+      eightySixed = remaining;
+      save();
+      return true;
+    }
+    if (eightySixed.some((entry) => entry.key === key && (entry.location || null) === location)) return false;
+    eightySixed.push({
+      key,
+      name: item.name,
+      variationName: item.variationName || null,
+      catalogObjectId: item.catalogObjectId || null,
+      location,
+      at: Date.now(),
+      by,
+    });
+    save();
+    return true;
+  }
+
+  return { load, learn, list, getEightySixed, findEightySixed, setEightySixed };
+}
+
+module.exports = { createMenu, itemKey };
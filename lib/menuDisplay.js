@@ -0,0 +1,238 @@
+// ===============================
+// VertiDog KDS – Menu display rules
+// ===============================
+//
+// How line items look on the kitchen screens: short names, colors, sort order and which
+// station makes them, plus rewrite rules for modifiers. Edited from /menu-display and kept
+// in data/menu-display.json, so a menu change no longer needs an HTML deploy.
+//
+//   items          first match wins; an item matches on its Square catalog id, or when its
+//                  name contains every string in `name` (case-insensitive). Catalog id
+//                  matches are checked before name matches.
+//   nameRules      find/replace applied to names no item entry matched
+//   modifierRules  find/replace applied to every modifier; an empty result hides it
+//
+// `find` is plain text unless `regex` is set. The server applies the rules to every order
+// it sends, so the screens only draw what they get.
+
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "menu-display" });
+
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+const MENU_FLAVORS = [
+  ["pulled pork", "PORK"],
+  ["pink velvet", "PINK"],
+  ["tropical", "TROP"],
+  ["seattle", "SEA"],
+  ["veggie", "VEG"],
+  ["cheese", "CHEESE"],
+  ["original", "ORIG"],
+];
+
+// The abbreviations the kitchen screen used to hard-code
+const DEFAULT_MENU_DISPLAY = {
+  items: [
+    ...MENU_FLAVORS.map(([flavor, abbr]) => ({ name: ["combo", flavor], shortName: `COMBO ${abbr}` })),
+    { name: ["combo"], shortName: "COMBO" },
+    ...MENU_FLAVORS.map(([flavor, abbr]) => ({ name: ["vertidog", flavor], shortName: `VD ${abbr}` })),
+    ...MENU_FLAVORS.map(([flavor, abbr]) => ({ name: ["vertifries", flavor], shortName: `VF ${abbr}` })),
+  ],
+  nameRules: [
+    { find: "vertidog", replace: "VD" },
+    { find: "vertifries", replace: "VF" },
+  ],
+  modifierRules: [],
+};
+
+class MenuDisplayError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = "MenuDisplayError";
+    this.details = details;
+  }
+}
+
+function toStringList(value) {
+  if (value === undefined || value === null || value === "") return [];
+  return (Array.isArray(value) ? value : [value]).map((v) => String(v).trim()).filter(Boolean);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function normalizeRule(rule, where, errors) {
+  const find = typeof rule?.find === "string" ? rule.find : "";
+  if (!find.trim()) {
+    errors.push(`${where}: find is required`);
+    return null;
+  }
+  const regex = rule.regex === true;
+  if (regex) {
+    try {
+      new RegExp(find, "i");
+    } catch (err) {
+      errors.push(`${where}: invalid regex (${err.message})`);
+      return null;
+    }
+  }
+  return { find, replace: rule.replace == null ? "" : String(rule.replace), regex };
+}
+
+// Check a config from the admin page and return a clean copy. Throws MenuDisplayError
+// listing every problem, so the page can show them all at once.
+function normalizeMenuDisplay(config, { stations = [] } = {}) {
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new MenuDisplayError("Menu display config must be an object");
+  }
+  const errors = [];
+
+  const items = (Array.isArray(config.items) ? config.items : []).map((entry, i) => {
+    const where = `items[${i}]`;
+    const catalogObjectId = toStringList(entry?.catalogObjectId)[0] || null;
+    const name = toStringList(entry?.name).map((n) => n.toLowerCase());
+    if (!catalogObjectId && name.length === 0) errors.push(`${where}: needs a catalogObjectId or name`);
+
+    const color = entry?.color ? String(entry.color).trim() : null;
+    if (color && !HEX_COLOR.test(color)) errors.push(`${where}: color must be a hex color like #f97316`);
+
+    const station = entry?.station ? String(entry.station).trim().toLowerCase() : null;
+    if (station && !stations.includes(station)) errors.push(`${where}: unknown station ${entry.station}`);
+
+    let sortOrder = null;
+    if (entry?.sortOrder !== undefined && entry?.sortOrder !== null && entry?.sortOrder !== "") {
+      sortOrder = Number(entry.sortOrder);
+      if (!Number.isFinite(sortOrder)) errors.push(`${where}: sortOrder must be a number`);
+    }
+
+    return {
+      catalogObjectId,
+      name,
+      shortName: entry?.shortName ? String(entry.shortName).trim() : null,
+      color,
+      station,
+      sortOrder,
+    };
+  });
+
+  const nameRules = (Array.isArray(config.nameRules) ? config.nameRules : [])
+    .map((rule, i) => normalizeRule(rule, `nameRules[${i}]`, errors))
+    .filter(Boolean);
+  const modifierRules = (Array.isArray(config.modifierRules) ? config.modifierRules : [])
+    .map((rule, i) => normalizeRule(rule, `modifierRules[${i}]`, errors))
+    .filter(Boolean);
+
+  if (errors.length > 0) throw new MenuDisplayError("Invalid menu display config", errors);
+  return { items, nameRules, modifierRules };
+}
+
+function applyRules(text, rules) {
+  return rules.reduce((out, rule) => {
+    const pattern = new RegExp(rule.regex ? rule.find : escapeRegExp(rule.find), "gi");
+    return out.replace(pattern, rule.replace);
+  }, text);
+}
+
+// The config entry for an item, or null. Also used for prep times (lib/prepTimes.js), which
+// match items the same way.
+function findEntry(item, config) {
+  if (item.catalogObjectId) {
+    const byId = config.items.find((e) => e.catalogObjectId && e.catalogObjectId === item.catalogObjectId);
+    if (byId) return byId;
+  }
+  const lower = String(item.name || "").toLowerCase();
+  return config.items.find((e) => e.name.length > 0 && e.name.every((n) => lower.includes(n))) || null;
+}
+
+// Display fields for one line item; the item itself is left untouched
+function describeItem(item, config) {
+  const name = String(item?.name || "Item").replace(/\s+/g, " ").trim();
+  const entry = findEntry(item || {}, config);
+
+  const displayModifiers = (Array.isArray(item?.modifiers) ? item.modifiers : [])
+    .map((mod) => String(mod ?? "").replace(/^[\s/+-]+/, "").trim())
+    .filter(Boolean)
+    .map((mod) => applyRules(mod, config.modifierRules).trim())
+    .filter(Boolean);
+
+  return {
+    displayName: entry?.shortName || applyRules(name, config.nameRules).trim() || name,
+    displayColor: entry?.color || null,
+    displayModifiers,
+    sortOrder: entry?.sortOrder ?? null,
+    station: entry?.station || null,
+  };
+}
+
+// Items with their display fields, in display order (entries without a sortOrder keep
+// their place after the sorted ones)
+function applyMenuDisplay(items, config) {
+  return (items || [])
+    .map((item, position) => ({ item, position, display: describeItem(item, config) }))
+    .sort((a, b) => {
+      const sa = a.display.sortOrder ?? Infinity;
+      const sb = b.display.sortOrder ?? Infinity;
+      return sa === sb ? a.position - b.position : sa - sb;
+    })
+    .map(({ item, display }) => ({
+      ...item,
+      displayName: display.displayName,
+      displayColor: display.displayColor,
+      displayModifiers: display.displayModifiers,
+    }));
+}
+
+function createMenuDisplay({ file, stations = [] }) {
+  let config = normalizeMenuDisplay(DEFAULT_MENU_DISPLAY, { stations });
+
+  function load() {
+    try {
+      const data = fs.readFileSync(file, "utf8");
+      config = normalizeMenuDisplay(JSON.parse(data), { stations });
+      log.info("Loaded menu display rules", { file });
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        log.error("Error loading menu display rules, using defaults", { file, error: error.message });
+      }
+    }
+    return config;
+  }
+
+  // Validate, then persist (temp file + rename so a crash can't leave half a config)
+  function update(nextConfig) {
+    const normalized = normalizeMenuDisplay(nextConfig, { stations });
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(normalized, null, 2), "utf8");
+    fs.renameSync(tmp, file);
+    config = normalized;
+    return config;
+  }
+
+  function get() {
+    return config;
+  }
+
+  return {
+    load,
+    update,
+    get,
+    validate: (candidate) => normalizeMenuDisplay(candidate, { stations }),
+    describeItem: (item) => describeItem(item, config),
+    applyToItems: (items) => applyMenuDisplay(items, config),
+  };
+}
+
+module.exports = {
+  createMenuDisplay,
+  applyMenuDisplay,
+  describeItem,
+  findEntry,
+  normalizeMenuDisplay,
+  MenuDisplayError,
+  DEFAULT_MENU_DISPLAY,
+};
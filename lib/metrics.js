@@ -0,0 +1,137 @@
+// ===============================
+// VertiDog KDS – Prometheus metrics
+// ===============================
+//
+// A small registry that renders the Prometheus text format for GET /metrics: counters,
+// gauges and histograms with labels. Gauges can take a collect() callback that's run at
+// scrape time, for values that are cheaper to read than to keep up to date (connected
+// screens, orders by status).
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return Number.isFinite(value) ? String(value) : "NaN";
+}
+
+// Keeps label values in labelNames order, so { a, b } and { b, a } are one series
+function seriesKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? "")));
+}
+
+function labelsFromKey(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+function createRegistry({ prefix = "" } = {}) {
+  const metrics = [];
+
+  function register(metric) {
+    metrics.push(metric);
+    return metric;
+  }
+
+  function counter({ name, help, labelNames = [] }) {
+    const values = new Map();
+    return register({
+      name: prefix + name,
+      help,
+      type: "counter",
+      inc(labels = {}, amount = 1) {
+        const key = seriesKey(labelNames, labels);
+        values.set(key, (values.get(key) || 0) + amount);
+      },
+      lines() {
+        return [...values].map(([key, v]) => `${prefix + name}${formatLabels(labelsFromKey(labelNames, key))} ${formatValue(v)}`);
+      },
+    });
+  }
+
+  // collect() returns a number, or [{ labels, value }] for a labelled gauge
+  function gauge({ name, help, labelNames = [], collect = null }) {
+    const values = new Map();
+    return register({
+      name: prefix + name,
+      help,
+      type: "gauge",
+      set(labels = {}, value) {
+        values.set(seriesKey(labelNames, labels), value);
+      },
+      lines() {
+        if (collect) {
+          const collected = collect();
+          const series = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+          return series.map((s) => `${prefix + name}${formatLabels(s.labels || {})} ${formatValue(s.value)}`);
+        }
+        return [...values].map(([key, v]) => `${prefix + name}${formatLabels(labelsFromKey(labelNames, key))} ${formatValue(v)}`);
+      },
+    });
+  }
+
+  function histogram({ name, help, labelNames = [], buckets }) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const series = new Map(); // key -> { counts per bucket, sum, count }
+    return register({
+      name: prefix + name,
+      help,
+      type: "histogram",
+      observe(labels = {}, value) {
+        if (!Number.isFinite(value)) return;
+        const key = seriesKey(labelNames, labels);
+        let s = series.get(key);
+        if (!s) {
+          s = { counts: bounds.map(() => 0), sum: 0, count: 0 };
+          series.set(key, s);
+        }
+        bounds.forEach((bound, i) => {
+          if (value <= bound) s.counts[i]++;
+        });
+        s.sum += value;
+        s.count++;
+      },
+      lines() {
+        const out = [];
+        series.forEach((s, key) => {
+          const labels = labelsFromKey(labelNames, key);
+          bounds.forEach((bound, i) => {
+            out.push(`${prefix + name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${s.counts[i]}`);
+          });
+          out.push(`${prefix + name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${s.count}`);
+          out.push(`${prefix + name}_sum${formatLabels(labels)} ${formatValue(s.sum)}`);
+          out.push(`${prefix + name}_count${formatLabels(labels)} ${s.count}`);
+        });
+        return out;
+      },
+    });
+  }
+
+  function render() {
+    const out = [];
+    metrics.forEach((metric) => {
+      let lines;
+      try {
+        lines = metric.lines();
+      } catch (err) {
+        lines = []; // a broken collector shouldn't take the whole scrape down
+      }
+      out.push(`# HELP ${metric.name} ${metric.help}`);
+      out.push(`# TYPE ${metric.name} ${metric.type}`);
+      out.push(...lines);
+    });
+    return `${out.join("\n")}\n`;
+  }
+
+  return { counter, gauge, histogram, render, contentType: "text/plain; version=0.0.4; charset=utf-8" };
+}
+
+module.exports = { createRegistry };
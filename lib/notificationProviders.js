@@ -0,0 +1,255 @@
+// ===============================
+// VertiDog KDS – Customer notification providers
+// ===============================
+//
+// Every provider has the same shape, so the notifier doesn't care how a message leaves:
+//
+//   { name, channel: "sms" | "email", send({ to, subject, text }) -> Promise<{ id }> }
+//
+// send() throws NotificationError; `retryable: false` means trying again won't help (bad
+// address, rejected credentials) and the job goes straight to the dead list.
+//
+//   smtp      plain SMTP with STARTTLS when offered (or implicit TLS), AUTH PLAIN only
+//             over TLS
+//   http-sms  POSTs { to, from, body } as JSON to any SMS gateway URL
+//   log       prints the message and records it in memory; for local runs and fakes
+
+const net = require("net");
+const tls = require("tls");
+const os = require("os");
+const crypto = require("crypto");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "notify-log-provider" });
+
+class NotificationError extends Error {
+  constructor(message, { retryable = true, status = null } = {}) {
+    super(message);
+    this.name = "NotificationError";
+    this.retryable = retryable;
+    this.status = status;
+  }
+}
+
+// Header values come from order data; never let them start a new header line
+function cleanHeader(value) {
+  return String(value ?? "").replace(/[\r\n]+/g, " ").trim();
+}
+
+function encodeHeader(value) {
+  const clean = cleanHeader(value);
+  return /^[\x20-\x7e]*$/.test(clean) ? clean : `=?UTF-8?B?${Buffer.from(clean, "utf8").toString("base64")}?=`;
+}
+
+function buildEmail({ from, to, subject, text }) {
+  const domain = String(from).split("@")[1] || "localhost";
+  const body = String(text ?? "")
+    .replace(/\r?\n/g, "\r\n")
+    // A line holding a single "." would end the DATA section early
+    .replace(/^\./gm, "..");
+  return [
+    `From: ${cleanHeader(from)}`,
+    `To: ${cleanHeader(to)}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomBytes(12).toString("hex")}@${domain}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: 8bit",
+    "",
+    body,
+  ].join("\r\n");
+}
+
+// Collects SMTP replies (multi-line ones joined) and hands them out one per next()
+function createReplyReader(socket) {
+  let buffer = "";
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  function onData(chunk) {
+    buffer += chunk.toString("utf8");
+    let idx;
+    while ((idx = buffer.indexOf("\r\n")) >= 0) {
+      const line = buffer.slice(0, idx);
+      buffer = buffer.slice(idx + 2);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: Number(line.slice(0, 3)), text: lines.map((l) => l.slice(4)).join("\n") };
+        lines = [];
+        const waiter = waiting.shift();
+        if (waiter) waiter.resolve(reply);
+        else replies.push(reply);
+      }
+    }
+  }
+
+  function onEnd(err) {
+    failure = err || new NotificationError("SMTP connection closed");
+    waiting.splice(0).forEach((w) => w.reject(failure));
+  }
+  const onClose = () => onEnd();
+
+  socket.on("data", onData);
+  socket.on("error", onEnd);
+  socket.on("close", onClose);
+
+  return {
+    next() {
+      if (replies.length > 0) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+    detach() {
+      socket.off("data", onData);
+      socket.off("error", onEnd);
+      socket.off("close", onClose);
+    },
+  };
+}
+
+function createSmtpProvider({
+  host,
+  port = 587,
+  secure = false,
+  user = null,
+  pass = null,
+  from,
+  timeoutMs = 15000,
+}) {
+  async function send({ to, subject, text }) {
+    let socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+    socket.setTimeout(timeoutMs, () => socket.destroy(new NotificationError("SMTP timed out")));
+    let reader = createReplyReader(socket);
+
+    async function expect(line, codes) {
+      if (line !== null) socket.write(`${line}\r\n`);
+      let reply;
+      try {
+        reply = await reader.next();
+      } catch (err) {
+        throw err instanceof NotificationError ? err : new NotificationError(`SMTP ${err.message}`);
+      }
+      if (!codes.includes(reply.code)) {
+        // 4xx is the server saying "not now"; 5xx won't change on a retry
+        throw new NotificationError(`SMTP ${reply.code} ${reply.text}`, {
+          retryable: reply.code < 500,
+          status: reply.code,
+        });
+      }
+      return reply;
+    }
+
+    try {
+      await expect(null, [220]);
+      let ehlo = await expect(`EHLO ${os.hostname()}`, [250]);
+      let encrypted = secure;
+
+      if (!secure && /^STARTTLS\b/im.test(ehlo.text)) {
+        await expect("STARTTLS", [220]);
+        reader.detach();
+        socket.on("error", () => {}); // the TLS socket on top reports errors from here on
+        socket = tls.connect({ socket, servername: host });
+        socket.setTimeout(timeoutMs, () => socket.destroy(new NotificationError("SMTP timed out")));
+        reader = createReplyReader(socket);
+        ehlo = await expect(`EHLO ${os.hostname()}`, [250]);
+        encrypted = true;
+      }
+
+      if (user) {
+        // A server (or something in between) that doesn't offer STARTTLS would otherwise
+        // get the password in the clear
+        if (!encrypted) {
+          throw new NotificationError("SMTP server doesn't offer STARTTLS; not sending credentials unencrypted", {
+            retryable: false,
+          });
+        }
+        const token = Buffer.from(`\0${user}\0${pass || ""}`, "utf8").toString("base64");
+        await expect(`AUTH PLAIN ${token}`, [235]);
+      }
+
+      await expect(`MAIL FROM:<${cleanHeader(from)}>`, [250]);
+      await expect(`RCPT TO:<${cleanHeader(to)}>`, [250, 251]);
+      await expect("DATA", [354]);
+      const done = await expect(`${buildEmail({ from, to, subject, text })}\r\n.`, [250]);
+      socket.write("QUIT\r\n");
+      return { id: done.text.trim() || null };
+    } finally {
+      socket.on("error", () => {}); // late errors after QUIT don't matter
+      reader.detach();
+      socket.end();
+    }
+  }
+
+  return { name: "smtp", channel: "email", send };
+}
+
+function createHttpSmsProvider({ url, token = null, from = null, timeoutMs = 15000 }) {
+  async function send({ to, text }) {
+    let resp;
+    try {
+      resp = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+        body: JSON.stringify({ to, from, body: text }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (err) {
+      throw new NotificationError(`network error: ${err.message}`);
+    }
+
+    const body = await resp.text();
+    if (!resp.ok) {
+      // Rate limits and gateway errors are worth another try; other 4xx are not
+      const retryable = resp.status === 429 || resp.status >= 500;
+      throw new NotificationError(`${resp.status} ${body.slice(0, 200) || resp.statusText}`, {
+        retryable,
+        status: resp.status,
+      });
+    }
+
+    let json = null;
+    try {
+      json = body ? JSON.parse(body) : null;
+    } catch (err) {
+      json = null;
+    }
+    return { id: json?.id || json?.sid || json?.messageId || null };
+  }
+
+  return { name: "http-sms", channel: "sms", send };
+}
+
+// Sends nothing. `sent` holds every message, and `failNext` makes the next sends throw.
+function createLogProvider({ channel, failNext = 0 }) {
+  const sent = [];
+  const provider = {
+    name: "log",
+    channel,
+    sent,
+    failNext,
+    async send(message) {
+      if (provider.failNext > 0) {
+        provider.failNext--;
+        throw new NotificationError("log provider told to fail");
+      }
+      sent.push({ ...message, at: Date.now() });
+      log.info("Log provider message", { channel, subject: message.subject, text: message.text });
+      return { id: `log-${sent.length}` };
+    },
+  };
+  return provider;
+}
+
+module.exports = {
+  createSmtpProvider,
+  createHttpSmsProvider,
+  createLogProvider,
+  NotificationError,
+  buildEmail,
+};
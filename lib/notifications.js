@@ -0,0 +1,278 @@
+// ===============================
+// VertiDog KDS – Order-ready customer notifications
+// ===============================
+//
+// When a ticket goes ready, customers who left a phone number or email on the Square
+// fulfillment get a text and/or an email, so people waiting in the car or on the patio
+// know without hearing the callout. Providers live in lib/notificationProviders.js.
+//
+// Messages go through a job queue persisted to disk, the same way Square fulfillment sync
+// does: failed sends retry with exponential backoff, and ones that keep failing (or that
+// the provider rejects outright) move to a dead list. Every attempt is appended to a
+// delivery log (NDJSON). An order is only notified once per channel, so a recall and
+// re-bump doesn't text the customer twice. Opting an order out drops what's still queued.
+//
+// Nothing goes out until `sendDelayMs` after the bump, so an "undo last bump" on a ticket
+// marked ready by mistake (which cancels the order's jobs) catches it before the customer
+// hears about it.
+
+const fs = require("fs");
+const path = require("path");
+const { NotificationError } = require("./notificationProviders");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "notifications" });
+
+const DEFAULT_TEMPLATES = {
+  sms: "{shopName}: order #{orderNumber} is ready for pickup!",
+  emailSubject: "Your {shopName} order #{orderNumber} is ready",
+  email: "Hi {name},\n\nYour order #{orderNumber} is ready for pickup.\n\nThanks,\n{shopName}",
+};
+
+// Orders stop counting as notified after this long, so the sent list can't grow forever
+const SENT_TTL_MS = 48 * 60 * 60 * 1000;
+
+function renderTemplate(template, vars) {
+  return String(template || "").replace(/\{(\w+)\}/g, (match, key) =>
+    vars[key] === undefined || vars[key] === null ? match : String(vars[key])
+  );
+}
+
+// Enough to tell deliveries apart in the log without keeping full contact details there
+function maskRecipient(to) {
+  const value = String(to || "");
+  const at = value.indexOf("@");
+  if (at > 0) return `${value[0]}***${value.slice(at)}`;
+  return value.length > 4 ? `***${value.slice(-4)}` : "***";
+}
+
+// Where to reach the customer: [{ channel, to }] for each contact the order has
+function recipientsFor(order) {
+  const customer = order?.customer || {};
+  const result = [];
+  if (customer.phone) result.push({ channel: "sms", to: customer.phone });
+  if (customer.email) result.push({ channel: "email", to: customer.email });
+  return result;
+}
+
+function createNotifier({
+  providers = {},
+  queueFile,
+  logFile,
+  shopName = "VertiDog",
+  templates = {},
+  pollIntervalMs = 1000,
+  sendDelayMs = 30 * 1000,
+  baseDelayMs = 5000,
+  maxDelayMs = 10 * 60 * 1000,
+  maxAttempts = 8,
+  maxDeadJobs = 200,
+  maxRecentLog = 200,
+}) {
+  const state = { pending: [], dead: [], sent: {} };
+  const recentLog = [];
+  const messageTemplates = { ...DEFAULT_TEMPLATES };
+  for (const key in templates) {
+    if (templates[key]) messageTemplates[key] = templates[key];
+  }
+  let timer = null;
+  let running = false;
+
+  function load() {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(queueFile, "utf8"));
+      state.pending = Array.isArray(parsed.pending) ? parsed.pending : [];
+      state.dead = Array.isArray(parsed.dead) ? parsed.dead : [];
+      state.sent = parsed.sent && typeof parsed.sent === "object" ? parsed.sent : {};
+      if (state.pending.length > 0) {
+        log.info("Loaded pending customer notifications", { count: state.pending.length, file: queueFile });
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        log.error("Error loading notification queue", { file: queueFile, error: error.message });
+      }
+    }
+  }
+
+  function save() {
+    const cutoff = Date.now() - SENT_TTL_MS;
+    for (const key in state.sent) {
+      if (state.sent[key] < cutoff) delete state.sent[key];
+    }
+    try {
+      fs.mkdirSync(path.dirname(queueFile), { recursive: true });
+      const tmp = `${queueFile}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(state), "utf8");
+      fs.renameSync(tmp, queueFile);
+    } catch (error) {
+      log.error("Error saving notification queue", { error: error.message });
+    }
+  }
+
+  function logDelivery(job, outcome, detail = {}) {
+    const entry = {
+      at: Date.now(),
+      jobId: job.id,
+      orderId: job.orderId,
+      orderNumber: job.orderNumber,
+      channel: job.channel,
+      provider: providers[job.channel]?.name || null,
+      to: maskRecipient(job.to),
+      outcome,
+      attempts: job.attempts,
+      ...detail,
+    };
+    recentLog.push(entry);
+    if (recentLog.length > maxRecentLog) recentLog.splice(0, recentLog.length - maxRecentLog);
+    try {
+      fs.appendFileSync(logFile, JSON.stringify(entry) + "\n", "utf8");
+    } catch (error) {
+      log.error("Error writing notification delivery log", { error: error.message });
+    }
+  }
+
+  function buildMessage(channel, order) {
+    const vars = {
+      shopName,
+      orderNumber: order.orderNumber,
+      name: order.customer?.name || "there",
+    };
+    if (channel === "email") {
+      return {
+        subject: renderTemplate(messageTemplates.emailSubject, vars),
+        text: renderTemplate(messageTemplates.email, vars),
+      };
+    }
+    return { subject: null, text: renderTemplate(messageTemplates.sms, vars) };
+  }
+
+  // Queue "your order is ready" for every channel the order has a contact and a provider
+  // for. Returns the queued jobs (none when opted out or already notified).
+  function notifyOrderReady(order) {
+    if (!order?.orderId || order.notificationsOptOut) return [];
+    const jobs = [];
+    recipientsFor(order).forEach(({ channel, to }) => {
+      const key = `${order.orderId}:${channel}`;
+      if (!providers[channel] || state.sent[key]) return;
+      if (state.pending.some((j) => j.orderId === order.orderId && j.channel === channel)) return;
+
+      const job = {
+        id: `notify-${order.orderId}-${channel}-${Date.now()}`,
+        orderId: order.orderId,
+        orderNumber: order.orderNumber,
+        channel,
+        to,
+        ...buildMessage(channel, order),
+        attempts: 0,
+        createdAt: Date.now(),
+        nextAttemptAt: Date.now() + sendDelayMs,
+        lastError: null,
+      };
+      state.pending.push(job);
+      jobs.push(job);
+      logDelivery(job, "queued");
+    });
+    if (jobs.length > 0) save();
+    return jobs;
+  }
+
+  // Drop anything still queued for the order (opt-out, or the ticket was taken back)
+  function cancel(orderId, reason = "cancelled") {
+    const dropped = state.pending.filter((j) => j.orderId === orderId);
+    if (dropped.length === 0) return 0;
+    state.pending = state.pending.filter((j) => j.orderId !== orderId);
+    dropped.forEach((job) => logDelivery(job, "cancelled", { reason }));
+    save();
+    return dropped.length;
+  }
+
+  function getBackoffMs(attempts) {
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  function moveToDead(job) {
+    state.pending = state.pending.filter((j) => j.id !== job.id);
+    state.dead.push({ ...job, failedAt: Date.now() });
+    if (state.dead.length > maxDeadJobs) state.dead = state.dead.slice(-maxDeadJobs);
+  }
+
+  async function processDueJobs() {
+    if (running) return;
+    running = true;
+    try {
+      const now = Date.now();
+      const due = state.pending.filter((j) => j.nextAttemptAt <= now);
+      for (const job of due) {
+        // Cancelled while an earlier send was in flight
+        if (!state.pending.includes(job)) continue;
+        const provider = providers[job.channel];
+        job.attempts++;
+        try {
+          if (!provider) {
+            throw new NotificationError(`no ${job.channel} provider configured`, { retryable: false });
+          }
+          const result = await provider.send({ to: job.to, subject: job.subject, text: job.text });
+          state.pending = state.pending.filter((j) => j.id !== job.id);
+          state.sent[`${job.orderId}:${job.channel}`] = Date.now();
+          logDelivery(job, "sent", { providerId: result?.id || null });
+          log.info("Customer notified", { orderId: job.orderId, orderNumber: job.orderNumber, channel: job.channel });
+        } catch (err) {
+          // Cancelled while the send was in flight
+          if (!state.pending.includes(job)) continue;
+          job.lastError = err.message;
+          const retryable = err.retryable !== false && job.attempts < maxAttempts;
+          if (retryable) {
+            job.nextAttemptAt = Date.now() + getBackoffMs(job.attempts);
+            logDelivery(job, "retrying", { error: err.message });
+            log.warn("Notification failed, will retry", {
+              orderNumber: job.orderNumber,
+              channel: job.channel,
+              attempts: job.attempts,
+              error: err.message,
+            });
+          } else {
+            moveToDead(job);
+            logDelivery(job, "failed", { error: err.message });
+            log.error("Notification gave up", {
+              orderNumber: job.orderNumber,
+              channel: job.channel,
+              attempts: job.attempts,
+              error: err.message,
+            });
+          }
+        }
+        save();
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    load();
+    if (timer) return;
+    timer = setInterval(processDueJobs, pollIntervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  // Queue contents are masked too: the status page is for "is it working", not contact lookup
+  function getStatus() {
+    const mask = (job) => ({ ...job, to: maskRecipient(job.to) });
+    return {
+      channels: Object.fromEntries(Object.entries(providers).map(([channel, p]) => [channel, p.name])),
+      pending: state.pending.map(mask),
+      dead: state.dead.map(mask),
+      log: recentLog.slice().reverse(),
+    };
+  }
+
+  return { notifyOrderReady, cancel, start, stop, getStatus, processDueJobs };
+}
+
+module.exports = { createNotifier, recipientsFor, renderTemplate, maskRecipient, DEFAULT_TEMPLATES };
@@ -0,0 +1,102 @@
+// ===============================
+// VertiDog KDS – Display order numbers
+// ===============================
+//
+// Tickets get a short 001-999 number to call out; the orderId stays the real key. Each
+// location counts on its own and starts again at 001 every business day. The day rolls
+// over at `dayStartHour` in the shop's time zone, not at midnight, so the late-night
+// rush keeps counting up. A number that's still on a screen (any order that isn't
+// picked up or cancelled) is skipped rather than handed out twice.
+//
+// The last number used per location is kept on disk, so a restart carries on from
+// there instead of guessing from whatever orders happen to still be in memory.
+
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "order-numbers" });
+
+const MAX_ORDER_NUMBER = 999;
+
+function formatOrderNumber(num) {
+  return String(num).padStart(3, "0");
+}
+
+// "YYYY-MM-DD" of the business day `ts` falls in
+function getBusinessDay(ts, { dayStartHour = 0, timeZone } = {}) {
+  return new Intl.DateTimeFormat("en-CA", {
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    timeZone,
+  }).format(new Date(ts - dayStartHour * 60 * 60 * 1000));
+}
+
+// isInUse(location, orderNumber) tells whether a live ticket in the location has that number
+function createOrderNumberAllocator({ file, dayStartHour = 0, timeZone, isInUse = () => false }) {
+  // location -> { businessDay, last }
+  let counters = {};
+
+  function load() {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+      counters = parsed && typeof parsed === "object" ? parsed : {};
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        log.error("Error loading order numbers", { file, error: error.message });
+      }
+      counters = {};
+    }
+  }
+
+  function save() {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(counters), "utf8");
+      fs.renameSync(tmp, file);
+    } catch (error) {
+      log.error("Error saving order numbers", { error: error.message });
+    }
+  }
+
+  function businessDayOf(ts = Date.now()) {
+    return getBusinessDay(ts, { dayStartHour, timeZone });
+  }
+
+  // Next free number for the location. If all 999 are somehow live at once it hands out
+  // the next one anyway; the orderId still keeps the tickets apart.
+  function next(location, now = Date.now()) {
+    const businessDay = businessDayOf(now);
+    let counter = counters[location];
+    if (!counter || counter.businessDay !== businessDay) {
+      if (counter) log.info("New business day: order numbers restart at 001", { businessDay, location });
+      counter = { businessDay, last: 0 };
+      counters[location] = counter;
+    }
+
+    let candidate = counter.last;
+    for (let tries = 0; tries < MAX_ORDER_NUMBER; tries++) {
+      candidate = (candidate % MAX_ORDER_NUMBER) + 1;
+      if (!isInUse(location, formatOrderNumber(candidate))) break;
+      if (tries === MAX_ORDER_NUMBER - 1) {
+        log.warn("Every order number is live; reusing one", { location, max: MAX_ORDER_NUMBER });
+        candidate = (counter.last % MAX_ORDER_NUMBER) + 1;
+      }
+    }
+
+    counter.last = candidate;
+    save();
+    return formatOrderNumber(candidate);
+  }
+
+  function getStatus() {
+    return { dayStartHour, timeZone: timeZone || null, businessDay: businessDayOf(), counters };
+  }
+
+  load();
+  return { next, businessDayOf, getStatus };
+}
+
+module.exports = { createOrderNumberAllocator, getBusinessDay, formatOrderNumber, MAX_ORDER_NUMBER };
@@ -0,0 +1,95 @@
+// ===============================
+// VertiDog KDS – Order sources
+// ===============================
+//
+// Orders reach the kitchen from more than one place: Square, and anything else that can
+// post a webhook (a kiosk, a delivery tablet bridge, a catering form). Each of those is an
+// order source adapter, which turns the source's payload into the KDS order model; the
+// server does the rest (order number, station routing, merging with what the kitchen has
+// already done, the 86 list, printing, pushing to screens) the same way for all of them.
+//
+// An adapter is a plain object:
+//
+//   id                  short name, stored as order.source and shown as the ticket badge
+//   label               badge text, e.g. "Square" or "DoorDash"
+//   verify(req)         true when the request really came from the source (signature,
+//                       shared secret). req.rawBody holds the exact bytes that were posted.
+//   eventId(body)       id of the delivery for replay protection, or null. Ids only need to
+//                       be unique within the source; the server namespaces them.
+//   eventType(body)     short event name for logs and metrics
+//   eventTypes          the event names the source is known to send; metrics count any
+//                       other name as "other", so a sender can't mint label values
+//   async parse(body)   the incoming order (below), or null when the event isn't about an
+//                       order. Throws OrderSourceError when the payload is malformed.
+//
+// The incoming order:
+//
+//   {
+//     orderId,        unique across sources; generic sources prefix theirs with the source id
+//     locationId,     or null for the default location
+//     items,          [{ name, quantity, variationName, note, modifiers: [names],
+//                        catalogObjectId, category }], or null when the event carries no
+//                        items and the ones already on the ticket should stay
+//     diningOption,   "TO GO", "FOR HERE", other text, or null
+//     notes,          ticket note
+//     customer,       { name, phone, email } for ready notifications, or null
+//     schedule,       { pickupAt, prepTimeMs, fireAt } for a later pickup, or null for ASAP
+//     cancelled,      true when the source has cancelled the order
+//     state,          the source's own order state for logs, or null
+//     fields,         extra source-specific fields to keep on the order (Square's state)
+//   }
+//
+// The kitchen owns the ticket's status: a source can add an order, change its items and
+// details, or cancel it, but never move it along the line.
+
+class OrderSourceError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = "OrderSourceError";
+    this.details = details;
+  }
+}
+
+// Square, other POS systems and delivery platforms all name dining options differently;
+// the kitchen only cares whether it goes in a bag
+function normalizeDiningOption(rawDiningOption, rawFulfillmentType) {
+  const joined = [rawDiningOption, rawFulfillmentType]
+    .filter(Boolean)
+    .map((v) => String(v).trim().toUpperCase())
+    .join(" ");
+
+  if (!joined) return null;
+
+  if (joined.includes("TO GO") || joined.includes("TO_GO") || joined.includes("TAKEOUT") || joined.includes("PICKUP") || joined.includes("CURBSIDE") || joined.includes("DELIVERY") || joined.includes("SHIPMENT")) {
+    return "TO GO";
+  }
+
+  if (joined.includes("FOR HERE") || joined.includes("DINE IN") || joined.includes("DINE-IN") || joined.includes("IN STORE") || joined.includes("IN_STORE") || joined.includes("EAT IN") || joined.includes("EAT-IN")) {
+    return "FOR HERE";
+  }
+
+  return String(rawDiningOption || rawFulfillmentType || "").trim() || null;
+}
+
+// "kiosk=s3cret,doordash:DoorDash=other" -> [{ id, label, secret }]. The label defaults to
+// the id; ids are lower-cased so they're safe in a URL and a CSS class.
+function parseSourceConfig(config) {
+  return String(config || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const eq = entry.indexOf("=");
+      const name = eq === -1 ? entry : entry.slice(0, eq);
+      const secret = eq === -1 ? "" : entry.slice(eq + 1).trim();
+      const [id, label] = name.split(":");
+      return {
+        id: id.trim().toLowerCase(),
+        label: label?.trim() || id.trim(),
+        secret: secret || null,
+      };
+    })
+    .filter((source) => /^[a-z0-9_-]+$/.test(source.id));
+}
+
+module.exports = { OrderSourceError, normalizeDiningOption, parseSourceConfig };
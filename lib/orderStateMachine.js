@@ -0,0 +1,92 @@
+// ===============================
+// VertiDog KDS – Order state machine
+// ===============================
+//
+//   [scheduled ->] new -> in-progress -> ready -> picked-up
+//
+// Orders for a later pickup wait as scheduled until their fire time (pickup time minus
+// prep time), then go to the line as new.
+// Anything still on the line (or waiting at the pass) can be cancelled. Recall brings a
+// ready, picked-up or cancelled ticket back onto the line.
+//
+// A recalled ticket is back on the line (e.g. remade after pickup) and can be
+// readied or cancelled again. Only the server moves orders between states;
+// clients ask for a transition and get an ack or an error back.
+
+const STATUSES = ["scheduled", "new", "in-progress", "ready", "picked-up", "cancelled", "recalled"];
+
+const TRANSITIONS = {
+  scheduled: ["new", "cancelled"],
+  new: ["in-progress", "ready", "cancelled"],
+  "in-progress": ["ready", "cancelled"],
+  ready: ["picked-up", "recalled", "cancelled"],
+  "picked-up": ["recalled"],
+  cancelled: ["recalled"],
+  recalled: ["in-progress", "ready", "cancelled"],
+};
+
+// Still on the line: items can be bumped and the ticket prioritized
+const WORKING_STATUSES = ["new", "in-progress", "recalled"];
+// Shown on the active screen
+const ACTIVE_STATUSES = [...WORKING_STATUSES, "ready"];
+// Off the line for good unless someone recalls it
+const FINISHED_STATUSES = ["picked-up", "cancelled"];
+// Not on the line yet: waiting for its fire time
+const SCHEDULED_STATUSES = ["scheduled"];
+
+class InvalidTransitionError extends Error {
+  constructor(from, to) {
+    super(`Cannot move order from ${from || "unknown"} to ${to}`);
+    this.name = "InvalidTransitionError";
+    this.code = "ILLEGAL_TRANSITION";
+    this.from = from;
+    this.to = to;
+  }
+}
+
+// Map older and Square-side status names onto the state machine
+function normalizeStatus(status, { cancelled = false } = {}) {
+  if (!status) return status;
+  const lower = String(status).toLowerCase();
+  if (lower === "cancelled" || lower === "canceled") return "cancelled";
+  // "done" used to mean both picked up and cancelled
+  if (lower === "done") return cancelled ? "cancelled" : "picked-up";
+  if (lower === "completed" || lower === "picked_up") return "picked-up";
+  return lower;
+}
+
+function canTransition(from, to) {
+  return Boolean(TRANSITIONS[from]?.includes(to));
+}
+
+function assertTransition(from, to) {
+  if (!canTransition(from, to)) throw new InvalidTransitionError(from, to);
+}
+
+function isWorking(status) {
+  return WORKING_STATUSES.includes(status);
+}
+
+function isFinished(status) {
+  return FINISHED_STATUSES.includes(status);
+}
+
+function isScheduled(status) {
+  return SCHEDULED_STATUSES.includes(status);
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  ACTIVE_STATUSES,
+  WORKING_STATUSES,
+  FINISHED_STATUSES,
+  SCHEDULED_STATUSES,
+  InvalidTransitionError,
+  normalizeStatus,
+  canTransition,
+  assertTransition,
+  isWorking,
+  isFinished,
+  isScheduled,
+};
@@ -0,0 +1,341 @@
+// ===============================
+// VertiDog KDS – Durable order store
+// ===============================
+//
+// Append-only event log + periodic snapshots, replacing the old rewrite-the-whole-file
+// orders.json. Every state transition is appended (and fsync'd) to events.log as one JSON
+// line carrying the full order after the change. Snapshots are written to a temp file and
+// renamed into place, then the log is truncated. On startup the snapshot is loaded and the
+// log replayed on top; a torn last line from a crash is skipped instead of dropping state.
+//
+// Completed orders older than the retention window are moved to archive/orders-YYYY-MM-DD.ndjson
+// so startup and SYNC_STATE only deal with the current service.
+//
+// The log sequence number doubles as the sync revision: each recorded order is stamped
+// with the `revision` of its last change, which screens use to ask for what they missed.
+
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "order-store" });
+
+const ARCHIVED = "ORDER_ARCHIVED";
+
+function createOrderStore({
+  orders,
+  dataDir,
+  legacyStateFile = null,
+  snapshotIntervalMs = 5 * 60 * 1000,
+  snapshotEveryEvents = 500,
+  retentionMs = 24 * 60 * 60 * 1000,
+  isArchivable = () => false,
+  onArchived = () => {},
+}) {
+  const snapshotFile = path.join(dataDir, "snapshot.json");
+  const logFile = path.join(dataDir, "events.log");
+  const archiveDir = path.join(dataDir, "archive");
+
+  let seq = 0;
+  let eventsSinceSnapshot = 0;
+  let logFd = null;
+  let snapshotTimer = null;
+
+  function ensureDirs() {
+    fs.mkdirSync(archiveDir, { recursive: true });
+  }
+
+  function openLog() {
+    if (logFd === null) logFd = fs.openSync(logFile, "a");
+  }
+
+  function readSnapshot() {
+    try {
+      const data = fs.readFileSync(snapshotFile, "utf8");
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        log.error("Error reading snapshot", { file: snapshotFile, error: error.message });
+      }
+      return null;
+    }
+  }
+
+  // Only used the first time, to carry over state from the old orders.json
+  function readLegacyState() {
+    if (!legacyStateFile) return null;
+    try {
+      const data = fs.readFileSync(legacyStateFile, "utf8");
+      if (data.trim().length === 0) return null;
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        log.error("Error reading legacy state", { file: legacyStateFile, error: error.message });
+      }
+      return null;
+    }
+  }
+
+  function applyEvent(event) {
+    if (!event || !event.orderId) return;
+    if (event.type === ARCHIVED) {
+      delete orders[event.orderId];
+    } else if (event.order) {
+      orders[event.orderId] = event.order;
+    }
+  }
+
+  function replayLog(fromSeq) {
+    let data;
+    try {
+      data = fs.readFileSync(logFile, "utf8");
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        log.error("Error reading event log", { file: logFile, error: error.message });
+      }
+      return 0;
+    }
+
+    let replayed = 0;
+    const lines = data.split("\n");
+    lines.forEach((line, i) => {
+      if (!line.trim()) return;
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (error) {
+        // A half-written last line is expected after a crash; anything else is worth shouting about
+        const isLast = lines.slice(i + 1).every((l) => !l.trim());
+        log.warn(`${isLast ? "Skipping torn" : "Skipping corrupt"} event log line`, { file: logFile, line: i + 1 });
+        return;
+      }
+      if (event.seq <= fromSeq) return; // already in the snapshot
+      applyEvent(event);
+      seq = Math.max(seq, event.seq);
+      replayed++;
+    });
+    return replayed;
+  }
+
+  function load() {
+    ensureDirs();
+
+    const snapshot = readSnapshot();
+    if (snapshot) {
+      Object.assign(orders, snapshot.orders || {});
+      seq = Number(snapshot.seq) || 0;
+    } else {
+      const legacy = readLegacyState();
+      if (legacy) {
+        Object.assign(orders, legacy);
+        log.info("Imported legacy orders", { file: legacyStateFile, orders: Object.keys(legacy).length });
+      }
+    }
+
+    const replayed = replayLog(seq);
+    eventsSinceSnapshot = replayed;
+    log.info("Loaded KDS state", { dataDir, orders: Object.keys(orders).length, replayed });
+
+    openLog();
+    // Start each run from a fresh snapshot so the log only holds this run's events
+    writeSnapshot();
+    return orders;
+  }
+
+  function append(event) {
+    openLog();
+    const line = JSON.stringify(event) + "\n";
+    fs.writeSync(logFd, line);
+    fs.fsyncSync(logFd);
+  }
+
+  // Record an order after a state transition. `type` names the transition (e.g. ITEM_COMPLETED).
+  // Returns the revision the change was recorded at, or null when the log couldn't be
+  // written; the sequence only moves once a line is on disk, so it never has gaps.
+  function record(type, order) {
+    if (!order || !order.orderId) return null;
+    const previousRevision = order.revision;
+    order.revision = seq + 1;
+    try {
+      append({ seq: seq + 1, at: Date.now(), type, orderId: order.orderId, order });
+    } catch (error) {
+      order.revision = previousRevision;
+      log.error("Error appending to event log", { error: error.message, code: error.code });
+      return null;
+    }
+    seq++;
+    eventsSinceSnapshot++;
+    if (eventsSinceSnapshot >= snapshotEveryEvents) writeSnapshot();
+    return seq;
+  }
+
+  function getRevision() {
+    return seq;
+  }
+
+  function writeFileAtomic(file, contents) {
+    const tmp = `${file}.tmp`;
+    const fd = fs.openSync(tmp, "w");
+    try {
+      fs.writeSync(fd, contents);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, file);
+  }
+
+  // Write a snapshot and compact the log. If we crash between the rename and the
+  // truncate, replay skips the events the snapshot already covers.
+  function writeSnapshot() {
+    try {
+      writeFileAtomic(snapshotFile, JSON.stringify({ seq, at: Date.now(), orders }));
+      openLog();
+      fs.ftruncateSync(logFd, 0);
+      eventsSinceSnapshot = 0;
+    } catch (error) {
+      log.error("Error writing KDS snapshot", { error: error.message });
+    }
+  }
+
+  function archiveCompleted(now = Date.now()) {
+    const cutoff = now - retentionMs;
+    const archived = [];
+    for (const orderId in orders) {
+      const order = orders[orderId];
+      if (isArchivable(order, cutoff)) archived.push(order);
+    }
+    if (archived.length === 0) return 0;
+
+    const byDay = {};
+    archived.forEach((order) => {
+      const day = new Date(order.createdAt || now).toISOString().slice(0, 10);
+      (byDay[day] = byDay[day] || []).push(order);
+    });
+
+    try {
+      for (const day in byDay) {
+        const lines = byDay[day].map((o) => JSON.stringify(o)).join("\n") + "\n";
+        fs.appendFileSync(path.join(archiveDir, `orders-${day}.ndjson`), lines, "utf8");
+      }
+    } catch (error) {
+      log.error("Error archiving completed orders", { error: error.message });
+      return 0;
+    }
+
+    // An order whose removal couldn't be logged stays live and is archived again next
+    // time (the report dedupes the extra archive line)
+    let removed = 0;
+    try {
+      archived.forEach((order) => {
+        append({ seq: seq + 1, at: now, type: ARCHIVED, orderId: order.orderId });
+        seq++;
+        delete orders[order.orderId];
+        onArchived(order, seq);
+        removed++;
+      });
+    } catch (error) {
+      log.error("Error logging archived orders", { error: error.message, code: error.code, removed });
+    }
+    if (removed > 0) {
+      writeSnapshot();
+      log.info("Archived completed orders", { count: removed });
+    }
+    return removed;
+  }
+
+  // Archived orders created in [fromTs, toTs). Archive files are bucketed by UTC day.
+  function readArchivedOrders(fromTs, toTs) {
+    const fromDay = new Date(fromTs).toISOString().slice(0, 10);
+    const toDay = new Date(toTs).toISOString().slice(0, 10);
+    let files;
+    try {
+      files = fs.readdirSync(archiveDir);
+    } catch (error) {
+      return [];
+    }
+
+    const result = [];
+    files
+      .filter((f) => /^orders-\d{4}-\d{2}-\d{2}\.ndjson$/.test(f))
+      .filter((f) => {
+        const day = f.slice(7, 17);
+        return day >= fromDay && day <= toDay;
+      })
+      .forEach((f) => {
+        const data = fs.readFileSync(path.join(archiveDir, f), "utf8");
+        data.split("\n").forEach((line) => {
+          if (!line.trim()) return;
+          try {
+            const order = JSON.parse(line);
+            if (order.createdAt >= fromTs && order.createdAt < toTs) result.push(order);
+          } catch (error) {
+            // skip a torn line
+          }
+        });
+      });
+    return result;
+  }
+
+  // One archived order by id, newest archive file first; null when it isn't there
+  function findArchivedOrder(orderId) {
+    let files;
+    try {
+      files = fs.readdirSync(archiveDir);
+    } catch (error) {
+      return null;
+    }
+
+    const archiveFiles = files.filter((f) => /^orders-\d{4}-\d{2}-\d{2}\.ndjson$/.test(f)).sort().reverse();
+    for (const f of archiveFiles) {
+      const data = fs.readFileSync(path.join(archiveDir, f), "utf8");
+      if (!data.includes(orderId)) continue;
+      for (const line of data.split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          const order = JSON.parse(line);
+          if (order.orderId === orderId) return order;
+        } catch (error) {
+          // skip a torn line
+        }
+      }
+    }
+    return null;
+  }
+
+  function start() {
+    if (snapshotTimer) return;
+    // A full or read-only disk must not take the kitchen down with an uncaught throw
+    snapshotTimer = setInterval(() => {
+      try {
+        archiveCompleted();
+        if (eventsSinceSnapshot > 0) writeSnapshot();
+      } catch (error) {
+        log.error("Error in snapshot timer", { error: error.message, code: error.code });
+      }
+    }, snapshotIntervalMs);
+    snapshotTimer.unref();
+  }
+
+  function close() {
+    if (snapshotTimer) clearInterval(snapshotTimer);
+    snapshotTimer = null;
+    writeSnapshot();
+    if (logFd !== null) fs.closeSync(logFd);
+    logFd = null;
+  }
+
+  return {
+    load,
+    record,
+    getRevision,
+    snapshot: writeSnapshot,
+    archiveCompleted,
+    readArchivedOrders,
+    findArchivedOrder,
+    start,
+    close,
+  };
+}
+
+module.exports = { createOrderStore };
@@ -0,0 +1,258 @@
+// ===============================
+// VertiDog KDS – Prep times and kitchen pacing
+// ===============================
+//
+// How long things take to make, and what that means for the line. Kept in
+// data/prep-times.json and edited through PUT /api/prep-times:
+//
+//   {
+//     "defaultSeconds": 120,              an item nothing below matches
+//     "stations": { "drinks": 30 },       per-station default, before defaultSeconds
+//     "items": [                          first match wins, like the menu display items:
+//       { "name": ["combo"], "seconds": 360, "extraSeconds": 90 },      catalog id, or
+//       { "catalogObjectId": "SKU-17", "seconds": 240 }                 name contains all
+//     ],
+//     "warnPercent": 100,                 amber once a ticket has taken this share of its
+//     "criticalPercent": 150,             own prep time, red at this one
+//     "behindMinutes": 20                 the kitchen is behind once a new order would wait
+//   }                                     this long
+//
+// `seconds` is for one of the item; each one after that adds `extraSeconds` (half of
+// `seconds` unless set), since the grill cooks several dogs at once.
+//
+// A ticket's prep time is its slowest station's share: stations work side by side, each
+// through its own items one after another. Its target is its start on the line plus that
+// prep time. The expected ready time also counts the queue: the line is walked in the
+// order the kitchen works it (prioritized first, then oldest) and each station only gets
+// to a ticket once it's through the ones ahead of it. The projected wait is how long an
+// order placed now would take: the longest station queue plus one default item.
+
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+const { isWorking } = require("./orderStateMachine");
+const { findEntry } = require("./menuDisplay");
+
+const log = logger.child({ component: "prep-times" });
+
+const MAX_SECONDS = 4 * 60 * 60;
+
+const DEFAULT_PREP_TIMES = {
+  defaultSeconds: 120,
+  stations: { drinks: 30, fryer: 180 },
+  items: [
+    { name: ["combo"], seconds: 300, extraSeconds: 90 },
+    { name: ["vertifries"], seconds: 180, extraSeconds: 30 },
+  ],
+  warnPercent: 100,
+  criticalPercent: 150,
+  behindMinutes: 20,
+};
+
+class PrepTimesError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = "PrepTimesError";
+    this.details = details;
+  }
+}
+
+function toStringList(value) {
+  if (value === undefined || value === null || value === "") return [];
+  return (Array.isArray(value) ? value : [value]).map((v) => String(v).trim()).filter(Boolean);
+}
+
+// A number within [min, max], the fallback when left out, or an error
+function readNumber(value, { where, min = 0, max = MAX_SECONDS, fallback = null }, errors) {
+  if (value === undefined || value === null || value === "") return fallback;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < min || n > max) {
+    errors.push(`${where} must be a number from ${min} to ${max}`);
+    return fallback;
+  }
+  return n;
+}
+
+// Check a config and return a clean copy. Throws PrepTimesError listing every problem.
+function normalizePrepTimes(config, { stations = [] } = {}) {
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new PrepTimesError("Prep time config must be an object");
+  }
+  const errors = [];
+
+  const stationSeconds = {};
+  const rawStations = config.stations && typeof config.stations === "object" ? config.stations : {};
+  Object.entries(rawStations).forEach(([name, value]) => {
+    const station = name.trim().toLowerCase();
+    if (!stations.includes(station)) {
+      errors.push(`stations: unknown station ${name}`);
+      return;
+    }
+    stationSeconds[station] = readNumber(value, { where: `stations.${name}` }, errors);
+  });
+
+  const items = (Array.isArray(config.items) ? config.items : []).map((entry, i) => {
+    const where = `items[${i}]`;
+    const catalogObjectId = toStringList(entry?.catalogObjectId)[0] || null;
+    const name = toStringList(entry?.name).map((n) => n.toLowerCase());
+    if (!catalogObjectId && name.length === 0) errors.push(`${where}: needs a catalogObjectId or name`);
+    const missing = entry?.seconds === undefined || entry?.seconds === null || entry?.seconds === "";
+    if (missing) errors.push(`${where}: seconds is required`);
+    const seconds = readNumber(entry?.seconds, { where: `${where}.seconds` }, errors);
+    return {
+      catalogObjectId,
+      name,
+      seconds,
+      extraSeconds: readNumber(entry?.extraSeconds, { where: `${where}.extraSeconds` }, errors),
+    };
+  });
+
+  const normalized = {
+    defaultSeconds: readNumber(config.defaultSeconds, { where: "defaultSeconds", min: 1, fallback: 120 }, errors),
+    stations: stationSeconds,
+    items,
+    warnPercent: readNumber(config.warnPercent, { where: "warnPercent", min: 1, max: 1000, fallback: 100 }, errors),
+    criticalPercent: readNumber(
+      config.criticalPercent,
+      { where: "criticalPercent", min: 1, max: 1000, fallback: 150 },
+      errors
+    ),
+    behindMinutes: readNumber(config.behindMinutes, { where: "behindMinutes", min: 1, max: 240, fallback: 20 }, errors),
+  };
+  if (normalized.criticalPercent < normalized.warnPercent) {
+    errors.push("criticalPercent must not be below warnPercent");
+  }
+
+  if (errors.length > 0) throw new PrepTimesError("Invalid prep time config", errors);
+  return normalized;
+}
+
+function toQuantity(value) {
+  const n = Number(value ?? 1);
+  return Number.isFinite(n) && n > 0 ? n : 1;
+}
+
+// How long one line item takes, quantity included
+function getItemPrepMs(item, config, { defaultStation = null } = {}) {
+  const entry = findEntry(item || {}, config);
+  const station = item?.station || defaultStation;
+  const seconds = entry?.seconds ?? config.stations[station] ?? config.defaultSeconds;
+  const extraSeconds = entry?.extraSeconds ?? seconds / 2;
+  return Math.round((seconds + (toQuantity(item?.quantity) - 1) * extraSeconds) * 1000);
+}
+
+// station -> ms of work, for all of the order's items or only those not yet bumped
+function getStationWork(order, config, { defaultStation = null, outstandingOnly = false } = {}) {
+  const work = {};
+  (order.items || []).forEach((item) => {
+    if (outstandingOnly && item.completed) return;
+    const station = item.station || defaultStation || "line";
+    work[station] = (work[station] || 0) + getItemPrepMs(item, config, { defaultStation });
+  });
+  return work;
+}
+
+// A ticket's own prep time: its slowest station, or one default item if it has no items
+function getTicketPrepMs(order, config, options = {}) {
+  const work = Object.values(getStationWork(order, config, options));
+  return work.length > 0 ? Math.max(...work) : config.defaultSeconds * 1000;
+}
+
+// When the ticket's clock started: a recall puts it back on the line, a scheduled order
+// starts when it fires
+function getPacingStart(order) {
+  if (order.status === "recalled" && order.recalledAt) return order.recalledAt;
+  return order.firedAt || order.createdAt || 0;
+}
+
+// The order the kitchen works the line in, as the screens sort it: prioritized first
+// (most recently prioritized on top), then oldest first
+function compareLineOrder(a, b) {
+  if (a.isPrioritized && b.isPrioritized) {
+    const diff = (b.prioritizedAt || 0) - (a.prioritizedAt || 0);
+    if (diff !== 0) return diff;
+  }
+  if (Boolean(a.isPrioritized) !== Boolean(b.isPrioritized)) return a.isPrioritized ? -1 : 1;
+  return getPacingStart(a) - getPacingStart(b);
+}
+
+// Targets and expected ready times for every working ticket in `orders` (one location's),
+// plus the projected wait for a new order and whether that makes the kitchen behind
+function buildPacing(orders, config, { now = Date.now(), defaultStation = null } = {}) {
+  const line = (orders || []).filter((o) => o && isWorking(o.status)).sort(compareLineOrder);
+  // When each station gets through everything queued on it so far
+  const freeAt = {};
+  const tickets = {};
+
+  line.forEach((order) => {
+    const startAt = getPacingStart(order);
+    const prepMs = getTicketPrepMs(order, config, { defaultStation });
+    // Work already under way counts down from when the kitchen started the ticket: a station
+    // still owing items has its whole share less that time left, one with nothing left owes
+    // nothing. (Taking the time off only what's left would count bumped items twice.)
+    const elapsed = order.startedAt ? Math.max(0, now - Math.max(order.startedAt, startAt)) : 0;
+    const work = getStationWork(order, config, { defaultStation });
+    let expectedReadyAt = now;
+    Object.keys(getStationWork(order, config, { defaultStation, outstandingOnly: true })).forEach((station) => {
+      freeAt[station] = Math.max(freeAt[station] || now, now) + Math.max(0, work[station] - elapsed);
+      expectedReadyAt = Math.max(expectedReadyAt, freeAt[station]);
+    });
+    tickets[order.orderId] = { startAt, prepMs, targetAt: startAt + prepMs, expectedReadyAt };
+  });
+
+  const queueMs = Math.max(0, ...Object.values(freeAt).map((at) => at - now));
+  const projectedWaitMs = queueMs + config.defaultSeconds * 1000;
+  return {
+    tickets,
+    queueLength: line.length,
+    projectedWaitMs,
+    behind: projectedWaitMs >= config.behindMinutes * 60 * 1000,
+    warnPercent: config.warnPercent,
+    criticalPercent: config.criticalPercent,
+  };
+}
+
+function createPrepTimes({ file, stations = [] }) {
+  let config = normalizePrepTimes(DEFAULT_PREP_TIMES, { stations });
+
+  function load() {
+    try {
+      const data = fs.readFileSync(file, "utf8");
+      config = normalizePrepTimes(JSON.parse(data), { stations });
+      log.info("Loaded prep times", { file });
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        log.error("Error loading prep times, using defaults", { file, error: error.message });
+      }
+    }
+    return config;
+  }
+
+  // Validate, then persist (temp file + rename so a crash can't leave half a config)
+  function update(nextConfig) {
+    const normalized = normalizePrepTimes(nextConfig, { stations });
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(normalized, null, 2), "utf8");
+    fs.renameSync(tmp, file);
+    config = normalized;
+    return config;
+  }
+
+  return {
+    load,
+    update,
+    get: () => config,
+    buildPacing: (orders, options) => buildPacing(orders, config, options),
+  };
+}
+
+module.exports = {
+  createPrepTimes,
+  normalizePrepTimes,
+  getItemPrepMs,
+  getTicketPrepMs,
+  buildPacing,
+  PrepTimesError,
+  DEFAULT_PREP_TIMES,
+};
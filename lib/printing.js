@@ -0,0 +1,251 @@
+// ===============================
+// VertiDog KDS – Kitchen ticket printing
+// ===============================
+//
+// Stations that still want paper get their tickets on a network receipt printer: ESC/POS
+// bytes (lib/escpos.js) written straight to the printer's raw TCP port, 9100 by default.
+//
+// Print jobs go through a queue persisted to disk, like customer notifications: a printer
+// that's off or out of reach is retried with backoff, and each printer's jobs go out in
+// the order they were queued, so tickets don't come out shuffled once it's back. A ticket
+// nobody managed to print within `maxJobAgeMs` is moved to the dead list; by then the
+// kitchen has worked from the screen anyway.
+
+const fs = require("fs");
+const path = require("path");
+const net = require("net");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "printing" });
+
+class PrintError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PrintError";
+  }
+}
+
+// "grill=10.0.0.21,expo@L1AB=10.0.0.22:9100" -> [{ station, location, host, port }]. A printer
+// with an @location only prints that location's tickets.
+function parsePrinterConfig(config) {
+  return String(config || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [target, address = ""] = entry.split("=");
+      const [station, location] = target.split("@");
+      const [host, port] = address.trim().split(":");
+      return {
+        station: station.trim().toLowerCase(),
+        location: location?.trim() || null,
+        host,
+        port: Number(port) || 9100,
+      };
+    })
+    .filter((printer) => printer.station && printer.host);
+}
+
+// Open a connection, write the bytes, close. Resolves once the printer has taken them.
+function sendToPrinter({ host, port }, data, timeoutMs = 10000) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port });
+    socket.setTimeout(timeoutMs, () => socket.destroy(new PrintError(`printer ${host}:${port} timed out`)));
+    socket.on("error", (err) => reject(err instanceof PrintError ? err : new PrintError(err.message)));
+    socket.on("connect", () => socket.end(data));
+    socket.on("close", (hadError) => {
+      if (!hadError) resolve();
+    });
+  });
+}
+
+function createPrintQueue({
+  printers = [],
+  queueFile,
+  pollIntervalMs = 1000,
+  baseDelayMs = 3000,
+  maxDelayMs = 60 * 1000,
+  maxJobAgeMs = 30 * 60 * 1000,
+  maxDeadJobs = 200,
+  maxRecentLog = 200,
+  sendTimeoutMs = 10000,
+  send = sendToPrinter,
+}) {
+  const state = { pending: [], dead: [] };
+  const recentLog = [];
+  let timer = null;
+  let running = false;
+  let jobSeq = 0;
+
+  function load() {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(queueFile, "utf8"));
+      state.pending = Array.isArray(parsed.pending) ? parsed.pending : [];
+      state.dead = Array.isArray(parsed.dead) ? parsed.dead : [];
+      if (state.pending.length > 0) {
+        log.info("Loaded pending print jobs", { count: state.pending.length, file: queueFile });
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        log.error("Error loading print queue", { file: queueFile, error: error.message });
+      }
+    }
+  }
+
+  function save() {
+    try {
+      fs.mkdirSync(path.dirname(queueFile), { recursive: true });
+      const tmp = `${queueFile}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(state), "utf8");
+      fs.renameSync(tmp, queueFile);
+    } catch (error) {
+      log.error("Error saving print queue", { error: error.message });
+    }
+  }
+
+  function record(job, outcome, detail = {}) {
+    recentLog.push({
+      at: Date.now(),
+      jobId: job.id,
+      orderId: job.orderId,
+      orderNumber: job.orderNumber,
+      printer: job.printer,
+      kind: job.kind,
+      outcome,
+      attempts: job.attempts,
+      ...detail,
+    });
+    if (recentLog.length > maxRecentLog) recentLog.splice(0, recentLog.length - maxRecentLog);
+  }
+
+  function printerKey(printer) {
+    return `${printer.host}:${printer.port}`;
+  }
+
+  // Printers that take tickets for this station in this location
+  function printersFor(station, location) {
+    return printers.filter((p) => p.station === station && (!p.location || p.location === location));
+  }
+
+  function hasPrinter(station, location) {
+    return printersFor(station, location).length > 0;
+  }
+
+  // Stations with a printer, for routing new tickets
+  function getStations(location) {
+    return [...new Set(printers.filter((p) => !p.location || p.location === location).map((p) => p.station))];
+  }
+
+  // Queue `data` (ESC/POS bytes) for every printer of the station. Returns the queued jobs.
+  function enqueue({ orderId, orderNumber, station, location, kind, data }) {
+    const jobs = printersFor(station, location).map((printer) => ({
+      id: `print-${Date.now()}-${++jobSeq}`,
+      orderId,
+      orderNumber,
+      station,
+      kind,
+      printer: printerKey(printer),
+      host: printer.host,
+      port: printer.port,
+      data: Buffer.from(data).toString("base64"),
+      attempts: 0,
+      createdAt: Date.now(),
+      nextAttemptAt: Date.now(),
+      lastError: null,
+    }));
+    if (jobs.length === 0) return [];
+    state.pending.push(...jobs);
+    jobs.forEach((job) => record(job, "queued"));
+    save();
+    setImmediate(processDueJobs);
+    return jobs;
+  }
+
+  function getBackoffMs(attempts) {
+    return Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+  }
+
+  function moveToDead(job, reason) {
+    state.pending = state.pending.filter((j) => j.id !== job.id);
+    state.dead.push({ ...job, data: undefined, failedAt: Date.now(), reason });
+    if (state.dead.length > maxDeadJobs) state.dead = state.dead.slice(-maxDeadJobs);
+  }
+
+  async function processDueJobs() {
+    if (running) return;
+    running = true;
+    try {
+      const now = Date.now();
+      // A printer whose oldest job is waiting holds back its later jobs too, but a held-back
+      // job still expires on time
+      const blocked = new Set();
+      for (const job of state.pending.slice()) {
+        if (now - job.createdAt > maxJobAgeMs) {
+          moveToDead(job, "expired");
+          record(job, "expired", { error: job.lastError });
+          save();
+          continue;
+        }
+        if (blocked.has(job.printer)) continue;
+        if (job.nextAttemptAt > now) {
+          blocked.add(job.printer);
+          continue;
+        }
+
+        job.attempts++;
+        try {
+          await send({ host: job.host, port: job.port }, Buffer.from(job.data, "base64"), sendTimeoutMs);
+          state.pending = state.pending.filter((j) => j.id !== job.id);
+          record(job, "printed");
+          log.info("Printed", {
+            kind: job.kind,
+            orderNumber: job.orderNumber,
+            station: job.station,
+            printer: job.printer,
+          });
+        } catch (err) {
+          job.lastError = err.message;
+          job.nextAttemptAt = Date.now() + getBackoffMs(job.attempts);
+          blocked.add(job.printer);
+          record(job, "retrying", { error: err.message });
+          log.warn("Printer failed, will retry", {
+            printer: job.printer,
+            station: job.station,
+            orderNumber: job.orderNumber,
+            attempts: job.attempts,
+            error: err.message,
+          });
+        }
+        save();
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    load();
+    if (timer || printers.length === 0) return;
+    timer = setInterval(processDueJobs, pollIntervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  function getStatus() {
+    const strip = ({ data, ...job }) => job;
+    return {
+      printers: printers.map((p) => ({ ...p })),
+      pending: state.pending.map(strip),
+      dead: state.dead.map(strip),
+      log: recentLog.slice().reverse(),
+    };
+  }
+
+  return { enqueue, hasPrinter, getStations, start, stop, getStatus, processDueJobs };
+}
+
+module.exports = { createPrintQueue, parsePrinterConfig, sendToPrinter, PrintError };
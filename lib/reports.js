@@ -0,0 +1,183 @@
+// ===============================
+// VertiDog KDS – Kitchen performance reports
+// ===============================
+//
+// Builds ticket-time, recall/cancel and throughput stats from stored orders.
+// Ticket time is createdAt -> readyAt; item time is createdAt -> the item's completedAt.
+// Scheduled orders are timed from when they were fired to the kitchen instead.
+// All times in the output are seconds.
+
+const DAYPARTS = [
+  { name: "breakfast", from: 5, to: 11 },
+  { name: "lunch", from: 11, to: 15 },
+  { name: "afternoon", from: 15, to: 17 },
+  { name: "dinner", from: 17, to: 21 },
+  { name: "late night", from: 21, to: 29 }, // wraps past midnight to 5am
+];
+
+// The location's local calendar date (YYYY-MM-DD) and hour for a timestamp
+function getLocalTime(ts, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "numeric",
+    hourCycle: "h23",
+    timeZone,
+  })
+    .formatToParts(new Date(ts))
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour) };
+}
+
+function getDaypart(hour) {
+  const h = hour < 5 ? hour + 24 : hour;
+  return DAYPARTS.find((d) => h >= d.from && h < d.to)?.name || "late night";
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const idx = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+  return sorted[idx];
+}
+
+function summarizeDurations(durationsMs) {
+  const secs = durationsMs
+    .filter((d) => Number.isFinite(d) && d >= 0)
+    .map((d) => Math.round(d / 1000))
+    .sort((a, b) => a - b);
+  if (secs.length === 0) {
+    return { count: 0, avg: null, p50: null, p90: null, p95: null, max: null };
+  }
+  const total = secs.reduce((sum, s) => sum + s, 0);
+  return {
+    count: secs.length,
+    avg: Math.round(total / secs.length),
+    p50: percentile(secs, 50),
+    p90: percentile(secs, 90),
+    p95: percentile(secs, 95),
+    max: secs[secs.length - 1],
+  };
+}
+
+function isCancelled(order) {
+  return Boolean(order.cancelledAt);
+}
+
+// When the kitchen could start on the order
+function getKitchenStart(order) {
+  return order.firedAt || order.createdAt;
+}
+
+function getTicketTimeMs(order) {
+  if (isCancelled(order) || !order.readyAt || !order.createdAt) return null;
+  return order.readyAt - getKitchenStart(order);
+}
+
+function quantityOf(item) {
+  const n = Number(item?.quantity ?? 1);
+  return Number.isFinite(n) ? n : 1;
+}
+
+function bucket(map, key) {
+  if (!map[key]) map[key] = { orders: 0, items: 0, cancelled: 0, recalled: 0, durations: [] };
+  return map[key];
+}
+
+function finishBuckets(map, keyName) {
+  return Object.entries(map).map(([key, b]) => ({
+    [keyName]: key,
+    orders: b.orders,
+    items: b.items,
+    cancelled: b.cancelled,
+    recalled: b.recalled,
+    ticketTime: summarizeDurations(b.durations),
+  }));
+}
+
+function buildKitchenReport(orders, { from, to, timeZone } = {}) {
+  const inRange = orders.filter(
+    (o) => o && o.createdAt && (!from || o.createdAt >= from) && (!to || o.createdAt < to)
+  );
+
+  const byHour = {};
+  const byDaypart = {};
+  const byDiningOption = {};
+  const byItem = {};
+  const allDurations = [];
+  let cancelled = 0;
+  let recalled = 0;
+  let itemCount = 0;
+  const activeHours = new Set();
+
+  inRange.forEach((order) => {
+    const { date, hour } = getLocalTime(order.createdAt, timeZone);
+    const daypart = getDaypart(hour);
+    const dining = order.diningOption || "UNKNOWN";
+    const ticketMs = getTicketTimeMs(order);
+    const items = Array.isArray(order.items) ? order.items : [];
+    const orderItems = items.reduce((sum, it) => sum + quantityOf(it), 0);
+    const wasCancelled = isCancelled(order);
+    const wasRecalled = (order.recallCount || 0) > 0;
+
+    itemCount += orderItems;
+    if (wasCancelled) cancelled++;
+    if (wasRecalled) recalled++;
+    if (ticketMs !== null) allDurations.push(ticketMs);
+    // Distinct clock hours with orders, for a per-hour throughput average
+    activeHours.add(`${date} ${hour}`);
+
+    [bucket(byHour, String(hour).padStart(2, "0")), bucket(byDaypart, daypart), bucket(byDiningOption, dining)]
+      .forEach((b) => {
+        b.orders++;
+        b.items += orderItems;
+        if (wasCancelled) b.cancelled++;
+        if (wasRecalled) b.recalled++;
+        if (ticketMs !== null) b.durations.push(ticketMs);
+      });
+
+    if (wasCancelled) return;
+    items.forEach((item) => {
+      const b = bucket(byItem, item.name || "Item");
+      b.orders++;
+      b.items += quantityOf(item);
+      if (wasRecalled) b.recalled++;
+      const doneAt = item.completedAt || order.readyAt;
+      if (doneAt) b.durations.push(doneAt - getKitchenStart(order));
+    });
+  });
+
+  const total = inRange.length;
+  const hours = activeHours.size || 1;
+
+  return {
+    range: { from: from || null, to: to || null, timeZone: timeZone || null },
+    summary: {
+      orders: total,
+      items: itemCount,
+      completed: allDurations.length,
+      cancelled,
+      recalled,
+      cancelRate: total ? cancelled / total : 0,
+      recallRate: total ? recalled / total : 0,
+      ticketTime: summarizeDurations(allDurations),
+    },
+    throughput: {
+      activeHours: activeHours.size,
+      ordersPerHour: total / hours,
+      itemsPerHour: itemCount / hours,
+    },
+    byHour: finishBuckets(byHour, "hour").sort((a, b) => a.hour.localeCompare(b.hour)),
+    byDaypart: finishBuckets(byDaypart, "daypart").sort(
+      (a, b) =>
+        DAYPARTS.findIndex((d) => d.name === a.daypart) - DAYPARTS.findIndex((d) => d.name === b.daypart)
+    ),
+    byDiningOption: finishBuckets(byDiningOption, "diningOption").sort((a, b) => b.orders - a.orders),
+    byItem: finishBuckets(byItem, "item").sort((a, b) => b.items - a.items),
+  };
+}
+
+module.exports = { buildKitchenReport };
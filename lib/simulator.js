@@ -0,0 +1,655 @@
+// ===============================
+// VertiDog KDS – Webhook replay and rush simulator
+// ===============================
+//
+// Drives a running KDS the way a busy night does, to reproduce bugs that only show up
+// under load. Used by scripts/simulate.js and, on dev servers, POST /api/dev/simulate.
+//
+// Traffic is Square webhooks, signed like Square signs them, either:
+//
+//   replay  events recorded from a real night: webhook bodies as a JSON array, NDJSON, or
+//           the server's own "Order webhook body" debug log lines. They're sent with the
+//           recorded spacing (sped up by `speed`, long quiet stretches cut short), in order
+//           or shuffled to mimic late and out-of-order deliveries.
+//   rush    made-up orders: order.created with the full order, some followed by an
+//           order.updated that adds an item, some cancelled.
+//
+// Event and order ids get a per-run suffix and prefix (unless freshIds is off), so a run
+// never collides with real tickets or an earlier run. `duplicateRate` redelivers some
+// events the way Square retries do.
+//
+// Meanwhile fake kitchen screens connect over the WebSocket and work the run's tickets:
+//
+//   kitchen   the all-stations screen: starts each new ticket, then marks it ready
+//   expo      hands ready tickets out (picked up)
+//   <station> a line station: bumps its part of each ticket
+//
+// plus an observer that only watches. When the run settles, every screen's view is
+// checked against a fresh sync from the server. The report lists:
+//
+//   collisions    two live tickets in one location with the same order number
+//   dropped       a ticket the server has for a screen that the screen never heard about
+//   divergence    a screen whose last word on a ticket differs from the server's
+//   disagreements tickets the screens don't agree on among themselves
+//
+// Commands the server turned down (two screens bumping the same ticket) are counted, not
+// reported as problems: that's the state machine doing its job.
+
+const crypto = require("crypto");
+const WebSocket = require("ws");
+const { computeSquareSignature } = require("./squareSource");
+
+const RUSH_MENU = [
+  { name: "Hot Dog", variations: ["Regular", "Jumbo"], modifiers: ["No Onion", "Extra Mustard", "Relish"] },
+  { name: "Chili Dog", variations: ["Regular"], modifiers: ["Cheese", "No Onion"] },
+  { name: "Corn Dog", variations: [null], modifiers: [] },
+  { name: "Fries", variations: ["Small", "Large"], modifiers: ["Well Done", "No Salt"] },
+  { name: "Onion Rings", variations: [null], modifiers: [] },
+  { name: "Lemonade", variations: ["Small", "Large"], modifiers: ["Light Ice"] },
+  { name: "Coke", variations: [null], modifiers: [] },
+];
+
+// Sim-time delays for the fake screens, [min, max] in ms; divided by `speed`
+const DEFAULT_TIMING = {
+  startMs: [5000, 30000],
+  cookMs: [60000, 240000],
+  pickupMs: [20000, 90000],
+};
+
+// A recording's quiet stretches (between lunch and dinner, say) are cut to this, in real time
+const DEFAULT_MAX_GAP_MS = 10000;
+// The run is over once the screens have had nothing to do for this long
+const SETTLE_MS = 1500;
+
+function randomBetween([min, max], random = Math.random) {
+  return min + (max - min) * random();
+}
+
+function pick(list, random = Math.random) {
+  return list[Math.floor(random() * list.length)];
+}
+
+function shuffleInPlace(list, random = Math.random) {
+  for (let i = list.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [list[i], list[j]] = [list[j], list[i]];
+  }
+  return list;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ---------------- Recorded events ----------------
+
+// The three places Square puts the order in a webhook
+function getOrderWrapper(body) {
+  const object = body?.data?.object || {};
+  return object.order_created || object.order_updated || object.order || null;
+}
+
+function getOrderId(body) {
+  const wrapper = getOrderWrapper(body);
+  return wrapper?.order?.id || wrapper?.order_id || body?.data?.id || null;
+}
+
+function toRecordedEvent(entry) {
+  if (!entry || typeof entry !== "object") return null;
+  // A server log line; other sources' bodies aren't Square's
+  if (entry.body && typeof entry.body === "object") {
+    if (entry.source && entry.source !== "square") return null;
+    const at = Date.parse(entry.body.created_at || entry.time || entry.at || "");
+    return { at: Number.isFinite(at) ? at : null, body: entry.body };
+  }
+  if (entry.type && entry.data) {
+    const at = Date.parse(entry.created_at || "");
+    return { at: Number.isFinite(at) ? at : null, body: entry };
+  }
+  return null;
+}
+
+// Recorded webhook bodies from a JSON array, { events: [...] }, or one JSON value per line.
+// Lines that aren't webhooks (other log lines) are skipped.
+function parseRecordedEvents(text) {
+  let entries;
+  try {
+    const parsed = JSON.parse(text);
+    entries = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.events) ? parsed.events : [parsed];
+  } catch (err) {
+    entries = String(text)
+      .split("\n")
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch (lineErr) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+  return entries.map(toRecordedEvent).filter(Boolean);
+}
+
+// Give a recorded body this run's ids, so it makes new tickets instead of being taken for a
+// redelivery of the original
+function withFreshIds(body, runId) {
+  const copy = JSON.parse(JSON.stringify(body));
+  const rename = (id) => (id ? `SIM-${runId}-${id}` : id);
+  if (copy.event_id) copy.event_id = `${copy.event_id}-${runId}`;
+  if (copy.data?.id) copy.data.id = rename(copy.data.id);
+  const wrapper = getOrderWrapper(copy);
+  if (wrapper?.order_id) wrapper.order_id = rename(wrapper.order_id);
+  if (wrapper?.order?.id) wrapper.order.id = rename(wrapper.order.id);
+  return copy;
+}
+
+// [{ at, body }] -> [{ delayMs, body }] in real time. Shuffling keeps the recording's
+// timing but deals the events out in a random order.
+function planReplay(events, { speed = 1, shuffle = false, freshIds = true, runId, maxGapMs = DEFAULT_MAX_GAP_MS, random = Math.random }) {
+  const timed = events.map((event, index) => ({ ...event, at: event.at ?? index * 1000, index }));
+  timed.sort((a, b) => a.at - b.at || a.index - b.index);
+
+  const delays = [];
+  let delayMs = 0;
+  timed.forEach((event, i) => {
+    if (i > 0) delayMs += Math.min(maxGapMs, Math.max(0, event.at - timed[i - 1].at) / speed);
+    delays.push(delayMs);
+  });
+
+  const bodies = timed.map((event) => (freshIds ? withFreshIds(event.body, runId) : event.body));
+  if (shuffle) shuffleInPlace(bodies, random);
+  return bodies.map((body, i) => ({ delayMs: delays[i], body }));
+}
+
+// ---------------- Synthetic rush ----------------
+
+function makeLineItems(random) {
+  const count = 1 + Math.floor(random() * 4);
+  return Array.from({ length: count }, () => {
+    const item = pick(RUSH_MENU, random);
+    const modifiers = item.modifiers.filter(() => random() < 0.3);
+    return {
+      name: item.name,
+      quantity: String(1 + Math.floor(random() * 3)),
+      variation_name: pick(item.variations, random),
+      modifiers: modifiers.map((name) => ({ name })),
+    };
+  });
+}
+
+function squareEvent(type, runId, seq, at, wrapperKey, wrapper) {
+  return {
+    merchant_id: "SIMULATOR",
+    type,
+    event_id: `sim-${runId}-${seq}`,
+    created_at: new Date(at).toISOString(),
+    data: { type: "order", id: wrapper.order_id, object: { [wrapperKey]: wrapper } },
+  };
+}
+
+// `orders` tickets spread over `durationMs` of sim time with random (Poisson) arrivals.
+// Returns [{ delayMs, body }] in real time.
+function planRush({
+  orders = 60,
+  durationMs = 10 * 60 * 1000,
+  updateRate = 0.15,
+  cancelRate = 0.05,
+  locations = [],
+  speed = 1,
+  runId,
+  random = Math.random,
+}) {
+  const events = [];
+  const startedAt = Date.now();
+  const meanGapMs = durationMs / Math.max(1, orders);
+  let at = 0;
+  let seq = 0;
+
+  for (let n = 1; n <= orders; n++) {
+    at += -Math.log(1 - random()) * meanGapMs;
+    const orderId = `SIM-${runId}-${String(n).padStart(4, "0")}`;
+    const locationId = locations.length > 0 ? pick(locations, random) : undefined;
+    const lineItems = makeLineItems(random);
+    const order = {
+      id: orderId,
+      location_id: locationId,
+      state: "OPEN",
+      version: 1,
+      line_items: lineItems,
+      ...(random() < 0.7 ? { fulfillments: [{ type: "PICKUP" }] } : { dining_option: { name: "For Here" } }),
+      note: random() < 0.1 ? "Rush simulator" : undefined,
+    };
+    events.push({
+      at,
+      body: squareEvent("order.created", runId, ++seq, startedAt + at, "order_created", {
+        order_id: orderId,
+        location_id: locationId,
+        state: "OPEN",
+        version: 1,
+        order,
+      }),
+    });
+
+    const roll = random();
+    if (roll < cancelRate) {
+      const cancelAt = at + randomBetween([10000, 120000], random);
+      events.push({
+        at: cancelAt,
+        body: squareEvent("order.updated", runId, ++seq, startedAt + cancelAt, "order_updated", {
+          order_id: orderId,
+          location_id: locationId,
+          state: "CANCELED",
+          version: 2,
+        }),
+      });
+    } else if (roll < cancelRate + updateRate) {
+      const updateAt = at + randomBetween([5000, 60000], random);
+      events.push({
+        at: updateAt,
+        body: squareEvent("order.updated", runId, ++seq, startedAt + updateAt, "order_updated", {
+          order_id: orderId,
+          location_id: locationId,
+          state: "OPEN",
+          version: 2,
+          order: { ...order, version: 2, line_items: [...lineItems, ...makeLineItems(random).slice(0, 1)] },
+        }),
+      });
+    }
+  }
+
+  events.sort((a, b) => a.at - b.at);
+  return events.map((event) => ({ delayMs: event.at / speed, body: event.body }));
+}
+
+// ---------------- Sending ----------------
+
+function createWebhookSender({ baseUrl, signatureKey = null, notificationUrl = null }) {
+  const webhookUrl = `${baseUrl}/webhooks/square`;
+  // Square signs the URL it posts to; the server checks against KDS's configured URL
+  const signedUrl = notificationUrl || webhookUrl;
+  const stats = { sent: 0, failed: 0, byStatus: {}, byReply: {} };
+
+  async function send(body) {
+    const raw = JSON.stringify(body);
+    const headers = { "Content-Type": "application/json" };
+    if (signatureKey) headers["x-square-hmacsha256-signature"] = computeSquareSignature(signedUrl, raw, signatureKey);
+    stats.sent++;
+    try {
+      const resp = await fetch(webhookUrl, { method: "POST", headers, body: raw });
+      const reply = (await resp.text()).slice(0, 40);
+      stats.byStatus[resp.status] = (stats.byStatus[resp.status] || 0) + 1;
+      stats.byReply[reply] = (stats.byReply[reply] || 0) + 1;
+    } catch (err) {
+      stats.failed++;
+    }
+  }
+
+  return { send, stats };
+}
+
+// Send each event at its time; some go twice, like a Square retry
+async function deliver(plan, sender, { duplicateRate = 0, random = Math.random }) {
+  const sends = [];
+  plan.forEach(({ delayMs, body }) => {
+    sends.push(sleep(delayMs).then(() => sender.send(body)));
+    if (random() < duplicateRate) {
+      sends.push(sleep(delayMs + randomBetween([50, 3000], random)).then(() => sender.send(body)));
+    }
+  });
+  await Promise.all(sends);
+}
+
+// ---------------- Fake kitchen screens ----------------
+
+const FINISHED = ["picked-up", "cancelled"];
+
+// What the simulator compares between screens and the server
+function summarize(order) {
+  return {
+    orderNumber: order.orderNumber ?? null,
+    locationId: order.locationId || null,
+    status: order.status ?? null,
+    isPrioritized: Boolean(order.isPrioritized),
+    itemsDone: (order.items || []).filter((item) => item.completed).length,
+  };
+}
+
+function connectScreen({ wsUrl, token, station = null, location = null }) {
+  const url = new URL(wsUrl);
+  if (station) url.searchParams.set("station", station);
+  if (location) url.searchParams.set("location", location);
+  return new WebSocket(url, { headers: { Authorization: `Bearer ${token}` } });
+}
+
+// A fresh screen's full sync: what the server says this screen should show right now
+function fetchServerView(options, timeoutMs = 10000) {
+  return new Promise((resolve, reject) => {
+    const ws = connectScreen(options);
+    const timer = setTimeout(() => {
+      ws.terminate();
+      reject(new Error("Timed out waiting for a sync"));
+    }, timeoutMs);
+    ws.on("message", (raw) => {
+      const msg = JSON.parse(raw.toString());
+      if (msg.type === "AUTH_REQUIRED") {
+        clearTimeout(timer);
+        ws.terminate();
+        reject(new Error("Sign-in rejected"));
+      } else if (msg.type === "SYNC_STATE") {
+        clearTimeout(timer);
+        ws.close();
+        resolve(new Map((msg.orders || []).map((o) => [o.orderId, summarize(o)])));
+      }
+    });
+    ws.on("error", (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+  });
+}
+
+// role: "kitchen", "expo", "observer" or a line station name. Only acts on tickets for
+// which isRunOrder(orderId) is true, so real tickets on the server are left alone.
+function createFakeScreen({ wsUrl, token, role, location = null, isRunOrder, timing, speed, runId, onCollision, random = Math.random }) {
+  const station = role === "kitchen" || role === "observer" ? null : role;
+  const view = new Map(); // orderId -> summary
+  const seen = new Set();
+  const planned = new Set(); // "<orderId>:<step>" already scheduled
+  const timers = new Set();
+  const commands = { sent: 0, acked: 0, errors: {} };
+  let ws = null;
+  let seq = 0;
+  let lastActivityAt = Date.now();
+
+  function later(ms, fn) {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      fn();
+    }, ms / speed);
+    timers.add(timer);
+  }
+
+  function send(type, orderId, extra = {}) {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    commands.sent++;
+    lastActivityAt = Date.now();
+    ws.send(JSON.stringify({ type, orderId, commandId: `sim-${runId}-${role}-${++seq}`, ...extra }));
+  }
+
+  function checkCollision(orderId) {
+    const order = view.get(orderId);
+    if (!order || FINISHED.includes(order.status)) return;
+    view.forEach((other, otherId) => {
+      if (otherId === orderId || FINISHED.includes(other.status)) return;
+      if (other.orderNumber === order.orderNumber && other.locationId === order.locationId) {
+        onCollision({ orderNumber: order.orderNumber, locationId: order.locationId, orderIds: [orderId, otherId].sort(), seenBy: role });
+      }
+    });
+  }
+
+  // Each step is planned once per ticket; whoever acts first wins, the rest get an error back
+  function planOnce(orderId, step, delay, fn) {
+    const key = `${orderId}:${step}`;
+    if (planned.has(key)) return;
+    planned.add(key);
+    later(randomBetween(delay, random), () => {
+      const order = view.get(orderId);
+      if (order) fn(order);
+    });
+  }
+
+  function act(orderId) {
+    const order = view.get(orderId);
+    if (!order || !isRunOrder(orderId)) return;
+    const working = ["new", "in-progress", "recalled"].includes(order.status);
+    if (role === "kitchen" && order.status === "new") {
+      planOnce(orderId, "start", timing.startMs, (o) => o.status === "new" && send("ORDER_STARTED", orderId));
+    }
+    if (role === "kitchen" && working) {
+      planOnce(orderId, "ready", timing.cookMs, (o) =>
+        ["new", "in-progress", "recalled"].includes(o.status) && send("ORDER_READY", orderId)
+      );
+    }
+    if (role === "expo" && order.status === "ready") {
+      planOnce(orderId, "pickup", timing.pickupMs, (o) => o.status === "ready" && send("ORDER_COMPLETED", orderId));
+    }
+    if (station && station !== "expo" && working) {
+      planOnce(orderId, "bump", timing.cookMs, (o) =>
+        ["new", "in-progress", "recalled"].includes(o.status) && send("STATION_BUMP", orderId, { station })
+      );
+    }
+  }
+
+  function upsert(order) {
+    if (!order?.orderId) return;
+    seen.add(order.orderId);
+    view.set(order.orderId, summarize({ ...view.get(order.orderId), ...order }));
+    checkCollision(order.orderId);
+    act(order.orderId);
+  }
+
+  function handleMessage(msg) {
+    lastActivityAt = Date.now();
+    switch (msg.type) {
+      case "SYNC_STATE":
+        view.clear();
+        (msg.orders || []).forEach(upsert);
+        break;
+      case "SYNC_DELTA":
+        (msg.orders || []).forEach(upsert);
+        (msg.removed || []).forEach((r) => view.delete(r.orderId));
+        break;
+      case "NEW_ORDER":
+      case "ORDER_UPDATED":
+      case "ORDER_STATUS_UPDATE":
+      case "ORDER_READY_CONFIRM":
+        upsert(msg);
+        break;
+      case "ORDER_PRIORITY_TOGGLE":
+        if (view.has(msg.orderId)) view.get(msg.orderId).isPrioritized = Boolean(msg.isPrioritized);
+        break;
+      case "COMMAND_ACK":
+        commands.acked++;
+        break;
+      case "COMMAND_ERROR":
+        commands.errors[msg.code] = (commands.errors[msg.code] || 0) + 1;
+        if (msg.order) upsert(msg.order);
+        break;
+      default:
+        break;
+    }
+  }
+
+  function connect(timeoutMs = 10000) {
+    return new Promise((resolve, reject) => {
+      ws = connectScreen({ wsUrl, token, station, location });
+      const timer = setTimeout(() => reject(new Error(`${role} screen did not sync`)), timeoutMs);
+      ws.on("message", (raw) => {
+        const msg = JSON.parse(raw.toString());
+        if (msg.type === "AUTH_REQUIRED") {
+          clearTimeout(timer);
+          reject(new Error("Sign-in rejected"));
+          return;
+        }
+        handleMessage(msg);
+        if (msg.type === "SYNC_STATE") {
+          clearTimeout(timer);
+          resolve();
+        }
+      });
+      ws.on("error", (err) => {
+        clearTimeout(timer);
+        reject(err);
+      });
+    });
+  }
+
+  function close() {
+    timers.forEach((timer) => clearTimeout(timer));
+    timers.clear();
+    if (ws) ws.close();
+  }
+
+  return {
+    role,
+    station,
+    location,
+    view,
+    seen,
+    commands,
+    connect,
+    close,
+    isIdle: () => timers.size === 0 && Date.now() - lastActivityAt > SETTLE_MS,
+  };
+}
+
+// ---------------- Report ----------------
+
+function compareWithServer(screen, serverView, isRunOrder) {
+  const dropped = [];
+  const divergence = [];
+  serverView.forEach((expected, orderId) => {
+    if (!isRunOrder(orderId)) return;
+    if (!screen.seen.has(orderId)) {
+      dropped.push({ screen: screen.role, orderId, orderNumber: expected.orderNumber });
+      return;
+    }
+    const actual = screen.view.get(orderId);
+    if (!actual) {
+      divergence.push({ screen: screen.role, orderId, expected, actual: null });
+      return;
+    }
+    const fields = Object.keys(expected).filter((key) => expected[key] !== actual[key]);
+    if (fields.length > 0) divergence.push({ screen: screen.role, orderId, fields, expected, actual });
+  });
+  // Live on the screen but gone from the server
+  screen.view.forEach((actual, orderId) => {
+    if (isRunOrder(orderId) && !serverView.has(orderId) && !FINISHED.includes(actual.status)) {
+      divergence.push({ screen: screen.role, orderId, expected: null, actual });
+    }
+  });
+  return { dropped, divergence };
+}
+
+function findDisagreements(screens, isRunOrder) {
+  const byOrder = new Map();
+  screens.forEach((screen) => {
+    screen.view.forEach((summary, orderId) => {
+      if (!isRunOrder(orderId)) return;
+      if (!byOrder.has(orderId)) byOrder.set(orderId, {});
+      byOrder.get(orderId)[screen.role] = summary.status;
+    });
+  });
+  const disagreements = [];
+  byOrder.forEach((statuses, orderId) => {
+    if (new Set(Object.values(statuses)).size > 1) disagreements.push({ orderId, statuses });
+  });
+  return disagreements;
+}
+
+// ---------------- Run ----------------
+
+// baseUrl of the KDS, a staff session token for the screens (manager, so every command is
+// allowed), and the Square signature key and notification URL the server checks against.
+// mode "replay" sends `events` (from parseRecordedEvents); "rush" makes up `rush` traffic.
+async function runSimulation({
+  baseUrl,
+  token,
+  signatureKey = null,
+  notificationUrl = null,
+  mode = "rush",
+  events = [],
+  rush = {},
+  screens = ["kitchen", "expo"],
+  location = null,
+  speed = 1,
+  shuffle = false,
+  freshIds = true,
+  duplicateRate = 0,
+  timing = {},
+  maxGapMs = DEFAULT_MAX_GAP_MS,
+  drainTimeoutMs = null,
+  runId = crypto.randomBytes(3).toString("hex"),
+  random = Math.random,
+}) {
+  if (!baseUrl || !token) throw new Error("runSimulation needs a baseUrl and a staff token");
+  const startedAt = Date.now();
+  const wsUrl = `${baseUrl.replace(/^http/, "ws")}/ws`;
+  const delays = { ...DEFAULT_TIMING, ...timing };
+
+  const plan =
+    mode === "replay"
+      ? planReplay(events, { speed, shuffle, freshIds, runId, maxGapMs, random })
+      : planRush({ ...rush, locations: rush.locations || (location ? [location] : []), speed, runId, random });
+  const runOrderIds = new Set(plan.map(({ body }) => getOrderId(body)).filter(Boolean));
+  const isRunOrder = (orderId) => runOrderIds.has(orderId);
+
+  const collisions = new Map();
+  const onCollision = (collision) => {
+    const key = `${collision.locationId}:${collision.orderNumber}:${collision.orderIds.join(",")}`;
+    if (!collisions.has(key)) collisions.set(key, collision);
+  };
+  const fakeScreens = [...new Set(["observer", ...screens])].map((role) =>
+    createFakeScreen({ wsUrl, token, role, location, isRunOrder, timing: delays, speed, runId, onCollision, random })
+  );
+
+  const sender = createWebhookSender({ baseUrl, signatureKey, notificationUrl });
+  try {
+    await Promise.all(fakeScreens.map((screen) => screen.connect()));
+    await deliver(plan, sender, { duplicateRate, random });
+
+    // Let the screens finish the tickets they're working on
+    const drainLimit = drainTimeoutMs ?? (delays.startMs[1] + delays.cookMs[1] + delays.pickupMs[1]) / speed + 10000;
+    const drainUntil = Date.now() + drainLimit;
+    while (Date.now() < drainUntil && !fakeScreens.every((screen) => screen.isIdle())) {
+      await sleep(250);
+    }
+
+    const dropped = [];
+    const divergence = [];
+    for (const screen of fakeScreens) {
+      const serverView = await fetchServerView({ wsUrl, token, station: screen.station, location });
+      const result = compareWithServer(screen, serverView, isRunOrder);
+      dropped.push(...result.dropped);
+      divergence.push(...result.divergence);
+    }
+    const disagreements = findDisagreements(fakeScreens, isRunOrder);
+
+    const observer = fakeScreens[0];
+    const statuses = {};
+    runOrderIds.forEach((orderId) => {
+      const status = observer.view.get(orderId)?.status || "missing";
+      statuses[status] = (statuses[status] || 0) + 1;
+    });
+
+    const report = {
+      runId,
+      mode,
+      durationMs: Date.now() - startedAt,
+      webhooks: { planned: plan.length, ...sender.stats },
+      orders: { total: runOrderIds.size, byStatus: statuses },
+      screens: fakeScreens.map((screen) => ({ role: screen.role, commands: screen.commands })),
+      collisions: [...collisions.values()],
+      dropped,
+      divergence,
+      disagreements,
+    };
+    report.ok =
+      report.collisions.length === 0 &&
+      dropped.length === 0 &&
+      divergence.length === 0 &&
+      disagreements.length === 0 &&
+      sender.stats.failed === 0;
+    return report;
+  } finally {
+    fakeScreens.forEach((screen) => screen.close());
+  }
+}
+
+module.exports = {
+  runSimulation,
+  parseRecordedEvents,
+  planReplay,
+  planRush,
+  createWebhookSender,
+  DEFAULT_TIMING,
+};
@@ -0,0 +1,166 @@
+// ===============================
+// VertiDog KDS – Square order source
+// ===============================
+//
+// The order source adapter (see lib/orderSources.js) for Square's order.created and
+// order.updated webhooks. Square often sends a bare order id and state; the full order
+// comes from the Orders API, and item categories from the Catalog API. Both calls are
+// passed in, so they go through the server's timed Square client and this module never
+// needs the access token.
+
+const crypto = require("crypto");
+const { normalizeDiningOption } = require("./orderSources");
+
+// Square signs notificationUrl + raw body with HMAC-SHA256 and sends it base64 encoded
+function computeSquareSignature(notificationUrl, rawBody, signatureKey) {
+  return crypto
+    .createHmac("sha256", signatureKey)
+    .update(notificationUrl + rawBody.toString("utf8"))
+    .digest("base64");
+}
+
+// Square durations are ISO 8601, e.g. PT20M or PT1H5M
+function parseIsoDuration(value) {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(String(value || ""));
+  if (!match) return null;
+  const [, d, h, m, sec] = match;
+  return ((Number(d || 0) * 24 + Number(h || 0)) * 60 + Number(m || 0)) * 60000 + Number(sec || 0) * 1000;
+}
+
+// When a pickup order is due and when the kitchen should start it, or null for ASAP orders.
+// Square fills in pickup_at on ASAP orders too (placed time plus prep), so only
+// schedule_type says whether the customer picked a time.
+function getPickupSchedule(fulfillment, defaultPrepMs) {
+  const details = fulfillment?.pickup_details;
+  if (details?.schedule_type !== "SCHEDULED") return null;
+  const pickupAt = Date.parse(details?.pickup_at || "");
+  if (!Number.isFinite(pickupAt)) return null;
+  const prepTimeMs = parseIsoDuration(details.prep_time_duration) ?? defaultPrepMs;
+  return { pickupAt, prepTimeMs, fireAt: pickupAt - prepTimeMs };
+}
+
+// Contact details from the Square fulfillment's recipient, for ready notifications
+function extractCustomer(fulfillment) {
+  const recipient =
+    fulfillment?.pickup_details?.recipient ||
+    fulfillment?.delivery_details?.recipient ||
+    fulfillment?.shipment_details?.recipient ||
+    null;
+  if (!recipient) return null;
+  const customer = {
+    name: recipient.display_name || null,
+    phone: recipient.phone_number || null,
+    email: recipient.email_address || null,
+  };
+  return customer.name || customer.phone || customer.email ? customer : null;
+}
+
+function toQuantity(q) {
+  const n = Number(q);
+  return Number.isFinite(n) ? n : 0;
+}
+
+// fetchOrder(orderId) -> Square order, or null without API access; it throws when the API
+// call fails, so the delivery fails and Square retries it. fetchCategories(variationIds) ->
+// { id: name }. Without a signature key every request is refused, unless allowUnsigned.
+function createSquareSource({
+  signatureKey = null,
+  allowUnsigned = false,
+  notificationUrl = null,
+  fetchOrder = async () => null,
+  fetchCategories = async () => ({}),
+  defaultPrepMs = 15 * 60 * 1000,
+}) {
+  // The notification URL must match the one registered with Square exactly, since it's
+  // part of the signed payload; behind a proxy the request's own URL may not
+  function getNotificationUrl(req) {
+    if (notificationUrl) return notificationUrl;
+    return `${req.protocol}://${req.get("host")}${req.originalUrl}`;
+  }
+
+  function verify(req) {
+    if (!signatureKey) return allowUnsigned;
+
+    const signature = req.get("x-square-hmacsha256-signature");
+    if (!signature || !req.rawBody) return false;
+
+    const expected = computeSquareSignature(getNotificationUrl(req), req.rawBody, signatureKey);
+    const expectedBuf = Buffer.from(expected);
+    const signatureBuf = Buffer.from(signature);
+    if (expectedBuf.length !== signatureBuf.length) return false;
+    return crypto.timingSafeEqual(expectedBuf, signatureBuf);
+  }
+
+  async function parse(body) {
+    const objectWrapper = body?.data?.object || {};
+    const eventWrapper =
+      objectWrapper.order ||
+      objectWrapper.order_created ||
+      objectWrapper.order_updated ||
+      null;
+    if (!eventWrapper) return null;
+
+    let fullOrder = eventWrapper.order || null;
+    const orderId = (fullOrder && fullOrder.id) || eventWrapper.order_id;
+    const state = (fullOrder && fullOrder.state) || eventWrapper.state;
+    if (!orderId) return null;
+
+    // If we don't have items yet, try Orders API
+    if (!fullOrder || !Array.isArray(fullOrder.line_items)) {
+      const fetched = await fetchOrder(orderId);
+      if (fetched) fullOrder = fetched;
+    }
+
+    let items = null;
+    if (fullOrder && Array.isArray(fullOrder.line_items)) {
+      const categories = await fetchCategories(fullOrder.line_items.map((li) => li.catalog_object_id));
+      items = fullOrder.line_items.map((li) => ({
+        name: li.name || "Item",
+        quantity: toQuantity(li.quantity || 1),
+        variationName: li.variation_name || null,
+        note: li.note || "",
+        modifiers: Array.isArray(li.modifiers) ? li.modifiers.map((m) => m.name).filter(Boolean) : [],
+        catalogObjectId: li.catalog_object_id || null,
+        category: categories[li.catalog_object_id] || null,
+      }));
+    }
+
+    const fulfillment = Array.isArray(fullOrder?.fulfillments) ? fullOrder.fulfillments[0] : null;
+    const rawDiningOption = (fullOrder?.dining_option && fullOrder.dining_option.name) || null;
+    const stateFromSquare = typeof state === "string" ? state.toLowerCase() : "";
+    const eventTypeLower = typeof body.type === "string" ? body.type.toLowerCase() : "";
+
+    return {
+      orderId,
+      locationId: fullOrder?.location_id || eventWrapper.location_id || null,
+      items,
+      diningOption: normalizeDiningOption(rawDiningOption, fulfillment?.type || null),
+      // Only a fetched or embedded order says anything about the note
+      notes: fullOrder ? (typeof fullOrder.note === "string" ? fullOrder.note : "") : null,
+      customer: extractCustomer(fulfillment),
+      schedule: getPickupSchedule(fulfillment, defaultPrepMs),
+      cancelled:
+        stateFromSquare === "canceled" || stateFromSquare === "cancelled" || eventTypeLower.includes("cancel"),
+      state: stateFromSquare || null,
+      fields: { stateFromSquare },
+    };
+  }
+
+  return {
+    id: "square",
+    label: "Square",
+    verify,
+    eventId: (body) => body?.event_id || null,
+    eventType: (body) => String(body?.type || "unknown"),
+    eventTypes: ["order.created", "order.updated", "order.fulfillment.updated"],
+    parse,
+  };
+}
+
+module.exports = {
+  createSquareSource,
+  computeSquareSignature,
+  parseIsoDuration,
+  getPickupSchedule,
+  extractCustomer,
+};
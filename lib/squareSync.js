@@ -0,0 +1,245 @@
+// ===============================
+// VertiDog KDS – Outbound Square fulfillment sync
+// ===============================
+//
+// When the kitchen moves a ticket we push the matching fulfillment state back to Square
+// (ready -> PREPARED, picked up -> COMPLETED, cancelled -> CANCELED) so Square can send
+// the customer its "ready for pickup" notification.
+//
+// Updates go through a small job queue persisted to disk, so a Square outage or a restart
+// doesn't lose them. Each order's jobs run one at a time in the order they were queued, so
+// a COMPLETED never overtakes the PREPARED that sends the "ready" notification. Failed jobs
+// retry with exponential backoff; jobs that keep failing, or that Square rejects outright,
+// are moved to a dead list that /api/square-sync shows, and the order's next job goes on.
+// Undoing a change on the KDS takes its update back out of the queue if it's still there.
+
+const fs = require("fs");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "square-sync" });
+
+const SQUARE_VERSION = "2024-03-20";
+
+// Fulfillment states in the order Square lets them advance
+const FULFILLMENT_STATE_ORDER = ["PROPOSED", "RESERVED", "PREPARED", "COMPLETED"];
+const TERMINAL_STATES = ["COMPLETED", "CANCELED", "FAILED"];
+
+class SquareSyncError extends Error {
+  constructor(message, { status = null, retryable = true } = {}) {
+    super(message);
+    this.name = "SquareSyncError";
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+function createSquareSync({
+  baseUrl,
+  accessToken,
+  queueFile,
+  pollIntervalMs = 1000,
+  baseDelayMs = 2000,
+  maxDelayMs = 5 * 60 * 1000,
+  maxAttempts = 12,
+  maxDeadJobs = 200,
+  // Swappable so the server can time Square calls for /metrics
+  fetch: fetchImpl = fetch,
+}) {
+  const state = { pending: [], dead: [] };
+  let timer = null;
+  let running = false;
+  // The job whose request is out to Square right now
+  let inFlight = null;
+
+  function load() {
+    try {
+      const data = fs.readFileSync(queueFile, "utf8");
+      const parsed = JSON.parse(data);
+      state.pending = Array.isArray(parsed.pending) ? parsed.pending : [];
+      state.dead = Array.isArray(parsed.dead) ? parsed.dead : [];
+      if (state.pending.length > 0) {
+        log.info("Loaded pending Square sync jobs", { count: state.pending.length, file: queueFile });
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        log.error("Error loading Square sync queue", { file: queueFile, error: error.message });
+      }
+    }
+  }
+
+  function save() {
+    try {
+      const tmp = `${queueFile}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(state), "utf8");
+      fs.renameSync(tmp, queueFile);
+    } catch (error) {
+      log.error("Error saving Square sync queue", { error: error.message });
+    }
+  }
+
+  async function squareRequest(method, urlPath, body) {
+    let resp;
+    try {
+      resp = await fetchImpl(`${baseUrl}${urlPath}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          "Content-Type": "application/json",
+          "Square-Version": SQUARE_VERSION,
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+    } catch (err) {
+      throw new SquareSyncError(`network error: ${err.message}`);
+    }
+
+    const text = await resp.text();
+    let json = null;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch (err) {
+      json = null;
+    }
+
+    if (!resp.ok) {
+      const detail = json?.errors?.map((e) => e.code || e.detail).join(", ") || resp.statusText;
+      // Version conflicts, rate limits and server errors are worth another try; other 4xx are not
+      const retryable = resp.status === 409 || resp.status === 429 || resp.status >= 500;
+      throw new SquareSyncError(`${resp.status} ${detail}`, { status: resp.status, retryable });
+    }
+    return json || {};
+  }
+
+  // Square only lets a fulfillment move forward, so never "downgrade" (e.g. PREPARED -> RESERVED)
+  function shouldApply(currentState, targetState) {
+    if (currentState === targetState) return false;
+    if (TERMINAL_STATES.includes(currentState)) return false;
+    if (targetState === "CANCELED") return true;
+    return (
+      FULFILLMENT_STATE_ORDER.indexOf(targetState) > FULFILLMENT_STATE_ORDER.indexOf(currentState)
+    );
+  }
+
+  async function runJob(job) {
+    const { order } = await squareRequest("GET", `/v2/orders/${encodeURIComponent(job.orderId)}`);
+    if (!order) throw new SquareSyncError("order not found", { status: 404, retryable: false });
+
+    const fulfillments = (order.fulfillments || []).filter((f) =>
+      shouldApply(f.state, job.targetState)
+    );
+    if (fulfillments.length === 0) return "nothing to update";
+
+    await squareRequest("PUT", `/v2/orders/${encodeURIComponent(job.orderId)}`, {
+      // One key per attempt: a retry re-reads the order version, so its body differs and
+      // Square would reject a reused key. Applying the same state twice is harmless.
+      idempotency_key: `${job.id}-${job.attempts}`,
+      order: {
+        location_id: order.location_id,
+        version: order.version,
+        fulfillments: fulfillments.map((f) => ({ uid: f.uid, state: job.targetState })),
+      },
+    });
+    return `${fulfillments.length} fulfillment(s) -> ${job.targetState}`;
+  }
+
+  function getBackoffMs(attempts) {
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+    // A little jitter so a backlog doesn't hammer Square in lockstep after an outage
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  function moveToDead(job) {
+    state.pending = state.pending.filter((j) => j.id !== job.id);
+    state.dead.push({ ...job, failedAt: Date.now() });
+    if (state.dead.length > maxDeadJobs) state.dead = state.dead.slice(-maxDeadJobs);
+  }
+
+  async function processDueJobs() {
+    if (running) return;
+    running = true;
+    try {
+      const now = Date.now();
+      const due = state.pending.filter((j) => j.nextAttemptAt <= now && isFirstForOrder(j));
+      for (const job of due) {
+        job.attempts++;
+        inFlight = job;
+        try {
+          const result = await runJob(job);
+          state.pending = state.pending.filter((j) => j.id !== job.id);
+          log.info("Square sync done", { orderId: job.orderId, result });
+        } catch (err) {
+          job.lastError = err.message;
+          const retryable = err.retryable !== false && job.attempts < maxAttempts;
+          if (retryable) {
+            job.nextAttemptAt = Date.now() + getBackoffMs(job.attempts);
+            log.warn("Square sync failed, will retry", { orderId: job.orderId, attempts: job.attempts, error: err.message });
+          } else {
+            moveToDead(job);
+            log.error("Square sync gave up", { orderId: job.orderId, attempts: job.attempts, error: err.message });
+          }
+        } finally {
+          inFlight = null;
+        }
+        save();
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  // Only an order's oldest pending job runs; the rest wait their turn behind it
+  function isFirstForOrder(job) {
+    return state.pending.find((j) => j.orderId === job.orderId) === job;
+  }
+
+  // Queue a fulfillment update behind any the order already has waiting. The same target
+  // twice in a row (ready, recall, ready again) is only queued once.
+  function enqueue(orderId, targetState) {
+    if (!orderId || !targetState) return null;
+    const last = state.pending.filter((j) => j.orderId === orderId).pop();
+    if (last?.targetState === targetState) return last;
+    const job = {
+      id: `kds-${orderId}-${targetState}-${Date.now()}`,
+      orderId,
+      targetState,
+      attempts: 0,
+      createdAt: Date.now(),
+      nextAttemptAt: Date.now(),
+      lastError: null,
+    };
+    state.pending.push(job);
+    save();
+    return job;
+  }
+
+  // Take back the order's last queued update when it's for targetState and hasn't gone out
+  // (the kitchen undid the bump that queued it). Once Square has it there's no going back,
+  // since fulfillments only move forward. Returns whether a job was dropped.
+  function drop(orderId, targetState) {
+    const last = state.pending.filter((j) => j.orderId === orderId).pop();
+    if (!last || last.targetState !== targetState || last === inFlight) return false;
+    state.pending = state.pending.filter((j) => j !== last);
+    save();
+    return true;
+  }
+
+  function start() {
+    load();
+    if (timer) return;
+    timer = setInterval(processDueJobs, pollIntervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  function getStatus() {
+    return { pending: state.pending, dead: state.dead };
+  }
+
+  return { enqueue, drop, start, stop, getStatus, processDueJobs };
+}
+
+module.exports = { createSquareSync, SquareSyncError };
@@ -0,0 +1,253 @@
+// ===============================
+// VertiDog KDS – Staff PIN login and sessions
+// ===============================
+//
+// Staff sign in on a screen with a PIN and get a session token (sent back as a cookie,
+// so the kitchen's WebSocket carries it too). Roles:
+//
+//   cook     bump items and stations, mark orders ready / picked up
+//   expo     cook, plus cancel, recall and priority changes
+//   manager  everything, plus reports, menu display and staff admin
+//
+// Staff live in data/staff.json with scrypt-hashed PINs. On a fresh install,
+// KDS_BOOTSTRAP_MANAGER_PIN creates the first manager. Sessions are persisted so a
+// restart doesn't sign every tablet out mid-service.
+//
+// PINs are short, so guessing is limited twice over: a client address that keeps getting
+// the PIN wrong is locked out for a while, and once wrong PINs pile up across all clients,
+// PIN checks take turns so rotating addresses gets slow. That second limit never turns a
+// right PIN away. PIN checks run scrypt off the main thread, since a login compares against
+// every staff member's hash.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "staff-auth" });
+
+const ROLES = ["cook", "expo", "manager"];
+const PIN_PATTERN = /^\d{4,8}$/;
+// Key for the failed-login count shared by every client
+const ALL_CLIENTS = "*";
+
+const scrypt = promisify(crypto.scrypt);
+
+class AuthError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "AuthError";
+    this.code = code;
+  }
+}
+
+function hashPin(pin, salt = crypto.randomBytes(16).toString("hex")) {
+  const hash = crypto.scryptSync(String(pin), salt, 32).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+async function verifyPin(pin, pinHash) {
+  const [scheme, salt, hash] = String(pinHash || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scrypt(String(pin), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// What goes in ticket history and to the screens: never the PIN hash
+function publicStaff(member) {
+  return member ? { id: member.id, name: member.name, role: member.role } : null;
+}
+
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") log.error("Error reading staff file", { file, error: error.message });
+    return fallback;
+  }
+}
+
+function writeJsonAtomic(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), "utf8");
+  fs.renameSync(tmp, file);
+}
+
+function createStaffAuth({
+  staffFile,
+  sessionFile,
+  sessionTtlMs = 12 * 60 * 60 * 1000,
+  bootstrapManagerPin = null,
+  maxFailedLogins = 5,
+  // Wrong PINs across all clients within one lockout window before checks take turns, and
+  // how far apart the turns are
+  globalSlowdownAfter = 50,
+  globalSlowdownMs = 1000,
+  lockoutMs = 5 * 60 * 1000,
+}) {
+  let staff = [];
+  let sessions = {};
+  // Failed PIN attempts per client address, and in total under ALL_CLIENTS
+  const failedLogins = new Map();
+  // Settles when the last PIN check waiting its turn may run
+  let slowdownTurn = Promise.resolve();
+
+  function saveStaff() {
+    writeJsonAtomic(staffFile, { staff });
+  }
+
+  function saveSessions() {
+    try {
+      writeJsonAtomic(sessionFile, { sessions });
+    } catch (error) {
+      log.error("Error saving staff sessions", { error: error.message });
+    }
+  }
+
+  function pruneSessions(now = Date.now()) {
+    let pruned = false;
+    for (const token in sessions) {
+      const session = sessions[token];
+      if (session.expiresAt <= now || !staff.some((m) => m.id === session.staffId)) {
+        delete sessions[token];
+        pruned = true;
+      }
+    }
+    return pruned;
+  }
+
+  function load() {
+    staff = (readJson(staffFile, {}).staff || []).filter(
+      (m) => m && m.id && m.name && ROLES.includes(m.role) && m.pinHash
+    );
+    sessions = readJson(sessionFile, {}).sessions || {};
+
+    if (staff.length === 0 && bootstrapManagerPin) {
+      staff.push(createMember({ name: "Manager", role: "manager", pin: bootstrapManagerPin }));
+      saveStaff();
+      log.info("Created the first manager from KDS_BOOTSTRAP_MANAGER_PIN");
+    }
+    if (staff.length === 0) {
+      log.error("No staff configured: nobody can sign in. Set KDS_BOOTSTRAP_MANAGER_PIN to create a manager.", {
+        file: staffFile,
+      });
+    }
+    if (pruneSessions()) saveSessions();
+  }
+
+  async function findByPin(pin) {
+    // Check every hash so the time taken doesn't depend on who matched
+    const members = [...staff];
+    const matches = await Promise.all(members.map((member) => verifyPin(pin, member.pinHash)));
+    return members.find((member, i) => matches[i]) || null;
+  }
+
+  // A validated new staff record, not yet saved
+  function createMember({ name, role, pin }) {
+    const cleanName = String(name || "").trim();
+    if (!cleanName) throw new AuthError("INVALID_STAFF", "name is required");
+    if (!ROLES.includes(role)) throw new AuthError("INVALID_STAFF", `role must be one of ${ROLES.join(", ")}`);
+    if (!PIN_PATTERN.test(String(pin || ""))) throw new AuthError("INVALID_STAFF", "PIN must be 4 to 8 digits");
+    return {
+      id: `staff-${crypto.randomBytes(6).toString("hex")}`,
+      name: cleanName,
+      role,
+      pinHash: hashPin(pin),
+      createdAt: Date.now(),
+    };
+  }
+
+  async function addStaff(details) {
+    const member = createMember(details);
+    // PINs are the only thing typed at login, so they have to be unique
+    if (await findByPin(details.pin)) throw new AuthError("INVALID_STAFF", "That PIN is already in use");
+    staff.push(member);
+    saveStaff();
+    return publicStaff(member);
+  }
+
+  function removeStaff(id) {
+    const before = staff.length;
+    staff = staff.filter((m) => m.id !== id);
+    if (staff.length === before) return false;
+    saveStaff();
+    if (pruneSessions()) saveSessions();
+    return true;
+  }
+
+  function listStaff() {
+    return staff.map(publicStaff);
+  }
+
+  // Wrong PINs from a client (or from everyone, under ALL_CLIENTS) in the current window
+  function recentFailures(clientKey, now = Date.now()) {
+    const entry = failedLogins.get(clientKey);
+    if (!entry) return 0;
+    if (now - entry.firstAt > lockoutMs) {
+      failedLogins.delete(clientKey);
+      return 0;
+    }
+    return entry.count;
+  }
+
+  function noteFailedLogin(clientKey, now = Date.now()) {
+    const entry = failedLogins.get(clientKey);
+    if (!entry || now - entry.firstAt > lockoutMs) {
+      failedLogins.set(clientKey, { count: 1, firstAt: now });
+    } else {
+      entry.count++;
+    }
+  }
+
+  // Queue behind the checks already waiting, globalSlowdownMs after the one before
+  function waitForSlowdownTurn() {
+    const turn = slowdownTurn.then(() => new Promise((resolve) => setTimeout(resolve, globalSlowdownMs)));
+    slowdownTurn = turn;
+    return turn;
+  }
+
+  // Resolves to { token, staff, expiresAt } or rejects with AuthError
+  async function login(pin, clientKey = "unknown") {
+    if (recentFailures(clientKey) >= maxFailedLogins) {
+      throw new AuthError("TOO_MANY_ATTEMPTS", "Too many wrong PINs, try again in a few minutes");
+    }
+    const slowedDown = recentFailures(ALL_CLIENTS) >= globalSlowdownAfter;
+    // Counted as a failure until it's shown not to be, so guesses sent side by side while
+    // the hashes are checked still run into the limits
+    noteFailedLogin(clientKey);
+    noteFailedLogin(ALL_CLIENTS);
+    if (slowedDown) await waitForSlowdownTurn();
+    const member = PIN_PATTERN.test(String(pin || "")) ? await findByPin(pin) : null;
+    if (!member) throw new AuthError("INVALID_PIN", "Wrong PIN");
+    failedLogins.delete(clientKey);
+    const total = failedLogins.get(ALL_CLIENTS);
+    if (total) total.count--;
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const expiresAt = Date.now() + sessionTtlMs;
+    sessions[token] = { staffId: member.id, createdAt: Date.now(), expiresAt };
+    pruneSessions();
+    saveSessions();
+    return { token, staff: publicStaff(member), expiresAt };
+  }
+
+  function logout(token) {
+    if (!token || !sessions[token]) return;
+    delete sessions[token];
+    saveSessions();
+  }
+
+  // Staff member for a session token, or null when missing/expired
+  function authenticate(token) {
+    const session = token ? sessions[token] : null;
+    if (!session || session.expiresAt <= Date.now()) return null;
+    return publicStaff(staff.find((m) => m.id === session.staffId));
+  }
+
+  return { load, login, logout, authenticate, addStaff, removeStaff, listStaff };
+}
+
+module.exports = { createStaffAuth, AuthError, ROLES, hashPin, verifyPin };
@@ -0,0 +1,68 @@
+// ===============================
+// VertiDog KDS – Incremental sync journal
+// ===============================
+//
+// Every change to an order bumps a global revision (the event log sequence number).
+// The journal keeps the most recent revisions in memory so a screen that reconnects
+// with the last revision it saw can be sent just the orders that changed since then.
+// A screen that is further behind than the journal reaches gets a full snapshot instead.
+
+function createSyncJournal({ startRevision = 0, limit = 2000 } = {}) {
+  const entries = [];
+  // Oldest revision we can still compute a delta from
+  let floor = startRevision;
+
+  function trim() {
+    if (entries.length <= limit) return;
+    const dropped = entries.splice(0, entries.length - limit);
+    floor = dropped[dropped.length - 1].revision;
+  }
+
+  // An order was created or changed at `revision`
+  function recordChange(revision, order) {
+    if (!Number.isInteger(revision) || !order?.orderId) return;
+    entries.push({ revision, orderId: order.orderId, orderNumber: order.orderNumber, removed: false });
+    trim();
+  }
+
+  // An order left the live state (archived) at `revision`
+  function recordRemoval(revision, order) {
+    if (!Number.isInteger(revision) || !order?.orderId) return;
+    entries.push({
+      revision,
+      orderId: order.orderId,
+      orderNumber: order.orderNumber,
+      locationId: order.locationId || null,
+      removed: true,
+    });
+    trim();
+  }
+
+  // What changed after `sinceRevision`, or null when a full snapshot is needed
+  // (too far behind, or a revision from before a data reset)
+  function changesSince(sinceRevision, currentRevision) {
+    if (!Number.isInteger(sinceRevision)) return null;
+    if (sinceRevision < floor || sinceRevision > currentRevision) return null;
+
+    // Latest entry per order wins: an order changed then archived is just removed
+    const latest = new Map();
+    entries.forEach((entry) => {
+      if (entry.revision > sinceRevision) latest.set(entry.orderId, entry);
+    });
+
+    const changed = [];
+    const removed = [];
+    latest.forEach((entry) => {
+      if (entry.removed) {
+        removed.push({ orderId: entry.orderId, orderNumber: entry.orderNumber, locationId: entry.locationId });
+      } else {
+        changed.push(entry.orderId);
+      }
+    });
+    return { changed, removed };
+  }
+
+  return { recordChange, recordRemoval, changesSince };
+}
+
+module.exports = { createSyncJournal };
@@ -0,0 +1,63 @@
+// ===============================
+// VertiDog KDS – Service worker for the kitchen screen
+// ===============================
+//
+// Keeps the app shell cached so a tablet that reloads during a Wi-Fi drop still opens the
+// kitchen screen; the page itself keeps the last known orders and unsent taps in
+// localStorage. Pages and assets are network-first, so a deploy shows up on the next load
+// while online. API calls, webhooks and the WebSocket never touch the cache.
+
+const CACHE_NAME = "kds-shell-v1";
+const SHELL_URLS = ["/kitchen", "/login", "/sausage-icon.svg", "/sounds/order-ready.mp3"];
+const UNCACHED_PREFIXES = ["/api/", "/ws", "/webhooks/", "/square/", "/test-order"];
+
+// Only plain 200s: a signed-out /kitchen redirects to /login and mustn't be cached as the kitchen
+async function cacheResponse(cache, key, response) {
+  if (response.status === 200 && !response.redirected && response.type === "basic") {
+    await cache.put(key, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) =>
+      Promise.all(
+        SHELL_URLS.map((url) =>
+          fetch(url, { credentials: "same-origin" })
+            .then((response) => cacheResponse(cache, url, response))
+            .catch(() => null)
+        )
+      )
+    )
+  );
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+  if (UNCACHED_PREFIXES.some((prefix) => url.pathname.startsWith(prefix))) return;
+  // Audio is fetched in ranges; a partial response can't be cached
+  if (request.headers.has("range")) return;
+
+  // /kitchen?station=fryer and /kitchen are the same page; cache it once by path
+  const key = url.pathname;
+  event.respondWith(
+    caches.open(CACHE_NAME).then((cache) =>
+      fetch(request)
+        .then((response) => cacheResponse(cache, key, response))
+        .catch(async () => (await cache.match(key)) || Response.error())
+    )
+  );
+});
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+// ===============================
+// VertiDog KDS – Rush simulator CLI
+// ===============================
+//
+// Replays recorded Square webhooks or makes up a rush against a running KDS while fake
+// kitchen screens bump the tickets, then reports order number collisions, dropped
+// broadcasts and screens that disagree with the server (see lib/simulator.js).
+//
+//   node scripts/simulate.js rush --orders 120 --minutes 20 --speed 10 --pin 1234
+//   node scripts/simulate.js replay friday.ndjson --shuffle --duplicates 0.1 --pin 1234
+//
+// Options:
+//   --url <base>            KDS to drive (default http://localhost:$PORT or :10000)
+//   --pin <pin>             manager PIN for the fake screens; or --token <session token>
+//   --signature-key <key>   Square signature key (default $SQUARE_WEBHOOK_SIGNATURE_KEY)
+//   --notification-url <u>  URL the server checks signatures against (default
+//                           $SQUARE_WEBHOOK_NOTIFICATION_URL, else <url>/webhooks/square)
+//   --screens <list>        fake screens, e.g. kitchen,expo,grill (default kitchen,expo)
+//   --location <id>         screens (and rush orders) for one location
+//   --speed <n>             run n times faster than real time (default 10)
+//   --orders <n>            rush: number of orders (default 60)
+//   --minutes <n>           rush: sim minutes they arrive over (default 10)
+//   --updates <rate>        rush: share of orders changed after they come in (default 0.15)
+//   --cancels <rate>        rush: share of orders cancelled (default 0.05)
+//   --shuffle               replay: deliver events out of order
+//   --keep-ids              replay: keep the recorded event and order ids
+//   --duplicates <rate>     share of events delivered twice (default 0)
+//   --json                  print the whole report as JSON
+//
+// Exits 1 when the report found problems, 2 when the run couldn't start.
+
+const fs = require("fs");
+const { runSimulation, parseRecordedEvents } = require("../lib/simulator");
+
+const FLAGS = ["shuffle", "keep-ids", "json"];
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      args._.push(arg);
+    } else if (FLAGS.includes(arg.slice(2))) {
+      args[arg.slice(2)] = true;
+    } else {
+      args[arg.slice(2)] = argv[++i];
+    }
+  }
+  return args;
+}
+
+async function getToken(baseUrl, args) {
+  if (args.token) return args.token;
+  if (!args.pin) throw new Error("Pass --pin <manager PIN> or --token <session token>");
+  const resp = await fetch(`${baseUrl}/api/auth/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ pin: args.pin }),
+  });
+  const body = await resp.json().catch(() => ({}));
+  if (!resp.ok) throw new Error(`Sign-in failed: ${body.error || resp.status}`);
+  if (body.staff?.role !== "manager") console.warn("Not a manager: recall and cancel commands will be refused");
+  return body.token;
+}
+
+function printSummary(report) {
+  const line = (label, value) => console.log(`${label.padEnd(16)}${value}`);
+  line("Run", `${report.runId} (${report.mode}, ${Math.round(report.durationMs / 1000)}s)`);
+  line("Webhooks", `${report.webhooks.sent} sent, ${report.webhooks.failed} failed, ${JSON.stringify(report.webhooks.byReply)}`);
+  line("Tickets", `${report.orders.total} ${JSON.stringify(report.orders.byStatus)}`);
+  report.screens.forEach((screen) => {
+    const errors = Object.entries(screen.commands.errors).map(([code, n]) => `${code} ${n}`).join(", ");
+    line(`  ${screen.role}`, `${screen.commands.sent} commands, ${screen.commands.acked} acked${errors ? `, refused: ${errors}` : ""}`);
+  });
+  line("Collisions", report.collisions.length);
+  report.collisions.forEach((c) => console.log(`  #${c.orderNumber} @${c.locationId || "default"}: ${c.orderIds.join(" + ")} (seen by ${c.seenBy})`));
+  line("Dropped", report.dropped.length);
+  report.dropped.forEach((d) => console.log(`  ${d.screen} never got ${d.orderId} (#${d.orderNumber})`));
+  line("Divergence", report.divergence.length);
+  report.divergence.forEach((d) =>
+    console.log(`  ${d.screen} ${d.orderId}: has ${JSON.stringify(d.actual)}, server ${JSON.stringify(d.expected)}`)
+  );
+  line("Disagreements", report.disagreements.length);
+  report.disagreements.forEach((d) => console.log(`  ${d.orderId}: ${JSON.stringify(d.statuses)}`));
+  console.log(report.ok ? "OK" : "PROBLEMS FOUND");
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const mode = args._[0] || "rush";
+  if (!["rush", "replay"].includes(mode)) throw new Error(`Unknown mode: ${mode} (rush or replay)`);
+  const baseUrl = (args.url || `http://localhost:${process.env.PORT || 10000}`).replace(/\/$/, "");
+
+  let events = [];
+  if (mode === "replay") {
+    if (!args._[1]) throw new Error("replay needs a file of recorded webhooks");
+    events = parseRecordedEvents(fs.readFileSync(args._[1], "utf8"));
+    if (events.length === 0) throw new Error(`No Square webhooks found in ${args._[1]}`);
+  }
+
+  const report = await runSimulation({
+    baseUrl,
+    token: await getToken(baseUrl, args),
+    signatureKey: args["signature-key"] || process.env.SQUARE_WEBHOOK_SIGNATURE_KEY || null,
+    notificationUrl: args["notification-url"] || process.env.SQUARE_WEBHOOK_NOTIFICATION_URL || null,
+    mode,
+    events,
+    rush: {
+      orders: Number(args.orders || 60),
+      durationMs: Number(args.minutes || 10) * 60 * 1000,
+      updateRate: Number(args.updates ?? 0.15),
+      cancelRate: Number(args.cancels ?? 0.05),
+    },
+    screens: String(args.screens || "kitchen,expo").split(",").map((s) => s.trim().toLowerCase()).filter(Boolean),
+    location: args.location || null,
+    speed: Number(args.speed || 10),
+    shuffle: Boolean(args.shuffle),
+    freshIds: !args["keep-ids"],
+    duplicateRate: Number(args.duplicates || 0),
+  });
+
+  if (args.json) console.log(JSON.stringify(report, null, 2));
+  else printSummary(report);
+  process.exitCode = report.ok ? 0 : 1;
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 2;
+});
@@ -8,505 +8,2532 @@ const { WebSocketServer } = require("ws");
 const bodyParser = require("body-parser");
 const path = require("path");
 const fs = require('fs'); // ADDED: File System module for persistence
-
-// NOTE: crypto module needed for signature verification (postponed)
-// const crypto = require("crypto"); 
+const crypto = require("crypto");
+const { createOrderStore } = require("./lib/orderStore");
+const { buildKitchenReport } = require("./lib/reports");
+const { createSquareSync } = require("./lib/squareSync");
+const { createSyncJournal } = require("./lib/syncJournal");
+const { createCdsChannel } = require("./lib/cdsChannel");
+const { buildAllDayCounts } = require("./lib/allDay");
+const { createOrderNumberAllocator } = require("./lib/orderNumbers");
+const { createMenu } = require("./lib/menu");
+const { createPrepTimes, PrepTimesError } = require("./lib/prepTimes");
+const { normalizeManualOrder, ManualOrderError } = require("./lib/manualOrders");
+const { OrderSourceError, normalizeDiningOption, parseSourceConfig } = require("./lib/orderSources");
+const { createSquareSource } = require("./lib/squareSource");
+const { createJsonOrderSource } = require("./lib/jsonOrderSource");
+const { runSimulation, parseRecordedEvents } = require("./lib/simulator");
+const {
+  createMenuDisplay,
+  applyMenuDisplay,
+  describeItem,
+  MenuDisplayError,
+} = require("./lib/menuDisplay");
+const { createStaffAuth, AuthError, ROLES } = require("./lib/staffAuth");
+const { createNotifier } = require("./lib/notifications");
+const { createPrintQueue, parsePrinterConfig } = require("./lib/printing");
+const { renderTicket } = require("./lib/escpos");
+const { logger } = require("./lib/logger");
+const { createRegistry } = require("./lib/metrics");
+const {
+  createSmtpProvider,
+  createHttpSmsProvider,
+  createLogProvider,
+} = require("./lib/notificationProviders");
+const {
+  normalizeStatus,
+  assertTransition,
+  canTransition,
+  isWorking,
+  isFinished,
+  isScheduled,
+  STATUSES,
+} = require("./lib/orderStateMachine");
+
+const log = logger.child({ component: "server" });
 
 const app = express();
 const PORT = process.env.PORT || 10000;
-const STATE_FILE = path.join(__dirname, 'orders.json'); // ADDED: Path for state file
+const STATE_FILE = path.join(__dirname, 'orders.json'); // Legacy state file, imported on first run
+const DATA_DIR = process.env.KDS_DATA_DIR || path.join(__dirname, 'data');
+const SNAPSHOT_INTERVAL_MS = Number(process.env.KDS_SNAPSHOT_INTERVAL_MINUTES || 5) * 60 * 1000;
+// Completed orders older than this are moved out of the live state into data/archive
+const ORDER_RETENTION_MS = Number(process.env.ORDER_RETENTION_HOURS || 24) * 60 * 60 * 1000;
+// Reports bucket by the shop's local clock, not the server's
+const KDS_TIMEZONE = process.env.KDS_TIMEZONE || undefined;
+// Order numbers restart at 001 when the business day starts, at this hour in KDS_TIMEZONE
+const BUSINESS_DAY_START_HOUR = Number(process.env.KDS_BUSINESS_DAY_START_HOUR || 4);
+// A full sync only carries finished tickets from this far back (the screen's COMPLETED tab)
+const SYNC_HISTORY_MS = Number(process.env.KDS_SYNC_HISTORY_HOURS || 4) * 60 * 60 * 1000;
+// Staff sign-in: how long a PIN login lasts, and the PIN for the first manager on a fresh install
+const SESSION_TTL_MS = Number(process.env.KDS_SESSION_HOURS || 12) * 60 * 60 * 1000;
+const KDS_BOOTSTRAP_MANAGER_PIN = process.env.KDS_BOOTSTRAP_MANAGER_PIN || null;
+// How many proxies sit in front of the server; set 1 behind the hosting platform's load
+// balancer. Only that many X-Forwarded-For entries are believed, so a client can't pick its
+// own address to dodge the PIN lockout. Without it, no forwarded address is believed at all.
+const KDS_TRUST_PROXY_HOPS = Number(process.env.KDS_TRUST_PROXY_HOPS || 0);
+// Scheduled pickups go to the line at pickup time minus prep time; orders that don't
+// say how long they take get this much
+const DEFAULT_PREP_MS = Number(process.env.KDS_DEFAULT_PREP_MINUTES || 15) * 60 * 1000;
+const SCHEDULE_CHECK_INTERVAL_MS = 15 * 1000;
+// Expected ready times drift with the clock, so pacing is also recomputed this often
+const PACING_INTERVAL_MS = 15 * 1000;
+// Sockets that don't answer a ping within one interval are dropped
+const HEARTBEAT_INTERVAL_MS = Number(process.env.KDS_HEARTBEAT_SECONDS || 30) * 1000;
+const STATION_ROUTES_FILE = path.join(DATA_DIR, 'station-routes.json');
+const LEGACY_STATION_ROUTES_FILE = path.join(__dirname, 'station-routes.json'); // read if there's no new one
+const WEBHOOK_EVENTS_FILE = path.join(DATA_DIR, 'webhook-events.json');
+const LEGACY_WEBHOOK_EVENTS_FILE = path.join(__dirname, 'webhook-events.json'); // imported on first run
 
 // For Square Orders API
 const SQUARE_ACCESS_TOKEN = process.env.SQUARE_ACCESS_TOKEN;
 const SQUARE_ENV = process.env.SQUARE_ENV || "production"; // or "sandbox"
+// SQUARE_API_BASE_URL overrides the host, e.g. to point at a local mock Square server
 const SQUARE_BASE_URL =
-  SQUARE_ENV === "sandbox"
+  process.env.SQUARE_API_BASE_URL ||
+  (SQUARE_ENV === "sandbox"
     ? "https://connect.squareupsandbox.com"
-    : "https://connect.squareup.com";
+    : "https://connect.squareup.com");
+// Push fulfillment state back to Square when tickets move (needs SQUARE_ACCESS_TOKEN)
+const SQUARE_FULFILLMENT_SYNC = process.env.SQUARE_FULFILLMENT_SYNC !== "false";
+
+// For Square webhook signature verification. The notification URL must match the
+// URL registered in the Square dashboard exactly, since it is part of the signed payload.
+const SQUARE_WEBHOOK_SIGNATURE_KEY = process.env.SQUARE_WEBHOOK_SIGNATURE_KEY;
+const SQUARE_WEBHOOK_NOTIFICATION_URL = process.env.SQUARE_WEBHOOK_NOTIFICATION_URL || null;
+// Without a signature key Square webhooks are refused, unless this is set (local testing only)
+const SQUARE_WEBHOOK_ALLOW_UNSIGNED = process.env.SQUARE_WEBHOOK_ALLOW_UNSIGNED === "true";
+// Square retries failed deliveries for up to 72 hours, so remember event ids at least that long
+const WEBHOOK_EVENT_TTL_MS =
+  Number(process.env.WEBHOOK_EVENT_TTL_HOURS || 72) * 60 * 60 * 1000;
+
+// Other systems that post orders as JSON (see lib/jsonOrderSource.js), as id=secret pairs with
+// an optional badge label: KDS_ORDER_SOURCES="kiosk=s3cret,doordash:DoorDash=other". Each one
+// posts to /webhooks/orders/<id>.
+const KDS_ORDER_SOURCES = process.env.KDS_ORDER_SOURCES || "";
+
+// Customer "order ready" texts and emails (see lib/notifications.js). A channel is only on
+// when its provider is configured; KDS_NOTIFY_PROVIDER=log prints messages instead of sending.
+const KDS_NOTIFY_PROVIDER = process.env.KDS_NOTIFY_PROVIDER || null;
+const KDS_SHOP_NAME = process.env.KDS_SHOP_NAME || "VertiDog";
+const KDS_NOTIFY_SMTP_HOST = process.env.KDS_NOTIFY_SMTP_HOST || null;
+const KDS_NOTIFY_SMTP_PORT = Number(process.env.KDS_NOTIFY_SMTP_PORT || 587);
+const KDS_NOTIFY_SMTP_SECURE = process.env.KDS_NOTIFY_SMTP_SECURE === "true"; // implicit TLS (port 465)
+const KDS_NOTIFY_SMTP_USER = process.env.KDS_NOTIFY_SMTP_USER || null;
+const KDS_NOTIFY_SMTP_PASS = process.env.KDS_NOTIFY_SMTP_PASS || null;
+const KDS_NOTIFY_EMAIL_FROM = process.env.KDS_NOTIFY_EMAIL_FROM || null;
+const KDS_NOTIFY_SMS_URL = process.env.KDS_NOTIFY_SMS_URL || null;
+const KDS_NOTIFY_SMS_TOKEN = process.env.KDS_NOTIFY_SMS_TOKEN || null;
+const KDS_NOTIFY_SMS_FROM = process.env.KDS_NOTIFY_SMS_FROM || null;
+// Grace period after a ready bump before anything is sent, so an undo can still take it back
+const KDS_NOTIFY_DELAY_MS = Number(process.env.KDS_NOTIFY_DELAY_SECONDS ?? 30) * 1000;
+
+// Receipt printers for stations that want paper tickets, as station=host[:port] pairs
+// (raw TCP, 9100 by default): KDS_PRINTERS="grill=10.0.0.21,expo=10.0.0.22". Add @<location id>
+// after the station to limit a printer to one location. Expo gets a "ready" chit per order.
+const KDS_PRINTERS = process.env.KDS_PRINTERS || "";
+const KDS_PRINT_WIDTH = Number(process.env.KDS_PRINT_WIDTH || 42); // characters per line
+const KDS_PRINT_READY_CHITS = process.env.KDS_PRINT_READY_CHITS !== "false";
+
+// Square locations this backend serves, as "id:Name" pairs: KDS_LOCATIONS="L1AB:Main St,L2CD:Truck".
+// Screens pick one with ?location=<id>; a screen without one gets KDS_DEFAULT_LOCATION, or
+// every location when that isn't set (fine for a single shop).
+const KDS_LOCATIONS = process.env.KDS_LOCATIONS || "";
+const KDS_DEFAULT_LOCATION = process.env.KDS_DEFAULT_LOCATION || null;
+
+// GET /metrics is open unless KDS_METRICS_TOKEN is set; then scrapers send it as a Bearer token
+const KDS_METRICS_TOKEN = process.env.KDS_METRICS_TOKEN || null;
+// /healthz reports "degraded" once no Square webhook has come in for this long (0 = don't
+// check; a shop that's closed half the day would otherwise look broken every morning)
+const KDS_WEBHOOK_STALE_MS = Number(process.env.KDS_WEBHOOK_STALE_MINUTES || 0) * 60 * 1000;
+// ...and once this many Square API calls in a row have failed
+const SQUARE_API_FAILURE_THRESHOLD = 3;
+
+// POST /api/dev/simulate (the rush simulator) only exists with KDS_DEV_TOOLS=true; never
+// turn it on in a real kitchen, it puts made-up tickets on the screens
+const KDS_DEV_TOOLS = process.env.KDS_DEV_TOOLS === "true";
 
 // In-memory store keyed by orderId
 const orders = {};
 
+// ---------------- Locations ----------------
+// Orders are partitioned by Square location_id: each location has its own order numbers
+// and its own screens. Orders from before multi-location support belong to "default".
+
+const DEFAULT_LOCATION_ID = "default";
+const LOCATION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const LOCATION_NAMES = Object.fromEntries(
+  KDS_LOCATIONS.split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [id, ...name] = entry.split(":");
+      return [id.trim(), name.join(":").trim() || id.trim()];
+    })
+    .filter(([id]) => LOCATION_ID_PATTERN.test(id))
+);
+
+function normalizeLocation(location) {
+  if (!location) return null;
+  const id = String(location).trim();
+  return LOCATION_ID_PATTERN.test(id) ? id : null;
+}
+
+function getOrderLocation(order) {
+  return order?.locationId || DEFAULT_LOCATION_ID;
+}
+
+// null (every location) or the one location a screen or request is scoped to
+function resolveLocation(requested) {
+  return normalizeLocation(requested) || normalizeLocation(KDS_DEFAULT_LOCATION);
+}
+
+function inLocation(order, location) {
+  return !location || getOrderLocation(order) === location;
+}
+
+function describeLocation(location) {
+  if (!location) return null;
+  return { id: location, name: LOCATION_NAMES[location] || location };
+}
+
+// ---------------- Metrics ----------------
+// Prometheus metrics for GET /metrics (see lib/metrics.js). Counters and histograms are
+// updated where things happen; gauges over live state (screens, orders, queues) are read
+// at scrape time.
+
+const metrics = createRegistry({ prefix: "kds_" });
+
+const webhookEventsTotal = metrics.counter({
+  name: "webhook_events_total",
+  help: "Order webhook deliveries by source, event type and outcome (accepted, duplicate, rejected, ignored, invalid, error)",
+  labelNames: ["source", "event_type", "outcome"],
+});
+
+const squareApiDuration = metrics.histogram({
+  name: "square_api_request_duration_seconds",
+  help: "Square API request latency",
+  labelNames: ["api", "outcome"],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+});
+
+const squareApiErrorsTotal = metrics.counter({
+  name: "square_api_errors_total",
+  help: "Failed Square API requests by HTTP status, or \"network\"",
+  labelNames: ["api", "reason"],
+});
+
+const ticketTimeSeconds = metrics.histogram({
+  name: "ticket_time_seconds",
+  help: "Time from a ticket reaching the line to ready",
+  labelNames: ["location"],
+  buckets: [60, 120, 180, 300, 420, 600, 900, 1200, 1800, 2700, 3600],
+});
+
+const httpRequestsTotal = metrics.counter({
+  name: "http_requests_total",
+  help: "HTTP requests by method and status code",
+  labelNames: ["method", "status"],
+});
+
+metrics.gauge({
+  name: "websocket_clients",
+  help: "Signed-in kitchen screens by station (\"all\" for the full kitchen view)",
+  collect: () => {
+    const counts = Object.fromEntries(["all", ...STATIONS].map((station) => [station, 0]));
+    wss.clients.forEach((client) => {
+      if (client.staff) counts[client.station || "all"]++;
+    });
+    return Object.entries(counts).map(([station, value]) => ({ labels: { station }, value }));
+  },
+});
+
+metrics.gauge({
+  name: "orders",
+  help: "Orders held in memory by status",
+  collect: () => {
+    const counts = Object.fromEntries(STATUSES.map((status) => [status, 0]));
+    Object.values(orders).forEach((order) => {
+      counts[order.status] = (counts[order.status] || 0) + 1;
+    });
+    return Object.entries(counts).map(([status, value]) => ({ labels: { status }, value }));
+  },
+});
+
+metrics.gauge({
+  name: "kitchen_projected_wait_seconds",
+  help: "How long an order placed now would take, by location (see /api/prep-times)",
+  collect: () =>
+    [...kitchenBehind.keys()].map((location) => ({
+      labels: { location },
+      value: Math.round(getPacing(location).projectedWaitMs / 1000),
+    })),
+});
+
+metrics.gauge({
+  name: "webhook_last_received_timestamp_seconds",
+  help: "When the last Square webhook arrived (0 = none since start)",
+  collect: () => (webhookStats.lastReceivedAt || 0) / 1000,
+});
+
+metrics.gauge({
+  name: "queue_jobs",
+  help: "Background jobs waiting to be retried (pending) or given up on (dead)",
+  collect: () =>
+    Object.entries(getQueueStatuses()).flatMap(([queue, status]) => [
+      { labels: { queue, state: "pending" }, value: status.pending.length },
+      { labels: { queue, state: "dead" }, value: status.dead.length },
+    ]),
+});
+
+metrics.gauge({
+  name: "process_uptime_seconds",
+  help: "Seconds since the server started",
+  collect: () => Math.round(process.uptime()),
+});
+
+metrics.gauge({
+  name: "process_memory_bytes",
+  help: "Process memory use",
+  collect: () => {
+    const usage = process.memoryUsage();
+    return [
+      { labels: { type: "rss" }, value: usage.rss },
+      { labels: { type: "heap_used" }, value: usage.heapUsed },
+    ];
+  },
+});
+
+// ---------------- Station Routing ----------------
+// Each line item is routed to one station. Rules are checked in order and the first
+// match wins; items nothing matches land on the default station.
+
+const STATIONS = ["grill", "fryer", "drinks", "expo"];
+
+const DEFAULT_STATION_ROUTES = {
+  defaultStation: "grill",
+  rules: [
+    { station: "drinks", categories: ["drinks", "beverages"], names: ["coke", "sprite", "lemonade", "tea", "water", "soda"] },
+    { station: "fryer", categories: ["sides", "fries"], names: ["fries", "vertifries", "tots", "onion rings"] },
+    { station: "grill", categories: ["hot dogs", "combos"], names: ["vertidog", "hot dog", "combo"] },
+    { station: "fryer", modifiers: ["add fries", "side of fries"] },
+  ],
+};
+
+function loadStationRoutes() {
+  const file = fs.existsSync(STATION_ROUTES_FILE) ? STATION_ROUTES_FILE : LEGACY_STATION_ROUTES_FILE;
+  try {
+    const data = fs.readFileSync(file, 'utf8');
+    const parsed = JSON.parse(data);
+    log.info("Loaded station routes", { file });
+    return {
+      defaultStation: normalizeStation(parsed.defaultStation) || DEFAULT_STATION_ROUTES.defaultStation,
+      rules: Array.isArray(parsed.rules) ? parsed.rules : [],
+    };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log.error("Error loading station routes, using defaults", { file, error: error.message });
+    }
+    return DEFAULT_STATION_ROUTES;
+  }
+}
+
+const stationRoutes = loadStationRoutes();
+
+// Short names, colors, sort order and per-item station overrides (see lib/menuDisplay.js)
+const menuDisplay = createMenuDisplay({
+  file: path.join(DATA_DIR, 'menu-display.json'),
+  stations: STATIONS,
+});
+menuDisplay.load();
+
+// What the new-ticket form offers, learned from Square orders, and what's 86'd (see lib/menu.js)
+const menu = createMenu({ file: path.join(DATA_DIR, 'menu.json') });
+menu.load();
+
+// How long items take to make, for ticket targets and kitchen pacing (see lib/prepTimes.js)
+const prepTimes = createPrepTimes({ file: path.join(DATA_DIR, 'prep-times.json'), stations: STATIONS });
+prepTimes.load();
+
+function normalizeStation(station) {
+  if (!station) return null;
+  const lower = String(station).trim().toLowerCase();
+  return STATIONS.includes(lower) ? lower : null;
+}
+
+// Whole words only (an optional plural "s" aside): "tea" is in "Iced Tea" and "Teas", not
+// in "Steamed Dog" or "Philly Cheesesteak"
+function includesAny(value, needles) {
+  if (!value || !Array.isArray(needles)) return false;
+  const lower = String(value).toLowerCase();
+  return needles.some((n) => {
+    const needle = String(n).trim().toLowerCase();
+    if (!needle) return false;
+    const escaped = needle.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return new RegExp(`(^|[^a-z0-9])${escaped}s?([^a-z0-9]|$)`).test(lower);
+  });
+}
+
+function routeItemToStation(item) {
+  // A station set on the item's menu display entry beats the generic routing rules
+  return menuDisplay.describeItem(item).station || routeByStationRules(item);
+}
+
+function routeByStationRules(item) {
+  for (const rule of stationRoutes.rules) {
+    const station = normalizeStation(rule.station);
+    if (!station) continue;
+    if (includesAny(item.name, rule.names)) return station;
+    if (item.category && includesAny(item.category, rule.categories)) return station;
+    if ((item.modifiers || []).some((m) => includesAny(m, rule.modifiers))) return station;
+  }
+  return stationRoutes.defaultStation;
+}
+
+// Per-station progress for an order: what each station still owes
+function computeStationStatus(order) {
+  const status = {};
+  (order.items || []).forEach((item) => {
+    const station = item.station || stationRoutes.defaultStation;
+    if (!status[station]) {
+      status[station] = { total: 0, completed: 0, done: false, outstanding: [] };
+    }
+    status[station].total++;
+    if (item.completed) {
+      status[station].completed++;
+    } else {
+      status[station].outstanding.push({
+        name: item.name,
+        displayName: menuDisplay.describeItem(item).displayName,
+        quantity: item.quantity,
+      });
+    }
+  });
+  for (const station in status) {
+    status[station].done = status[station].completed === status[station].total;
+  }
+  return status;
+}
+
+function areAllStationsDone(order) {
+  return Object.values(computeStationStatus(order)).every((s) => s.done);
+}
+
+// Order as seen by one screen. Line stations only get their own items (each keeps its
+// index in the full order so bumps can address it); expo and unscoped screens get
+// everything. Items carry their menu display fields, in display order. The audit trail
+// stays on the server (GET /api/orders/:id/history). Returns null when the station has
+// nothing on this order, or the screen is scoped to another location.
+function viewOrderForStation(fullOrder, station, location = null) {
+  if (!inLocation(fullOrder, location)) return null;
+  const { timeline, customer, ...order } = fullOrder;
+  // Screens only need to know the customer can be notified, not how to reach them
+  const contact = customer && (customer.phone || customer.email);
+  if (contact) {
+    order.notify = {
+      sms: Boolean(customer.phone),
+      email: Boolean(customer.email),
+      optOut: Boolean(order.notificationsOptOut),
+    };
+  }
+  const stationStatus = computeStationStatus(order);
+  const items = menuDisplay.applyToItems((order.items || []).map((item, index) => ({ ...item, index })));
+
+  if (!station || station === "expo") {
+    return { ...order, items, stationStatus };
+  }
+
+  const ownItems = items.filter((item) => item.station === station);
+  if (ownItems.length === 0) return null;
+
+  return {
+    ...order,
+    items: ownItems,
+    itemCount: ownItems.reduce((sum, it) => sum + toNumberQuantity(it.quantity), 0),
+    // This station's part is finished, even if the rest of the order isn't
+    stationDone: ownItems.every((item) => item.completed),
+    station,
+    stationStatus,
+  };
+}
+
+// Every push carries the current revision, so a screen knows how far it is caught up
+// if the connection drops after this message
+function sendToClients(buildMessage) {
+  wss.clients.forEach((client) => {
+    if (client.readyState !== 1) return;
+    const msg = buildMessage(client);
+    if (msg) client.send(JSON.stringify({ ...msg, revision: orderStore.getRevision() }));
+  });
+}
+
+// Send each screen its own view of the order. NEW_ORDER is only for a ticket's first
+// appearance; every later change goes out as ORDER_UPDATED.
+function broadcastOrder(order, type = "ORDER_UPDATED") {
+  sendToClients((client) => {
+    const view = viewOrderForStation(order, client.station, client.location);
+    return view ? { type, ...view } : null;
+  });
+}
+
+function getSyncOrders(station, location = null) {
+  return Object.values(orders)
+    .map((o) => viewOrderForStation(o, station, location))
+    .filter(Boolean);
+}
+
+// When a finished ticket left the line
+function getFinishedAt(order) {
+  return order.completedAt || order.cancelledAt || order.readyAt || order.createdAt || 0;
+}
+
+// Everything still active plus recently finished tickets
+function getRecentOrders(now = Date.now(), location = null) {
+  return Object.values(orders).filter(
+    (o) => inLocation(o, location) && (!isFinished(o.status) || getFinishedAt(o) >= now - SYNC_HISTORY_MS)
+  );
+}
+
+// Full snapshot for a screen
+function getSnapshotOrders(station, location = null) {
+  return getRecentOrders(Date.now(), location)
+    .map((o) => viewOrderForStation(o, station, location))
+    .filter(Boolean);
+}
+
+// Outstanding item totals across the line, for batch cooking (see lib/allDay.js)
+function getAllDayCounts(station, location = null) {
+  const list = Object.values(orders).filter((o) => inLocation(o, location));
+  return {
+    ...buildAllDayCounts(list, { describeItem: menuDisplay.describeItem, station }),
+    location,
+  };
+}
+
+// Send a screen its all-day counts, unless it already has exactly these
+function sendAllDay(ws, counts = getAllDayCounts(ws.station, ws.location)) {
+  const json = JSON.stringify(counts);
+  if (ws.lastAllDay === json) return;
+  ws.lastAllDay = json;
+  sendToClient(ws, { type: "ALL_DAY", ...counts, revision: orderStore.getRevision() });
+}
+
+// One command can record several events; recount once after they're all in
+let allDayUpdatePending = false;
+function scheduleAllDayUpdate() {
+  if (allDayUpdatePending) return;
+  allDayUpdatePending = true;
+  setImmediate(() => {
+    allDayUpdatePending = false;
+    const byScreen = new Map();
+    wss.clients.forEach((client) => {
+      if (client.readyState !== 1 || !client.staff) return;
+      const key = `${client.location}|${client.station}`;
+      if (!byScreen.has(key)) byScreen.set(key, getAllDayCounts(client.station, client.location));
+      sendAllDay(client, byScreen.get(key));
+    });
+  });
+}
+
+// ---------------- Kitchen Pacing ----------------
+// Each working ticket's target and expected ready time, from the prep times and the queue
+// ahead of it (see lib/prepTimes.js). Screens get them as PACING whenever they change, along
+// with the projected wait for a new order and whether that puts the kitchen behind; the
+// customer display only gets the wait.
+
+// location -> whether it was behind at the last recount, to log when that changes
+const kitchenBehind = new Map();
+
+function getPacing(location = null) {
+  const list = Object.values(orders).filter((o) => inLocation(o, location));
+  return {
+    ...prepTimes.buildPacing(list, { defaultStation: stationRoutes.defaultStation }),
+    location,
+  };
+}
+
+// What the customer display shows while the kitchen is behind
+function getCustomerWait(location = null) {
+  const pacing = getPacing(location);
+  return { minutes: Math.ceil(pacing.projectedWaitMs / 60000), behind: pacing.behind };
+}
+
+// Send a screen its pacing, unless it already has exactly this
+function sendPacing(ws, pacing = getPacing(ws.location)) {
+  const json = JSON.stringify(pacing);
+  if (ws.lastPacing === json) return;
+  ws.lastPacing = json;
+  sendToClient(ws, { type: "PACING", ...pacing, revision: orderStore.getRevision() });
+}
+
+function noteKitchenBehind(location, pacing) {
+  const wasBehind = kitchenBehind.get(location) || false;
+  kitchenBehind.set(location, pacing.behind);
+  if (pacing.behind === wasBehind) return;
+  const fields = {
+    location,
+    projectedWaitMinutes: Math.ceil(pacing.projectedWaitMs / 60000),
+    queueLength: pacing.queueLength,
+  };
+  if (pacing.behind) log.warn("Kitchen is behind", fields);
+  else log.info("Kitchen caught up", fields);
+}
+
+function updatePacing() {
+  const byLocation = new Map();
+  const pacingFor = (location) => {
+    if (!byLocation.has(location)) byLocation.set(location, getPacing(location));
+    return byLocation.get(location);
+  };
+  wss.clients.forEach((client) => {
+    if (client.readyState !== 1 || !client.staff) return;
+    sendPacing(client, pacingFor(client.location));
+  });
+  const locations = new Set(kitchenBehind.keys());
+  Object.values(orders).forEach((o) => {
+    if (isWorking(o.status)) locations.add(getOrderLocation(o));
+  });
+  locations.forEach((location) => noteKitchenBehind(location, pacingFor(location)));
+  cdsChannel.publishWait();
+}
+
+// Like the all-day counts: once per burst of changes
+let pacingUpdatePending = false;
+function schedulePacingUpdate() {
+  if (pacingUpdatePending) return;
+  pacingUpdatePending = true;
+  setImmediate(() => {
+    pacingUpdatePending = false;
+    updatePacing();
+  });
+}
+
+// Tickets go late with the clock, not only when something changes
+const pacingTimer = setInterval(updatePacing, PACING_INTERVAL_MS);
+pacingTimer.unref();
+
+// ---------------- 86 List ----------------
+// Items that have run out. Screens get the list on connect and whenever it changes; a new
+// ticket with an 86'd item on it gets that item flagged, so the kitchen can sort it out
+// with the customer before making the rest.
+
+// Longest name, variation or catalog id an 86 entry keeps; the list goes to every screen
+const MAX_86_FIELD_LENGTH = 100;
+
+// The item an ITEM_86 command or POST /api/86 names, trimmed. Throws CommandError when
+// there's no name or a field is too long.
+function readEightySixItem(data) {
+  const text = (value) => (typeof value === "string" ? value.trim() : "");
+  const item = {
+    name: text(data.name),
+    variationName: text(data.variationName) || null,
+    catalogObjectId: text(data.catalogObjectId) || null,
+  };
+  if (!item.name) throw new CommandError("INVALID_MESSAGE", "name is required");
+  const tooLong = Object.keys(item).find((field) => item[field] && item[field].length > MAX_86_FIELD_LENGTH);
+  if (tooLong) {
+    throw new CommandError("INVALID_MESSAGE", `${tooLong} must be at most ${MAX_86_FIELD_LENGTH} characters`);
+  }
+  return item;
+}
+
+function sendEightySixed(ws) {
+  sendToClient(ws, { type: "EIGHTY_SIX", items: menu.getEightySixed(ws.location), revision: orderStore.getRevision() });
+}
+
+// `location` null 86's the item everywhere. Returns false when the list didn't change.
+function setItemEightySixed(item, isOut, location, actor) {
+  const changed = menu.setEightySixed(item, isOut, { location, by: actor.staff?.name || null });
+  if (!changed) return false;
+  log.info(isOut ? "Item 86'd" : "Item back on", {
+    item: item.name,
+    variationName: item.variationName || null,
+    location,
+    by: actor.staff?.name || null,
+  });
+  sendToClients((client) =>
+    client.staff ? { type: "EIGHTY_SIX", items: menu.getEightySixed(client.location) } : null
+  );
+  return true;
+}
+
+// Flag the items of an incoming ticket that are on the 86 list. A flag stays once set, even
+// if the item comes back. Returns the names flagged.
+function flagEightySixedItems(order) {
+  const flagged = [];
+  (order.items || []).forEach((item) => {
+    if (!menu.findEightySixed(item, getOrderLocation(order))) return;
+    item.eightySixed = true;
+    flagged.push(item.name);
+  });
+  if (flagged.length > 0) {
+    log.warn("Order has 86'd items", { orderId: order.orderId, orderNumber: order.orderNumber, items: flagged });
+  }
+  return flagged;
+}
+
+// Reply to a (re)connecting screen: only what changed since the revision it last saw,
+// or the full snapshot when it has none or is too far behind
+function buildSyncMessage(station, sinceRevision, location = null) {
+  const revision = orderStore.getRevision();
+  const changes = syncJournal.changesSince(sinceRevision, revision);
+  if (!changes) {
+    return {
+      type: "SYNC_STATE",
+      station,
+      location: describeLocation(location),
+      revision,
+      orders: getSnapshotOrders(station, location),
+    };
+  }
+  return {
+    type: "SYNC_DELTA",
+    station,
+    location: describeLocation(location),
+    fromRevision: sinceRevision,
+    revision,
+    orders: changes.changed
+      .map((orderId) => orders[orderId] && viewOrderForStation(orders[orderId], station, location))
+      .filter(Boolean),
+    removed: changes.removed.filter((r) => !location || (r.locationId || DEFAULT_LOCATION_ID) === location),
+  };
+}
+
 // ---------------- KDS STATE MANAGEMENT (ADDED) ----------------
 
+const orderStore = createOrderStore({
+    orders,
+    dataDir: DATA_DIR,
+    legacyStateFile: STATE_FILE, // imported once if there's no snapshot yet
+    snapshotIntervalMs: SNAPSHOT_INTERVAL_MS,
+    retentionMs: ORDER_RETENTION_MS,
+    // Only finished tickets are archived; anything still on the line stays put
+    isArchivable: (order, cutoff) => isFinished(order.status) && getFinishedAt(order) < cutoff,
+    onArchived: (order, revision) => {
+        syncJournal.recordRemoval(revision, order);
+        cdsChannel.forget(order.orderId);
+    },
+});
+
 function loadKDSState() {
     try {
-        const data = fs.readFileSync(STATE_FILE, 'utf8');
-        
-        if (data.trim().length === 0) { 
-            console.log(`State file ${STATE_FILE} is empty. Starting with empty state.`);
-            return;
-        }
-        
-        // When loading, ensure all necessary fields exist for stability
-        const loadedOrders = JSON.parse(data);
-        for (const orderId in loadedOrders) {
-            const order = loadedOrders[orderId];
-            order.status = normalizeStatus(order.status);
-            if (order.items) {
-                order.items = order.items.map(item => ({
-                    ...item,
-                    completed: item.completed ?? false
-                }));
-            }
-            order.isPrioritized = order.isPrioritized ?? false;
-            const readyTs = Number(order.readyAt);
-            order.readyAt = Number.isFinite(readyTs) ? readyTs : null;
-        }
-        Object.assign(orders, loadedOrders);
-        console.log(`Loaded KDS state from ${STATE_FILE}`);
+        orderStore.load();
     } catch (error) {
-        if (error.code === 'ENOENT') {
-            console.log(`State file ${STATE_FILE} not found. Starting with empty state.`);
-        } else if (error instanceof SyntaxError) {
-            console.error(`Error: The state file ${STATE_FILE} contains incomplete or corrupt JSON. Resetting state.`);
-        } else {
-            console.error('Error loading KDS state:', error.message);
+        log.error("Error loading KDS state", { error: error.message });
+    }
+
+    // When loading, ensure all necessary fields exist for stability
+    for (const orderId in orders) {
+        const order = orders[orderId];
+        order.status = normalizeStatus(order.status, { cancelled: Boolean(order.cancelledAt) }) || 'new';
+        if (order.items) {
+            order.items = order.items.map(item => ({
+                ...item,
+                completed: item.completed ?? false,
+                station: normalizeStation(item.station) || routeItemToStation(item)
+            }));
+        }
+        order.isPrioritized = order.isPrioritized ?? false;
+        const readyTs = Number(order.readyAt);
+        order.readyAt = Number.isFinite(readyTs) ? readyTs : null;
+    }
+}
+
+// The parts of an order a change can touch; kept before/after each change for the audit
+// trail and restored by undo
+function captureOrderState(order) {
+    return {
+        status: order.status,
+        isPrioritized: Boolean(order.isPrioritized),
+        prioritizedAt: order.prioritizedAt || null,
+        firedAt: order.firedAt || null,
+        startedAt: order.startedAt || null,
+        readyAt: order.readyAt || null,
+        completedAt: order.completedAt || null,
+        cancelledAt: order.cancelledAt || null,
+        recalledAt: order.recalledAt || null,
+        recallCount: order.recallCount || 0,
+        items: (order.items || []).map((item) => ({
+            completed: Boolean(item.completed),
+            completedAt: item.completedAt || null,
+        })),
+    };
+}
+
+// Timestamp one change on the order's timeline (its audit trail) and append it to the
+// durable event log. `detail.source` says where it came from: square-webhook (or another
+// source's <id>-webhook), kitchen, rest, auto-complete, manual, test or system. Since every
+// change is recorded, the state before this one is the state after the previous entry.
+function recordOrderEvent(order, type, detail = {}) {
+    if (!Array.isArray(order.timeline)) order.timeline = [];
+    const previous = order.timeline[order.timeline.length - 1];
+    order.timeline.push({
+        type,
+        at: Date.now(),
+        source: "system",
+        ...detail,
+        before: previous?.after ?? null,
+        after: captureOrderState(order),
+    });
+    const revision = orderStore.record(type, order);
+    syncJournal.recordChange(revision, order);
+    cdsChannel.publish(order);
+    scheduleAllDayUpdate();
+    schedulePacingUpdate();
+}
+
+// First time anyone touches the ticket: that's when the kitchen started on it
+function markOrderStarted(order, at = Date.now()) {
+    if (!order.startedAt) order.startedAt = at;
+}
+
+loadKDSState(); // Call on startup
+// Screens can catch up incrementally from any revision recorded since startup
+const syncJournal = createSyncJournal({ startRevision: orderStore.getRevision() });
+orderStore.start();
+
+// Customer display: pushed number/status/ready time only (see lib/cdsChannel.js)
+const cdsChannel = createCdsChannel({
+    getOrders: (location) =>
+        getRecentOrders(Date.now(), location).sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0)),
+    locationOf: getOrderLocation,
+    getWait: getCustomerWait,
+});
+cdsChannel.start();
+
+// ---------------- Square Fulfillment Sync ----------------
+
+const squareSync = createSquareSync({
+    baseUrl: SQUARE_BASE_URL,
+    accessToken: SQUARE_ACCESS_TOKEN,
+    queueFile: path.join(DATA_DIR, 'square-sync-queue.json'),
+    fetch: (url, options) => squareApiFetch("orders", url, options),
+});
+
+if (SQUARE_ACCESS_TOKEN && SQUARE_FULFILLMENT_SYNC) {
+    squareSync.start();
+}
+
+// ---------------- Customer Notifications ----------------
+
+function buildNotificationProviders() {
+    if (KDS_NOTIFY_PROVIDER === "log") {
+        return { sms: createLogProvider({ channel: "sms" }), email: createLogProvider({ channel: "email" }) };
+    }
+    const providers = {};
+    if (KDS_NOTIFY_SMS_URL) {
+        providers.sms = createHttpSmsProvider({
+            url: KDS_NOTIFY_SMS_URL,
+            token: KDS_NOTIFY_SMS_TOKEN,
+            from: KDS_NOTIFY_SMS_FROM,
+        });
+    }
+    if (KDS_NOTIFY_SMTP_HOST && KDS_NOTIFY_EMAIL_FROM) {
+        providers.email = createSmtpProvider({
+            host: KDS_NOTIFY_SMTP_HOST,
+            port: KDS_NOTIFY_SMTP_PORT,
+            secure: KDS_NOTIFY_SMTP_SECURE,
+            user: KDS_NOTIFY_SMTP_USER,
+            pass: KDS_NOTIFY_SMTP_PASS,
+            from: KDS_NOTIFY_EMAIL_FROM,
+        });
+    }
+    return providers;
+}
+
+const notifier = createNotifier({
+    providers: buildNotificationProviders(),
+    queueFile: path.join(DATA_DIR, 'notification-queue.json'),
+    logFile: path.join(DATA_DIR, 'notification-log.ndjson'),
+    shopName: KDS_SHOP_NAME,
+    sendDelayMs: KDS_NOTIFY_DELAY_MS,
+    templates: {
+        sms: process.env.KDS_NOTIFY_SMS_TEMPLATE || undefined,
+        emailSubject: process.env.KDS_NOTIFY_EMAIL_SUBJECT || undefined,
+        email: process.env.KDS_NOTIFY_EMAIL_TEMPLATE || undefined,
+    },
+});
+notifier.start();
+
+// ---------------- Ticket Printing ----------------
+
+const printQueue = createPrintQueue({
+    printers: parsePrinterConfig(KDS_PRINTERS),
+    queueFile: path.join(DATA_DIR, 'print-queue.json'),
+});
+printQueue.start();
+
+// Print the order on each station's printer, with just that station's items (expo gets
+// the whole ticket). Returns the queued print jobs.
+function printOrder(order, kind, stations = printQueue.getStations(getOrderLocation(order))) {
+    const location = getOrderLocation(order);
+    const jobs = [];
+    stations.forEach((station) => {
+        const view = viewOrderForStation(order, station);
+        if (!view || view.items.length === 0) return;
+        const data = renderTicket(view, {
+            kind,
+            station,
+            width: KDS_PRINT_WIDTH,
+            timeZone: KDS_TIMEZONE,
+            shopName: KDS_SHOP_NAME,
+        });
+        jobs.push(...printQueue.enqueue({ orderId: order.orderId, orderNumber: order.orderNumber, station, location, kind, data }));
+    });
+    return jobs;
+}
+
+// A screen reprints on its own station's printer; expo and the all-stations screen reprint
+// on expo's, or on every station's when there's no expo printer
+function reprintOrder(order, station = null) {
+    const location = getOrderLocation(order);
+    let stations;
+    if (station && station !== "expo") stations = [station];
+    else if (printQueue.hasPrinter("expo", location)) stations = ["expo"];
+    else stations = printQueue.getStations(location);
+
+    const jobs = printOrder(order, "reprint", stations);
+    if (jobs.length === 0) {
+        throw new CommandError("NO_PRINTER", `No printer for order ${order.orderNumber}${station ? ` at ${station}` : ""}`);
+    }
+    log.info("Reprint queued", {
+        orderId: order.orderId,
+        orderNumber: order.orderNumber,
+        stations: [...new Set(jobs.map((j) => j.station))],
+    });
+    return jobs;
+}
+
+function isSquareOrder(order) {
+    return order?.source === "square" || (order && "stateFromSquare" in order);
+}
+
+// Queue the Square fulfillment update that matches a KDS transition
+function pushFulfillmentState(order, targetState) {
+    if (!SQUARE_ACCESS_TOKEN || !SQUARE_FULFILLMENT_SYNC || !isSquareOrder(order)) return;
+    squareSync.enqueue(order.orderId, targetState);
+}
+
+// Take back the Square update an undone transition queued, if it hasn't gone out yet
+function withdrawFulfillmentState(order, targetState) {
+    if (!SQUARE_ACCESS_TOKEN || !SQUARE_FULFILLMENT_SYNC || !isSquareOrder(order)) return;
+    if (squareSync.drop(order.orderId, targetState)) {
+        log.info("Dropped queued Square update for undone change", { orderId: order.orderId, targetState });
+    }
+}
+
+// Display numbers (see lib/orderNumbers.js): per location, reset each business day, and
+// never the number of a ticket that's still live in that location
+const orderNumbers = createOrderNumberAllocator({
+  file: path.join(DATA_DIR, "order-numbers.json"),
+  dayStartHour: BUSINESS_DAY_START_HOUR,
+  timeZone: KDS_TIMEZONE,
+  isInUse: (location, orderNumber) =>
+    Object.values(orders).some(
+      (o) => o.orderNumber === orderNumber && getOrderLocation(o) === location && !isFinished(o.status)
+    ),
+});
+
+function getNextLiveOrderNumber(location = DEFAULT_LOCATION_ID) {
+  return orderNumbers.next(location);
+}
+
+// ---------------- Helpers ----------------
+
+function toNumberQuantity(q) {
+  if (q === undefined || q === null) return 0;
+  const n = Number(q);
+  return Number.isFinite(n) ? n : 0;
+}
+
+function broadcast(msgObj) {
+  const data = JSON.stringify({ ...msgObj, revision: orderStore.getRevision() });
+  wss.clients.forEach((client) => {
+    if (client.readyState === 1) client.send(data);
+  });
+}
+
+// Every Square API call goes through here so /metrics and /healthz see its latency and
+// failures. `api` is "orders" or "catalog". Network errors are counted and rethrown.
+const squareApiHealth = { lastSuccessAt: null, lastFailureAt: null, lastError: null, consecutiveFailures: 0 };
+
+async function squareApiFetch(api, url, options) {
+  const startedAt = process.hrtime.bigint();
+  let outcome = "error";
+  let reason = "network";
+  try {
+    const resp = await fetch(url, options);
+    reason = String(resp.status);
+    if (resp.ok) outcome = "ok";
+    return resp;
+  } finally {
+    squareApiDuration.observe({ api, outcome }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    if (outcome === "ok") {
+      squareApiHealth.lastSuccessAt = Date.now();
+      squareApiHealth.consecutiveFailures = 0;
+    } else {
+      squareApiErrorsTotal.inc({ api, reason });
+      squareApiHealth.lastFailureAt = Date.now();
+      squareApiHealth.lastError = `${api}: ${reason}`;
+      squareApiHealth.consecutiveFailures++;
+    }
+  }
+}
+
+// Fetch full order from Square if webhook was minimal. Throws when the API fails, so the
+// webhook is answered with an error and Square delivers it again.
+async function fetchOrderFromSquare(orderId) {
+  if (!SQUARE_ACCESS_TOKEN) {
+    log.warn("No SQUARE_ACCESS_TOKEN set, skipping Orders API fetch", { orderId });
+    return null;
+  }
+
+  try {
+    const resp = await squareApiFetch("orders", `${SQUARE_BASE_URL}/v2/orders/${orderId}`, {
+      method: "GET",
+      headers: {
+        Authorization: `Bearer ${SQUARE_ACCESS_TOKEN}`,
+        "Content-Type": "application/json",
+        "Square-Version": "2024-03-20", // any recent date works
+      },
+    });
+
+    if (!resp.ok) {
+      const text = await resp.text();
+      log.error("Square Orders API error", { orderId, status: resp.status, body: text.slice(0, 2000) });
+      throw new Error(`Square Orders API answered ${resp.status}`);
+    }
+
+    const json = await resp.json();
+    log.info("Fetched order from Square", { orderId, lineItems: json.order?.line_items?.length ?? 0 });
+    log.debug("Orders API response", { orderId, response: json });
+    return json.order || null;
+  } catch (err) {
+    log.error("Orders API fetch failed", { orderId, error: err.message });
+    throw err;
+  }
+}
+
+// Square line items only carry the variation id, so resolve variation -> item -> category
+// name through the Catalog API. Results are cached; the menu rarely changes mid-shift.
+const catalogCategoryCache = {};
+
+async function fetchCatalogCategories(variationIds) {
+  const ids = [...new Set(variationIds.filter(Boolean))];
+  const missing = ids.filter((id) => !(id in catalogCategoryCache));
+
+  if (missing.length > 0 && SQUARE_ACCESS_TOKEN) {
+    try {
+      const resp = await squareApiFetch("catalog", `${SQUARE_BASE_URL}/v2/catalog/batch-retrieve`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${SQUARE_ACCESS_TOKEN}`,
+          "Content-Type": "application/json",
+          "Square-Version": "2024-03-20",
+        },
+        body: JSON.stringify({ object_ids: missing, include_related_objects: true }),
+      });
+
+      if (!resp.ok) {
+        log.error("Square Catalog API error", { status: resp.status, statusText: resp.statusText });
+      } else {
+        const json = await resp.json();
+        const related = [...(json.objects || []), ...(json.related_objects || [])];
+        const byId = {};
+        related.forEach((obj) => { byId[obj.id] = obj; });
+
+        (json.objects || []).forEach((variation) => {
+          const item = byId[variation.item_variation_data?.item_id];
+          const categoryId =
+            item?.item_data?.category_id ||
+            item?.item_data?.categories?.[0]?.id ||
+            null;
+          const category = categoryId ? byId[categoryId] : null;
+          catalogCategoryCache[variation.id] = category?.category_data?.name || null;
+        });
+      }
+    } catch (err) {
+      log.error("Catalog API fetch failed", { error: err.message });
+    }
+  }
+
+  const result = {};
+  ids.forEach((id) => { result[id] = catalogCategoryCache[id] ?? null; });
+  return result;
+}
+
+// Display numbers wrap (and every location has its own), so prefer the newest ticket
+// that's still live in the given location
+function findOrderByNumber(orderNumber, location = null) {
+  const matches = Object.values(orders)
+    .filter((o) => o.orderNumber === orderNumber && inLocation(o, location))
+    .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+  return matches.find((o) => !isFinished(o.status)) || matches[0] || null;
+}
+
+// Utility to locate orders by either internal ID or display number
+function findOrderByIdentifier(idOrNumber, location = null) {
+  if (!idOrNumber) return null;
+  if (orders[idOrNumber]) return orders[idOrNumber];
+  return findOrderByNumber(idOrNumber, location);
+}
+
+// ---------------- Order Transitions ----------------
+
+// Thrown by client command handlers; sent back to the screen as COMMAND_ERROR
+class CommandError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "CommandError";
+    this.code = code;
+  }
+}
+
+// Fulfillment state Square should show for each KDS status
+const SQUARE_FULFILLMENT_FOR_STATUS = {
+  ready: "PREPARED",
+  "picked-up": "COMPLETED",
+  cancelled: "CANCELED",
+};
+
+// Move an order through the state machine, stamping the matching timestamp and
+// recording the transition. Throws InvalidTransitionError if the move isn't allowed.
+function transitionOrder(order, nextStatus, eventType, detail = {}) {
+  const from = order.status;
+  assertTransition(from, nextStatus);
+
+  const now = Date.now();
+  order.status = nextStatus;
+
+  if (nextStatus === "new") {
+    order.firedAt = now; // a scheduled order reaching the line; its clock starts here
+  } else if (nextStatus === "in-progress") {
+    markOrderStarted(order, now);
+  } else if (nextStatus === "ready") {
+    markOrderStarted(order, now);
+    order.readyAt = now;
+    order.items = (order.items || []).map((item) => ({
+      ...item,
+      completed: true,
+      completedAt: item.completedAt || now,
+    }));
+  } else if (nextStatus === "picked-up") {
+    order.completedAt = now;
+  } else if (nextStatus === "cancelled") {
+    order.cancelledAt = now;
+  } else if (nextStatus === "recalled") {
+    order.recalledAt = now;
+    order.recallCount = (order.recallCount || 0) + 1;
+    order.completedAt = null;
+    order.cancelledAt = null;
+  }
+
+  orders[order.orderId] = order;
+  recordOrderEvent(order, eventType, { from, to: nextStatus, ...detail });
+  if (nextStatus === "cancelled" || nextStatus === "recalled") notifier.cancel(order.orderId, nextStatus);
+
+  // The screen clearing a ready ticket on its own doesn't mean the customer has it, so
+  // Square is left at PREPARED rather than told COMPLETED
+  const fulfillmentState = SQUARE_FULFILLMENT_FOR_STATUS[nextStatus];
+  if (fulfillmentState && detail.source !== "auto-complete") pushFulfillmentState(order, fulfillmentState);
+  return order;
+}
+
+function markOrderReady(order, detail = {}) {
+  if (!order) return null;
+  transitionOrder(order, "ready", "ORDER_READY", detail);
+  const onLineSince = order.firedAt || order.createdAt;
+  if (onLineSince && order.readyAt) {
+    ticketTimeSeconds.observe({ location: getOrderLocation(order) }, (order.readyAt - onLineSince) / 1000);
+  }
+  notifier.notifyOrderReady(order);
+  if (KDS_PRINT_READY_CHITS) printOrder(order, "ready", ["expo"]);
+
+  // Line stations finished their part already; they only need the refreshed ticket
+  sendToClients((client) => {
+    const view = viewOrderForStation(order, client.station, client.location);
+    if (!view) return null;
+    const lineStation = client.station && client.station !== "expo";
+    return { type: lineStation ? "ORDER_UPDATED" : "ORDER_READY_CONFIRM", ...view };
+  });
+  return order;
+}
+
+// ---------------- Staff Auth ----------------
+
+const staffAuth = createStaffAuth({
+  staffFile: path.join(DATA_DIR, "staff.json"),
+  sessionFile: path.join(DATA_DIR, "sessions.json"),
+  sessionTtlMs: SESSION_TTL_MS,
+  bootstrapManagerPin: KDS_BOOTSTRAP_MANAGER_PIN,
+});
+staffAuth.load();
+
+const SESSION_COOKIE = "kds_session";
+const LEAD_ROLES = ["expo", "manager"];
+
+function parseCookies(header) {
+  const cookies = {};
+  String(header || "").split(";").forEach((part) => {
+    const idx = part.indexOf("=");
+    if (idx < 0) return;
+    cookies[part.slice(0, idx).trim()] = decodeURIComponent(part.slice(idx + 1).trim());
+  });
+  return cookies;
+}
+
+// Browsers send the session cookie (on the WebSocket upgrade too); scripts can use a Bearer token
+function getSessionToken(req) {
+  const auth = req.headers.authorization || "";
+  if (auth.startsWith("Bearer ")) return auth.slice(7).trim();
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+function sessionCookie(req, token, maxAgeMs) {
+  return [
+    `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+    "Path=/",
+    "HttpOnly",
+    "SameSite=Strict",
+    `Max-Age=${Math.max(0, Math.floor(maxAgeMs / 1000))}`,
+    req.secure ? "Secure" : null,
+  ]
+    .filter(Boolean)
+    .join("; ");
+}
+
+// Express middleware: only signed-in staff with one of `roles` get through
+function requireStaff(roles = ROLES) {
+  return (req, res, next) => {
+    const staff = staffAuth.authenticate(getSessionToken(req));
+    if (!staff) return res.status(401).json({ error: "Sign in required" });
+    if (!roles.includes(staff.role)) {
+      return res.status(403).json({ error: `Needs ${roles.join(" or ")} rights` });
+    }
+    req.staff = staff;
+    next();
+  };
+}
+
+// ---------------- Client Commands ----------------
+// Every message from a kitchen screen is checked against its schema before it touches
+// any state. A screen may send a commandId; the COMMAND_ACK / COMMAND_ERROR reply echoes
+// it so the screen can roll back whatever it applied optimistically.
+
+// Who made a change from a kitchen screen, for the order's audit trail. A change replayed
+// from the screen's offline outbox also records when the tap actually happened.
+function kitchenActor(ws, source = "kitchen") {
+  const actor = { source, staff: ws.staff };
+  if (ws.replayQueuedAt) actor.queuedAt = ws.replayQueuedAt;
+  return actor;
+}
+
+// Commands not listed here are open to every signed-in role
+const COMMAND_ROLES = {
+  ORDER_CANCELLED: LEAD_ROLES,
+  ORDER_REACTIVATED: LEAD_ROLES,
+  ORDER_PRIORITY_TOGGLE: LEAD_ROLES,
+};
+
+// Field type, with a trailing "?" for optional fields (null counts as absent)
+const COMMAND_SCHEMAS = {
+  SYNC_REQUEST: { station: "string?", sinceRevision: "integer?" },
+  PING: {},
+  ITEM_COMPLETED: { orderId: "string", itemIndex: "integer", completed: "boolean" },
+  STATION_BUMP: { orderId: "string", station: "string" },
+  ORDER_PRIORITY_TOGGLE: { orderId: "string", isPrioritized: "boolean" },
+  ORDER_STARTED: { orderId: "string" },
+  ORDER_FIRE: { orderId: "string" },
+  ORDER_READY: { orderId: "string" },
+  ORDER_COMPLETED: { orderId: "string", auto: "boolean?" },
+  ORDER_UNDO: { orderId: "string" },
+  ORDER_NOTIFY_OPT_OUT: { orderId: "string", optOut: "boolean" },
+  ORDER_REACTIVATED: { orderId: "string", station: "string?" },
+  ORDER_CANCELLED: { orderId: "string" },
+  ORDER_REPRINT: { orderId: "string", station: "string?" },
+  ITEM_86: { name: "string", variationName: "string?", catalogObjectId: "string?", eightySixed: "boolean" },
+};
+
+function matchesType(value, type) {
+  if (type === "integer") return Number.isInteger(value);
+  return typeof value === type;
+}
+
+// Returns a description of what's wrong with the message, or null when it's valid
+function validateCommand(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) return "message must be an object";
+  if (typeof data.type !== "string") return "type is required";
+
+  const schema = COMMAND_SCHEMAS[data.type];
+  if (!schema) return `unknown command ${data.type}`;
+  if (data.commandId !== undefined && typeof data.commandId !== "string") {
+    return "commandId must be a string";
+  }
+  for (const field of ["queuedAt", "sentAt"]) {
+    if (data[field] !== undefined && !Number.isInteger(data[field])) return `${field} must be an integer`;
+  }
+
+  for (const [field, spec] of Object.entries(schema)) {
+    const optional = spec.endsWith("?");
+    const type = optional ? spec.slice(0, -1) : spec;
+    const value = data[field];
+    if (value === undefined || value === null) {
+      if (!optional) return `${field} is required`;
+      continue;
+    }
+    if (!matchesType(value, type)) return `${field} must be of type ${type}`;
+  }
+  return null;
+}
+
+// Commands name the order by orderId; display numbers repeat across days and locations
+function requireOrder(orderId, location = null) {
+  const order = orders[orderId];
+  if (!order || !inLocation(order, location)) {
+    throw new CommandError("ORDER_NOT_FOUND", `Order ${orderId} not found`);
+  }
+  return order;
+}
+
+function requireWorkingOrder(order, action) {
+  if (!isWorking(order.status)) {
+    throw new CommandError(
+      "ILLEGAL_TRANSITION",
+      `Cannot ${action} on order ${order.orderNumber} while it is ${order.status}`
+    );
+  }
+}
+
+// Kitchen changes that "undo last bump" can take back; Square and system events can't be
+const UNDOABLE_EVENTS = [
+  "ORDER_FIRED",
+  "ITEM_COMPLETED",
+  "STATION_BUMP",
+  "ORDER_STARTED",
+  "ORDER_READY",
+  "ORDER_PICKED_UP",
+  "ORDER_CANCELLED",
+  "ORDER_RECALLED",
+  "STATION_RECALLED",
+  "ORDER_PRIORITY_TOGGLE",
+];
+const UNDO_WINDOW_MS = 10 * 60 * 1000;
+// Timeline event -> who may undo it: the same roles as the command that recorded it
+const UNDO_ROLES = {
+  ORDER_CANCELLED: COMMAND_ROLES.ORDER_CANCELLED,
+  ORDER_RECALLED: COMMAND_ROLES.ORDER_REACTIVATED,
+  STATION_RECALLED: COMMAND_ROLES.ORDER_REACTIVATED,
+  ORDER_PRIORITY_TOGGLE: COMMAND_ROLES.ORDER_PRIORITY_TOGGLE,
+};
+
+// Latest change on the order that hasn't been undone yet. Undoing twice walks further back.
+// The screen's own auto-complete after a ready bump goes with that bump, so it's skipped.
+function findUndoableEntry(order, now = Date.now()) {
+  const timeline = Array.isArray(order.timeline) ? order.timeline : [];
+  const undone = new Set(timeline.filter((e) => e.type === "ORDER_UNDONE").map((e) => e.undoes));
+
+  for (let index = timeline.length - 1; index >= 0; index--) {
+    const entry = timeline[index];
+    if (entry.type === "ORDER_UNDONE" || entry.source === "auto-complete" || undone.has(index)) continue;
+    if (!UNDOABLE_EVENTS.includes(entry.type) || !entry.before) break;
+    if (now - entry.at > UNDO_WINDOW_MS) break;
+    return { entry, index };
+  }
+  throw new CommandError("NOTHING_TO_UNDO", `Nothing to undo on order ${order.orderNumber}`);
+}
+
+// Put an order back to a state captured by captureOrderState
+function applyOrderState(order, state) {
+  const items = order.items || [];
+  if (state.items.length !== items.length) {
+    throw new CommandError("NOTHING_TO_UNDO", `Order ${order.orderNumber} has changed too much to undo`);
+  }
+  order.status = state.status;
+  order.isPrioritized = state.isPrioritized;
+  order.prioritizedAt = state.prioritizedAt;
+  order.firedAt = state.firedAt ?? null;
+  order.startedAt = state.startedAt;
+  order.readyAt = state.readyAt;
+  order.completedAt = state.completedAt;
+  order.cancelledAt = state.cancelledAt;
+  order.recalledAt = state.recalledAt;
+  order.recallCount = state.recallCount;
+  items.forEach((item, i) => {
+    item.completed = state.items[i].completed;
+    item.completedAt = state.items[i].completedAt;
+  });
+  orders[order.orderId] = order;
+}
+
+function setNotificationsOptOut(order, optOut, detail) {
+  if (Boolean(order.notificationsOptOut) === optOut) return order;
+  order.notificationsOptOut = optOut;
+  if (optOut) notifier.cancel(order.orderId, "opted out");
+  recordOrderEvent(order, optOut ? "NOTIFY_OPT_OUT" : "NOTIFY_OPT_IN", detail);
+  log.info(optOut ? "Customer notifications off" : "Customer notifications on", {
+    orderId: order.orderId,
+    orderNumber: order.orderNumber,
+  });
+  broadcastOrder(order);
+  return order;
+}
+
+// Send a scheduled order to the line. Throws InvalidTransitionError if it isn't scheduled.
+function fireOrder(order, detail) {
+  transitionOrder(order, "new", "ORDER_FIRED", { fireAt: order.fireAt || null, ...detail });
+  log.info("Order fired", {
+    orderId: order.orderId,
+    orderNumber: order.orderNumber,
+    early: Boolean(detail.early),
+    pickupAt: new Date(order.pickupAt).toISOString(),
+  });
+  printOrder(order, "ticket");
+  broadcastOrder(order);
+  return order;
+}
+
+// Scheduled orders whose fire time has come go to the line
+function fireDueOrders(now = Date.now()) {
+  Object.values(orders)
+    .filter((o) => isScheduled(o.status) && (o.fireAt || 0) <= now)
+    .forEach((o) => fireOrder(o, { source: "scheduler" }));
+}
+
+// The order is only ready once every station has finished its part
+function readyIfAllStationsDone(order, eventType, detail) {
+  if (areAllStationsDone(order)) {
+    markOrderReady(order, { source: detail.source, staff: detail.staff });
+  } else {
+    recordOrderEvent(order, eventType, detail);
+    broadcastOrder(order);
+  }
+}
+
+const commandHandlers = {
+  SYNC_REQUEST(ws, data) {
+    if (data.station !== undefined) ws.station = normalizeStation(data.station);
+    sendToClient(ws, buildSyncMessage(ws.station, data.sinceRevision, ws.location));
+    sendAllDay(ws);
+    sendPacing(ws);
+    sendEightySixed(ws);
+    return null;
+  },
+
+  // Application-level heartbeat, so a screen can tell a dead connection from a quiet kitchen
+  PING(ws) {
+    sendToClient(ws, { type: "PONG", at: Date.now(), revision: orderStore.getRevision() });
+    return null;
+  },
+
+  // KDS FEATURE: Fire a scheduled order to the line now instead of at its fire time
+  ORDER_FIRE(ws, data) {
+    const order = requireOrder(data.orderId, ws.location);
+    fireOrder(order, { early: true, ...kitchenActor(ws) });
+    return order;
+  },
+
+  // KDS FEATURE: Toggle Item Completion (triggers status change)
+  ITEM_COMPLETED(ws, data) {
+    const order = requireOrder(data.orderId, ws.location);
+    requireWorkingOrder(order, "change items");
+    const item = order.items?.[data.itemIndex];
+    if (!item) {
+      throw new CommandError("ITEM_NOT_FOUND", `Order ${order.orderNumber} has no item ${data.itemIndex}`);
+    }
+
+    item.completed = data.completed;
+    item.completedAt = data.completed ? Date.now() : null;
+    if (data.completed) markOrderStarted(order);
+
+    const detail = { itemIndex: data.itemIndex, completed: data.completed, ...kitchenActor(ws) };
+    // Automatically set status to in-progress if starting completion
+    if (order.status === "new" && data.completed) {
+      transitionOrder(order, "in-progress", "ITEM_COMPLETED", detail);
+      if (areAllStationsDone(order)) markOrderReady(order, kitchenActor(ws));
+      else broadcastOrder(order);
+    } else {
+      readyIfAllStationsDone(order, "ITEM_COMPLETED", detail);
+    }
+    return order;
+  },
+
+  // KDS FEATURE: Station bump (a line station finished all of its items on a ticket)
+  STATION_BUMP(ws, data) {
+    const station = normalizeStation(data.station);
+    if (!station) throw new CommandError("INVALID_MESSAGE", `Unknown station ${data.station}`);
+    const order = requireOrder(data.orderId, ws.location);
+    requireWorkingOrder(order, "bump a station");
+
+    const now = Date.now();
+    order.items.forEach((item) => {
+      if (item.station === station && !item.completed) {
+        item.completed = true;
+        item.completedAt = now;
+      }
+    });
+    markOrderStarted(order, now);
+    ws.log.info("Station bumped order", { orderId: order.orderId, orderNumber: order.orderNumber, station });
+
+    const detail = { station, ...kitchenActor(ws) };
+    if (order.status === "new") {
+      transitionOrder(order, "in-progress", "STATION_BUMP", detail);
+      if (areAllStationsDone(order)) markOrderReady(order, kitchenActor(ws));
+      else broadcastOrder(order);
+    } else {
+      readyIfAllStationsDone(order, "STATION_BUMP", detail);
+    }
+    return order;
+  },
+
+  // KDS FEATURE: Toggle Priority
+  ORDER_PRIORITY_TOGGLE(ws, data) {
+    const order = requireOrder(data.orderId, ws.location);
+    requireWorkingOrder(order, "change priority");
+
+    order.isPrioritized = data.isPrioritized;
+    order.prioritizedAt = data.isPrioritized ? Date.now() : null;
+    recordOrderEvent(order, "ORDER_PRIORITY_TOGGLE", { isPrioritized: data.isPrioritized, ...kitchenActor(ws) });
+    broadcast({
+      type: "ORDER_PRIORITY_TOGGLE",
+      orderId: order.orderId,
+      orderNumber: order.orderNumber,
+      isPrioritized: order.isPrioritized,
+      prioritizedAt: order.prioritizedAt,
+    });
+    return order;
+  },
+
+  // KDS FEATURE: Cook picked up the ticket (first tap in cycleStatus)
+  ORDER_STARTED(ws, data) {
+    const order = requireOrder(data.orderId, ws.location);
+    transitionOrder(order, "in-progress", "ORDER_STARTED", kitchenActor(ws));
+    broadcastOrder(order);
+    return order;
+  },
+
+  // KDS FEATURE: Order marked Ready (e.g., from cycleStatus on client)
+  ORDER_READY(ws, data) {
+    const order = requireOrder(data.orderId, ws.location);
+    return markOrderReady(order, kitchenActor(ws));
+  },
+
+  // KDS FEATURE: Order handed to the customer
+  ORDER_COMPLETED(ws, data) {
+    const order = requireOrder(data.orderId, ws.location);
+    // The kitchen screen completes ready orders on its own after a few seconds
+    transitionOrder(order, "picked-up", "ORDER_PICKED_UP", kitchenActor(ws, data.auto ? "auto-complete" : "kitchen"));
+    broadcastOrder(order);
+    return order;
+  },
+
+  // KDS FEATURE: Recall/Reactivate
+  ORDER_REACTIVATED(ws, data) {
+    const order = requireOrder(data.orderId, ws.location);
+    // A line station recalling only reopens its own items
+    const station = normalizeStation(data.station);
+    const scoped = Boolean(station && station !== "expo");
+    const resetItems = () => {
+      order.items.forEach((item) => {
+        if (!scoped || item.station === station) {
+          item.completed = false; // Reset item completion
+          item.completedAt = null;
         }
+      });
+    };
+
+    if (scoped && isWorking(order.status)) {
+      // The rest of the order is still being made; just reopen this station's part
+      resetItems();
+      recordOrderEvent(order, "STATION_RECALLED", { station, ...kitchenActor(ws) });
+    } else {
+      assertTransition(order.status, "recalled");
+      resetItems();
+      const detail = scoped ? { station, ...kitchenActor(ws) } : kitchenActor(ws);
+      transitionOrder(order, "recalled", "ORDER_RECALLED", detail);
+    }
+
+    ws.log.info("Order recalled", {
+      orderId: order.orderId,
+      orderNumber: order.orderNumber,
+      station: scoped ? station : null,
+    });
+    broadcastOrder(order);
+    return order;
+  },
+
+  // KDS FEATURE: Cancel Order
+  ORDER_CANCELLED(ws, data) {
+    const order = requireOrder(data.orderId, ws.location);
+    transitionOrder(order, "cancelled", "ORDER_CANCELLED", kitchenActor(ws));
+    ws.log.info("Order cancelled", { orderId: order.orderId, orderNumber: order.orderNumber });
+    broadcastOrder(order);
+    return order;
+  },
+
+  // Customer asked not to be texted/emailed about this order
+  ORDER_NOTIFY_OPT_OUT(ws, data) {
+    const order = requireOrder(data.orderId, ws.location);
+    setNotificationsOptOut(order, data.optOut, kitchenActor(ws));
+    return order;
+  },
+
+  // Print the ticket again (jammed paper, lost chit)
+  ORDER_REPRINT(ws, data) {
+    const order = requireOrder(data.orderId, ws.location);
+    reprintOrder(order, normalizeStation(data.station) || ws.station);
+    return order;
+  },
+
+  // An item ran out (or is back), at this screen's location
+  ITEM_86(ws, data) {
+    setItemEightySixed(readEightySixItem(data), data.eightySixed, ws.location, kitchenActor(ws));
+    return null;
+  },
+
+  // KDS FEATURE: Undo the last bump on an order (restores the state before it)
+  ORDER_UNDO(ws, data) {
+    const order = requireOrder(data.orderId, ws.location);
+    const { entry, index } = findUndoableEntry(order);
+    const roles = UNDO_ROLES[entry.type];
+    if (roles && !roles.includes(ws.staff.role)) {
+      throw new CommandError("FORBIDDEN", `Undoing ${entry.type} needs ${roles.join(" or ")} rights`);
+    }
+
+    const from = order.status;
+    applyOrderState(order, entry.before);
+    if (order.status !== "ready" && order.status !== "picked-up") notifier.cancel(order.orderId, "undone");
+    // Square shouldn't hear about the undone change either (an undone ready bump takes the
+    // screen's auto-complete with it, so both statuses can have an update queued)
+    new Set([from, entry.after?.status]).forEach((status) => {
+      const fulfillmentState = SQUARE_FULFILLMENT_FOR_STATUS[status];
+      if (fulfillmentState && status !== order.status) withdrawFulfillmentState(order, fulfillmentState);
+    });
+    recordOrderEvent(order, "ORDER_UNDONE", {
+      undoes: index,
+      undoneType: entry.type,
+      from,
+      to: order.status,
+      ...kitchenActor(ws),
+    });
+
+    ws.log.info("Order undone", {
+      orderId: order.orderId,
+      orderNumber: order.orderNumber,
+      undone: entry.type,
+      from,
+      to: order.status,
+    });
+    broadcastOrder(order);
+    return order;
+  },
+};
+
+// Commands that answer with their own reply instead of an ack
+const UNACKED_COMMANDS = ["SYNC_REQUEST", "PING"];
+
+// ---------------- Offline replay ----------------
+// A screen that loses its connection keeps its commands in an outbox and replays them in
+// order, with their original commandId, once it has synced again (see public/kitchen.html).
+// Replays carry queuedAt (when the tap happened) and sentAt, both by the screen's clock.
+//
+//   - a commandId already handled is acked again without running twice: the first ack was
+//     lost with the connection
+//   - a command whose outcome is already true is acked as "already-applied"
+//   - a command on a ticket someone else moved to another status after the tap, or one
+//     that no longer applies at all, is dropped as CONFLICT with the current ticket.
+//     Priority and notification toggles and reprints don't change status and just apply.
+
+const RECENT_COMMAND_LIMIT = 2000;
+// commandId -> status the command left its order in
+const recentCommands = new Map();
+
+function rememberCommand(commandId, status) {
+  if (!commandId) return;
+  recentCommands.set(commandId, status);
+  if (recentCommands.size > RECENT_COMMAND_LIMIT) {
+    recentCommands.delete(recentCommands.keys().next().value);
+  }
+}
+
+function stationItemsDone(order, station, completed) {
+  const own = (order.items || []).filter((item) => item.station === station);
+  return own.length > 0 && own.every((item) => Boolean(item.completed) === completed);
+}
+
+// True when the order already looks the way the command would leave it
+const ALREADY_APPLIED = {
+  ORDER_FIRE: (order) => !isScheduled(order.status),
+  ORDER_STARTED: (order) => ["in-progress", "ready", "picked-up"].includes(order.status),
+  ORDER_READY: (order) => ["ready", "picked-up"].includes(order.status),
+  ORDER_COMPLETED: (order) => order.status === "picked-up",
+  ORDER_CANCELLED: (order) => order.status === "cancelled",
+  ITEM_COMPLETED: (order, data) => Boolean(order.items?.[data.itemIndex]?.completed) === data.completed,
+  STATION_BUMP: (order, data) => stationItemsDone(order, normalizeStation(data.station), true),
+  ORDER_PRIORITY_TOGGLE: (order, data) => Boolean(order.isPrioritized) === data.isPrioritized,
+  ORDER_NOTIFY_OPT_OUT: (order, data) => Boolean(order.notificationsOptOut) === data.optOut,
+  ORDER_REACTIVATED: (order, data) => {
+    const station = normalizeStation(data.station);
+    if (station && station !== "expo" && isWorking(order.status)) {
+      return stationItemsDone(order, station, false);
     }
+    return order.status === "recalled";
+  },
+};
+
+// Toggles that are fine to apply whatever else happened to the ticket meanwhile
+const STATUS_INDEPENDENT_COMMANDS = ["ORDER_PRIORITY_TOGGLE", "ORDER_NOTIFY_OPT_OUT", "ORDER_REPRINT"];
+// What a replayed command can fail with because the ticket moved on without it
+const REPLAY_CONFLICT_CODES = ["ORDER_NOT_FOUND", "ILLEGAL_TRANSITION", "ITEM_NOT_FOUND", "NOTHING_TO_UNDO"];
+
+// Changes made to the order after `since`. Replayed changes count from when they were queued,
+// so a screen's own earlier offline taps don't conflict with its later ones.
+function orderChangesSince(order, since) {
+  return (order.timeline || []).filter((entry) => (entry.queuedAt ?? entry.at) > since);
 }
 
-function saveKDSState() {
+// Decide what to do with a replayed command before it runs. Returns the tap time on the
+// server's clock, plus a resolution when the command shouldn't run at all.
+function resolveReplay(ws, data) {
+  const now = Date.now();
+  // Tablet clocks drift; shift the tap time by the gap between the screen's clock and ours
+  const offset = Number.isInteger(data.sentAt) ? now - data.sentAt : 0;
+  const queuedAt = Math.min(now, data.queuedAt + offset);
+  // Not about one ticket (86'ing an item): nothing to conflict with
+  if (!data.orderId) return { queuedAt };
+
+  const order = requireOrder(data.orderId, ws.location);
+  if (ALREADY_APPLIED[data.type]?.(order, data)) return { queuedAt, order, resolution: "already-applied" };
+  if (STATUS_INDEPENDENT_COMMANDS.includes(data.type)) return { queuedAt };
+
+  const changes = orderChangesSince(order, queuedAt);
+  // Undo takes back the latest change, so any change since makes it ambiguous
+  const conflicting = data.type === "ORDER_UNDO"
+    ? changes
+    : changes.filter((entry) => entry.before && entry.after && entry.before.status !== entry.after.status);
+  if (conflicting.length > 0) {
+    const latest = conflicting[conflicting.length - 1];
+    throw new CommandError(
+      "CONFLICT",
+      `Order ${order.orderNumber} changed (${latest.type}) after this was queued`
+    );
+  }
+  return { queuedAt };
+}
+
+function sendToClient(ws, msg) {
+  if (ws.readyState === 1) ws.send(JSON.stringify(msg));
+}
+
+function handleClientMessage(ws, message) {
+  let data;
+  try {
+    data = JSON.parse(message.toString());
+  } catch (e) {
+    sendToClient(ws, { type: "COMMAND_ERROR", code: "INVALID_MESSAGE", message: "Message is not valid JSON" });
+    return;
+  }
+  ws.log.debug("Client message received", { type: data?.type, commandId: data?.commandId });
+
+  const reply = {
+    commandId: typeof data?.commandId === "string" ? data.commandId : null,
+    command: typeof data?.type === "string" ? data.type : null,
+    orderId: typeof data?.orderId === "string" ? data.orderId : null,
+  };
+
+  try {
+    const invalid = validateCommand(data);
+    if (invalid) throw new CommandError("INVALID_MESSAGE", invalid);
+
+    // The session may have expired (or the staff member been removed) since the socket opened
+    ws.staff = staffAuth.authenticate(ws.sessionToken);
+    if (!ws.staff) {
+      sendToClient(ws, { type: "AUTH_REQUIRED" });
+      ws.close(4401, "Sign in required");
+      throw new CommandError("AUTH_REQUIRED", "Sign in required");
+    }
+    const roles = COMMAND_ROLES[data.type];
+    if (roles && !roles.includes(ws.staff.role)) {
+      throw new CommandError("FORBIDDEN", `${data.type} needs ${roles.join(" or ")} rights`);
+    }
+
+    if (reply.commandId && recentCommands.has(reply.commandId)) {
+      sendToClient(ws, { type: "COMMAND_ACK", ...reply, status: recentCommands.get(reply.commandId), resolution: "duplicate" });
+      return;
+    }
+
+    const replay = Number.isInteger(data.queuedAt) ? resolveReplay(ws, data) : null;
+    if (replay?.resolution) {
+      ws.log.info("Replayed queued command", {
+        command: data.type,
+        orderId: replay.order.orderId,
+        orderNumber: replay.order.orderNumber,
+        resolution: replay.resolution,
+      });
+      rememberCommand(reply.commandId, replay.order.status);
+      sendToClient(ws, { type: "COMMAND_ACK", ...reply, status: replay.order.status, resolution: replay.resolution });
+      return;
+    }
+
+    let order;
+    ws.replayQueuedAt = replay?.queuedAt || null;
     try {
-        fs.writeFileSync(STATE_FILE, JSON.stringify(orders, null, 2), 'utf8');
-        // console.log(`KDS state saved to ${STATE_FILE}`); // Commented out to reduce log noise
-    } catch (error) {
-        console.error('Error saving KDS state:', error.message);
+      order = commandHandlers[data.type](ws, data);
+    } finally {
+      ws.replayQueuedAt = null;
+    }
+    if (!UNACKED_COMMANDS.includes(data.type)) {
+      rememberCommand(reply.commandId, order?.status ?? null);
+      sendToClient(ws, { type: "COMMAND_ACK", ...reply, status: order?.status ?? null });
     }
+  } catch (err) {
+    let code = err.code || "INTERNAL_ERROR";
+    // A replayed tap that no longer fits the ticket is a conflict, not a client bug
+    if (Number.isInteger(data?.queuedAt) && REPLAY_CONFLICT_CODES.includes(code)) code = "CONFLICT";
+    if (code === "INTERNAL_ERROR") ws.log.error("Error processing client message", { command: reply.command, err });
+    else ws.log.info("Command rejected", { command: reply.command, orderId: reply.orderId, code, error: err.message });
+
+    // Send the authoritative ticket back so the screen can undo its optimistic change
+    const current = reply.orderId && orders[reply.orderId];
+    sendToClient(ws, {
+      type: "COMMAND_ERROR",
+      ...reply,
+      code,
+      message: err.message,
+      order: current ? viewOrderForStation(current, ws.station, ws.location) : null,
+    });
+  }
 }
 
-loadKDSState(); // Call on startup
+// ---------------- HTTP + WebSocket server ----------------
+
+const server = http.createServer(app);
+const wss = new WebSocketServer({ server });
+
+wss.on("connection", (ws, req) => {
+  // Station screens connect with ?station=fryer; anything else gets the full kitchen.
+  // A reconnecting screen adds ?since=<last revision it saw> to get only what it missed.
+  const requestUrl = new URL(req.url, "http://localhost");
+  ws.station = normalizeStation(requestUrl.searchParams.get("station"));
+  // ...and ?location=<Square location id> when one backend runs several sites
+  ws.location = resolveLocation(requestUrl.searchParams.get("location"));
+  const since = requestUrl.searchParams.get("since");
+  const sinceRevision = /^\d+$/.test(since || "") ? Number(since) : null;
+
+  ws.log = log.child({ station: ws.station, location: ws.location });
+
+  ws.isAlive = true;
+  ws.on("pong", () => {
+    ws.isAlive = true;
+  });
+
+  // Screens must be signed in; the kitchen page sends staff to /login on 4401
+  ws.sessionToken = getSessionToken(req);
+  ws.staff = staffAuth.authenticate(ws.sessionToken);
+  if (!ws.staff) {
+    sendToClient(ws, { type: "AUTH_REQUIRED" });
+    ws.close(4401, "Sign in required");
+    return;
+  }
+  ws.log = ws.log.child({ staff: ws.staff.name });
+  ws.log.info("KDS connected", { sinceRevision });
+  // Stations with a printer, so the screen knows whether to offer reprint, and the labels
+  // for the order source badges
+  sendToClient(ws, {
+    type: "SESSION",
+    staff: ws.staff,
+    printers: printQueue.getStations(ws.location),
+    sources: getSourceLabels(),
+  });
+
+  // Initial sync, scoped to the station (if any)
+  sendToClient(ws, buildSyncMessage(ws.station, sinceRevision, ws.location));
+  sendAllDay(ws);
+  sendPacing(ws);
+  sendEightySixed(ws);
+
+  // Handle messages from the client (e.g., status changes)
+  ws.on("message", (message) => handleClientMessage(ws, message));
+
+  ws.on("close", () => ws.log.info("KDS disconnected"));
+});
+
+// Drop sockets whose tablet went away without closing (Wi-Fi dropped, lid shut), so
+// broadcasts stop queueing up for them
+const heartbeatTimer = setInterval(() => {
+  wss.clients.forEach((ws) => {
+    if (!ws.isAlive) {
+      (ws.log || log).warn("Dropping unresponsive KDS connection");
+      ws.terminate();
+      return;
+    }
+    ws.isAlive = false;
+    ws.ping();
+  });
+}, HEARTBEAT_INTERVAL_MS);
+heartbeatTimer.unref();
+
+wss.on("close", () => clearInterval(heartbeatTimer));
+
+// ---------------- Middleware + static ----------------
+
+// Behind the hosting proxy, so req.protocol reflects the public scheme (used for webhook
+// signatures) and req.ip is the real client (used for the PIN lockout)
+app.set("trust proxy", KDS_TRUST_PROXY_HOPS);
+
+// Every request gets an id (the proxy's X-Request-Id when it sends a sane one), echoed in
+// the response and stamped on every log line written for it
+app.use((req, res, next) => {
+  const incoming = req.get("x-request-id");
+  req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader("X-Request-Id", req.id);
+  req.log = log.child({ requestId: req.id });
+
+  const startedAt = process.hrtime.bigint();
+  res.on("finish", () => {
+    httpRequestsTotal.inc({ method: req.method, status: res.statusCode });
+    const fields = {
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6),
+    };
+    // Page loads, assets, polls and scrapes would drown everything else out at info
+    if (res.statusCode >= 500) req.log.error("Request failed", fields);
+    else if (req.method === "GET" && res.statusCode < 400) req.log.debug("Request", fields);
+    else req.log.info("Request", fields);
+  });
+  next();
+});
+
+// Keep the raw body around: Square signs the exact bytes it sent, not our re-serialized JSON
+app.use(
+  bodyParser.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
+// Serve static assets from the repo's public directory (works even if the server is started elsewhere)
+const PUBLIC_DIR = path.join(process.cwd(), "public");
+app.use(express.static(PUBLIC_DIR));
+
+// Staff pages send anyone not signed in to the PIN pad first
+function sendStaffPage(file, roles = ROLES) {
+  return (req, res) => {
+    const staff = staffAuth.authenticate(getSessionToken(req));
+    if (!staff || !roles.includes(staff.role)) {
+      return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    res.sendFile(path.join(PUBLIC_DIR, file));
+  };
+}
+
+app.get("/kitchen", sendStaffPage("kitchen.html"));
+
+app.get("/login", (req, res) => {
+  res.sendFile(path.join(PUBLIC_DIR, "login.html"));
+});
+
+app.get("/cds", (req, res) => {
+  res.sendFile(path.join(PUBLIC_DIR, "cds.html"));
+});
+
+app.get("/reports", sendStaffPage("reports.html", ["manager"]));
+
+app.get("/menu-display", sendStaffPage("menu-display.html", ["manager"]));
+
+app.get("/", (req, res) => res.redirect("/kitchen"));
+
+// ---------------- Health + Metrics ----------------
+
+function getQueueStatuses() {
+  return {
+    "square-sync": squareSync.getStatus(),
+    notifications: notifier.getStatus(),
+    printing: printQueue.getStatus(),
+  };
+}
+
+// Writes and removes a scratch file: the order log, snapshots and queues all live here
+function checkDataDir() {
+  const probe = path.join(DATA_DIR, `.healthz-${process.pid}`);
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(probe, String(Date.now()), "utf8");
+    fs.unlinkSync(probe);
+    return { status: "ok", path: DATA_DIR };
+  } catch (err) {
+    return { status: "fail", path: DATA_DIR, error: err.message };
+  }
+}
+
+function checkWebhooks() {
+  const lastReceivedAt = webhookStats.lastReceivedAt;
+  const ageSeconds = lastReceivedAt ? Math.round((Date.now() - lastReceivedAt) / 1000) : null;
+  // Before the first webhook, count from startup
+  const quietMs = lastReceivedAt ? Date.now() - lastReceivedAt : process.uptime() * 1000;
+  const stale = KDS_WEBHOOK_STALE_MS > 0 && quietMs > KDS_WEBHOOK_STALE_MS;
+  return {
+    status: stale ? "warn" : "ok",
+    lastReceivedAt,
+    ageSeconds,
+    signatureVerification: Boolean(SQUARE_WEBHOOK_SIGNATURE_KEY),
+  };
+}
+
+function checkSquareApi() {
+  if (!SQUARE_ACCESS_TOKEN) return { status: "ok", configured: false };
+  return {
+    status: squareApiHealth.consecutiveFailures >= SQUARE_API_FAILURE_THRESHOLD ? "warn" : "ok",
+    configured: true,
+    ...squareApiHealth,
+  };
+}
+
+function checkQueues() {
+  const queues = Object.fromEntries(
+    Object.entries(getQueueStatuses()).map(([queue, status]) => [
+      queue,
+      { pending: status.pending.length, dead: status.dead.length },
+    ])
+  );
+  const hasDead = Object.values(queues).some((q) => q.dead > 0);
+  return { status: hasDead ? "warn" : "ok", ...queues };
+}
+
+// "ok"; "degraded" when something needs a look but tickets still flow (Square quiet or
+// failing, jobs given up on); "fail" when the kitchen can't rely on this instance
+function buildHealthReport() {
+  const checks = {
+    server: { status: server.listening ? "ok" : "fail" },
+    dataDir: checkDataDir(),
+    squareWebhooks: checkWebhooks(),
+    squareApi: checkSquareApi(),
+    queues: checkQueues(),
+  };
+  const statuses = Object.values(checks).map((check) => check.status);
+  const status = statuses.includes("fail") ? "fail" : statuses.includes("warn") ? "degraded" : "ok";
+  return {
+    status,
+    uptimeSeconds: Math.round(process.uptime()),
+    revision: orderStore.getRevision(),
+    screens: [...wss.clients].filter((client) => client.staff).length,
+    checks,
+  };
+}
+
+// 503 only on "fail", so a degraded instance stays in rotation
+app.get("/healthz", (req, res) => {
+  const report = buildHealthReport();
+  res.status(report.status === "fail" ? 503 : 200).json(report);
+});
+
+app.get("/metrics", (req, res) => {
+  if (KDS_METRICS_TOKEN) {
+    const expected = Buffer.from(`Bearer ${KDS_METRICS_TOKEN}`);
+    const given = Buffer.from(req.get("authorization") || "");
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return res.status(401).send("unauthorized");
+    }
+  }
+  res.set("Content-Type", metrics.contentType).send(metrics.render());
+});
+
+// ---------------- Auth Routes ----------------
 
-function toThreeDigitOrderNumber(num) {
-  const normalized = ((Number(num) - 1 + 999) % 999) + 1;
-  return String(normalized).padStart(3, "0");
-}
+app.post("/api/auth/login", async (req, res, next) => {
+  try {
+    const session = await staffAuth.login(req.body?.pin, req.ip);
+    res.setHeader("Set-Cookie", sessionCookie(req, session.token, session.expiresAt - Date.now()));
+    req.log.info("Staff signed in", { staff: session.staff.name, role: session.staff.role });
+    res.json({ staff: session.staff, expiresAt: session.expiresAt, token: session.token });
+  } catch (err) {
+    if (!(err instanceof AuthError)) return next(err);
+    res.status(err.code === "TOO_MANY_ATTEMPTS" ? 429 : 401).json({ error: err.message, code: err.code });
+  }
+});
 
-function extractThreeDigitOrderNumber(value) {
-  if (value === undefined || value === null) return null;
-  const match = String(value).match(/\b(\d{3})\b/);
-  if (!match) return null;
-  const n = Number(match[1]);
-  return Number.isFinite(n) && n >= 1 && n <= 999 ? n : null;
-}
+app.post("/api/auth/logout", (req, res) => {
+  staffAuth.logout(getSessionToken(req));
+  res.setHeader("Set-Cookie", sessionCookie(req, "", 0));
+  res.json({ success: true });
+});
 
-function getHighestAssignedOrderNumber() {
-  let max = 0;
-  for (const order of Object.values(orders)) {
-    const numeric = extractThreeDigitOrderNumber(order?.orderNumber);
-    if (numeric && numeric > max) max = numeric;
+app.get("/api/auth/session", requireStaff(), (req, res) => {
+  res.json({ staff: req.staff });
+});
+
+app.get("/api/staff", requireStaff(["manager"]), (req, res) => {
+  res.json({ staff: staffAuth.listStaff(), roles: ROLES });
+});
+
+app.post("/api/staff", requireStaff(["manager"]), async (req, res, next) => {
+  try {
+    const member = await staffAuth.addStaff(req.body || {});
+    req.log.info("Staff added", { by: req.staff.name, staff: member.name, role: member.role });
+    res.status(201).json({ staff: member });
+  } catch (err) {
+    if (!(err instanceof AuthError)) return next(err);
+    res.status(400).json({ error: err.message, code: err.code });
   }
-  return max;
-}
+});
 
-let liveOrderCounter = getHighestAssignedOrderNumber();
+app.delete("/api/staff/:id", requireStaff(["manager"]), (req, res) => {
+  if (req.params.id === req.staff.id) {
+    return res.status(400).json({ error: "You can't remove yourself" });
+  }
+  if (!staffAuth.removeStaff(req.params.id)) {
+    return res.status(404).json({ error: "Staff member not found" });
+  }
+  res.json({ success: true });
+});
 
-function getNextLiveOrderNumber() {
-  liveOrderCounter = (liveOrderCounter % 999) + 1;
-  return toThreeDigitOrderNumber(liveOrderCounter);
-}
+// ---------------- API Routes ----------------
 
-function normalizeDiningOption(rawDiningOption, rawFulfillmentType) {
-  const joined = [rawDiningOption, rawFulfillmentType]
-    .filter(Boolean)
-    .map((v) => String(v).trim().toUpperCase())
-    .join(" ");
+app.get("/api/orders", requireStaff(), (req, res) => {
+  const station = normalizeStation(req.query.station);
+  const list = getSyncOrders(station, resolveLocation(req.query.location))
+    .map((o) => ({ ...o, status: normalizeStatus(o.status) }))
+    .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
 
-  if (!joined) return null;
+  res.json({ orders: list });
+});
 
-  if (joined.includes("TO GO") || joined.includes("TO_GO") || joined.includes("TAKEOUT") || joined.includes("PICKUP") || joined.includes("CURBSIDE") || joined.includes("DELIVERY") || joined.includes("SHIPMENT")) {
-    return "TO GO";
+// Audit trail for one ticket: every change with who made it, from where, and the state
+// before and after. Falls back to the archive for orders no longer on the line.
+app.get("/api/orders/:id/history", requireStaff(), (req, res) => {
+  const order =
+    findOrderByIdentifier(req.params.id, resolveLocation(req.query.location)) ||
+    orderStore.findArchivedOrder(req.params.id);
+  if (!order) {
+    return res.status(404).json({ error: "Order not found" });
   }
 
-  if (joined.includes("FOR HERE") || joined.includes("DINE IN") || joined.includes("DINE-IN") || joined.includes("IN STORE") || joined.includes("IN_STORE") || joined.includes("EAT IN") || joined.includes("EAT-IN")) {
-    return "FOR HERE";
-  }
+  res.json({
+    orderId: order.orderId,
+    orderNumber: order.orderNumber,
+    status: normalizeStatus(order.status),
+    history: Array.isArray(order.timeline) ? order.timeline : [],
+  });
+});
 
-  return String(rawDiningOption || rawFulfillmentType || "").trim() || null;
-}
+// Outstanding item totals across active tickets; ?station=fryer for one station's share
+app.get("/api/all-day", requireStaff(), (req, res) => {
+  res.json(getAllDayCounts(normalizeStation(req.query.station), resolveLocation(req.query.location)));
+});
 
-// ---------------- KDS SEQUENTIAL COUNTER (FOR TEST ENDPOINT ONLY) ----------------
-// This counter is only used by the /test-order endpoint to simulate clean Square numbers
-let testOrderCounter = 0; 
+// Customer display feed: live stream, plus a plain endpoint the display polls if the stream drops
+app.get("/api/cds/stream", (req, res) =>
+  cdsChannel.handleStream(req, res, resolveLocation(req.query.location))
+);
 
-function getNextTestTicketNumber() {
-    testOrderCounter++;
-    if (testOrderCounter > 999) {
-        testOrderCounter = 1; // Reset to 001 after 999
-    }
-    return toThreeDigitOrderNumber(testOrderCounter);
-}
-// ---------------- End Test Counter ----------------
+app.get("/api/cds/orders", (req, res) => {
+  const location = resolveLocation(req.query.location);
+  res.json({ orders: cdsChannel.getSnapshot(location), wait: getCustomerWait(location) });
+});
 
-// ---------------- Helpers ----------------
+// Locations this backend knows: the configured ones plus any that have sent orders
+app.get("/api/locations", requireStaff(), (req, res) => {
+  const ids = new Set([...Object.keys(LOCATION_NAMES), ...Object.values(orders).map(getOrderLocation)]);
+  res.json({
+    defaultLocation: resolveLocation(null),
+    locations: [...ids].sort().map(describeLocation),
+  });
+});
 
-function toNumberQuantity(q) {
-  if (q === undefined || q === null) return 0;
-  const n = Number(q);
-  return Number.isFinite(n) ? n : 0;
-}
+// ---------------- Menu Display Config ----------------
 
-function normalizeStatus(status) {
-  if (!status) return status;
-  const lower = String(status).toLowerCase();
-  if (lower === "cancelled" || lower === "canceled" || lower === "completed") {
-    return "done";
-  }
-  return lower;
-}
+app.get("/api/menu-display", requireStaff(["manager"]), (req, res) => {
+  res.json({ config: menuDisplay.get(), stations: STATIONS });
+});
 
-function broadcast(msgObj) {
-  const data = JSON.stringify(msgObj);
-  wss.clients.forEach((client) => {
-    if (client.readyState === 1) client.send(data);
-  });
+function rejectMenuDisplay(res, err) {
+  if (!(err instanceof MenuDisplayError)) throw err;
+  res.status(400).json({ error: err.message, details: err.details });
 }
 
-// Fetch full order from Square if webhook was minimal
-async function fetchOrderFromSquare(orderId) {
-  if (!SQUARE_ACCESS_TOKEN) {
-    console.log("⚠️ No SQUARE_ACCESS_TOKEN set, skipping Orders API fetch.");
-    return null;
+// Save new rules and redraw every screen with them. Stations set here apply to new tickets;
+// tickets already on the line stay where they are.
+app.put("/api/menu-display", requireStaff(["manager"]), (req, res) => {
+  let config;
+  try {
+    config = menuDisplay.update(req.body?.config ?? req.body);
+  } catch (err) {
+    return rejectMenuDisplay(res, err);
   }
+  req.log.info("Menu display rules updated", { by: req.staff.name });
+  sendToClients((client) => buildSyncMessage(client.station, null, client.location));
+  scheduleAllDayUpdate();
+  res.json({ config, stations: STATIONS });
+});
 
+// How a ticket would look under a draft config, for the admin page's live preview
+app.post("/api/menu-display/preview", requireStaff(["manager"]), (req, res) => {
+  let config;
   try {
-    const resp = await fetch(`${SQUARE_BASE_URL}/v2/orders/${orderId}`, {
-      method: "GET",
-      headers: {
-        Authorization: `Bearer ${SQUARE_ACCESS_TOKEN}`,
-        "Content-Type": "application/json",
-        "Square-Version": "2024-03-20", // any recent date works
-      },
-    });
+    config = menuDisplay.validate(req.body?.config);
+  } catch (err) {
+    return rejectMenuDisplay(res, err);
+  }
+  const items = (Array.isArray(req.body?.items) ? req.body.items : []).map((item, index) => ({
+    name: String(item?.name || "Item"),
+    quantity: item?.quantity ?? 1,
+    catalogObjectId: item?.catalogObjectId || null,
+    modifiers: Array.isArray(item?.modifiers) ? item.modifiers.map(String) : [],
+    index,
+  }));
+  res.json({
+    items: applyMenuDisplay(items, config).map((item) => ({
+      ...item,
+      station: describeItem(item, config).station || routeByStationRules(item),
+    })),
+  });
+});
 
-    if (!resp.ok) {
-      console.log(
-        "❌ Square Orders API error:",
-        resp.status,
-        resp.statusText
-      );
-      const text = await resp.text();
-      console.log(text);
-      return null;
-    }
+// ---------------- Prep Times ----------------
 
-    const json = await resp.json();
-    console.log("✅ Orders API fetched order:", JSON.stringify(json));
-    return json.order || null;
+app.get("/api/prep-times", requireStaff(["manager"]), (req, res) => {
+  res.json({ config: prepTimes.get(), stations: STATIONS });
+});
+
+// New prep times move every ticket's target and expected ready time straight away
+app.put("/api/prep-times", requireStaff(["manager"]), (req, res) => {
+  let config;
+  try {
+    config = prepTimes.update(req.body?.config ?? req.body);
   } catch (err) {
-    console.log("❌ Orders API fetch failed:", err);
-    return null;
+    if (!(err instanceof PrepTimesError)) throw err;
+    return res.status(400).json({ error: err.message, details: err.details });
   }
-}
+  req.log.info("Prep times updated", { by: req.staff.name });
+  schedulePacingUpdate();
+  res.json({ config, stations: STATIONS });
+});
 
-// Utility to locate orders by either internal ID or display number
-function findOrderByIdentifier(idOrNumber) {
-  if (!idOrNumber) return null;
-  if (orders[idOrNumber]) return orders[idOrNumber];
-  return (
-    Object.values(orders).find((o) => o.orderNumber === idOrNumber) || null
-  );
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Accepts YYYY-MM-DD (a whole day) or a millisecond timestamp
+function parseReportDate(value, { endOfDay = false } = {}) {
+  if (!value) return null;
+  if (/^\d+$/.test(String(value))) return Number(value);
+  const ts = Date.parse(value);
+  if (!Number.isFinite(ts)) return null;
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? ts + DAY_MS : ts;
 }
 
-function markOrderReady(order) {
-  if (!order) return null;
-  order.status = "ready";
-  order.readyAt = Date.now();
-  if (Array.isArray(order.items)) {
-    order.items = order.items.map((item) => ({ ...item, completed: true }));
+// Ticket-time / recall / throughput report over live and archived orders
+app.get("/api/reports", requireStaff(["manager"]), (req, res) => {
+  const to = parseReportDate(req.query.to, { endOfDay: true }) || Date.now();
+  const from = parseReportDate(req.query.from) || to - 7 * DAY_MS;
+  if (from >= to) {
+    return res.status(400).json({ error: "from must be before to" });
   }
-  orders[order.orderId] = order;
-  saveKDSState();
 
-  const payload = {
-    type: "ORDER_READY_CONFIRM",
-    orderNumber: order.orderNumber,
-  };
-  broadcast(payload);
-  return order;
-}
+  const includeTest = req.query.includeTest === "true";
+  // Every location unless ?location= picks one
+  const location = normalizeLocation(req.query.location);
+  const byId = {};
+  orderStore.readArchivedOrders(from, to).forEach((o) => { byId[o.orderId] = o; });
+  Object.values(orders).forEach((o) => { byId[o.orderId] = o; });
+  const list = Object.values(byId).filter(
+    (o) => (includeTest || !String(o.orderId).startsWith("TEST-")) && inLocation(o, location)
+  );
 
-// ---------------- HTTP + WebSocket server ----------------
+  res.json({ location, ...buildKitchenReport(list, { from, to, timeZone: KDS_TIMEZONE }) });
+});
 
-const server = http.createServer(app);
-const wss = new WebSocketServer({ server });
+app.post("/api/orders/:id/ready", requireStaff(), (req, res) => {
+  const order = findOrderByIdentifier(req.params.id, resolveLocation(req.query.location));
+  if (!order) {
+    return res.status(404).json({ error: "Order not found" });
+  }
 
-wss.on("connection", (ws) => {
-  console.log("KDS connected");
+  if (!canTransition(order.status, "ready")) {
+    return res.status(409).json({ error: `Order is ${order.status}, it can't be marked ready` });
+  }
 
-  // Initial sync: Send ALL known orders
-  ws.send(
-    JSON.stringify({
-      type: "SYNC_STATE",
-      orders: Object.values(orders),
-    })
-  );
+  const updated = markOrderReady(order, { source: "rest", staff: req.staff });
+  res.json({ success: true, order: updated });
+});
 
-  // Handle messages from the client (e.g., status changes)
-  ws.on("message", (message) => {
-    try {
-      const data = JSON.parse(message.toString());
-      console.log("Client message received:", data.type);
-
-      if (data.type === "SYNC_REQUEST") {
-        // Handle explicit sync request from kitchen.html connect()
-        ws.send(
-          JSON.stringify({
-            type: "SYNC_STATE",
-            // Send ALL orders for client-side filtering/counts
-            orders: Object.values(orders),
-          })
-        );
-      } 
-      
-      // KDS FEATURE: Toggle Item Completion (triggers status change)
-      else if (data.type === 'ITEM_COMPLETED' && data.orderNumber !== undefined && data.itemIndex !== undefined) {
-          const orderToMark = Object.values(orders).find(o => o.orderNumber === data.orderNumber);
-          if (orderToMark && orderToMark.items[data.itemIndex]) {
-              const order = orderToMark;
-              const item = order.items[data.itemIndex];
-              item.completed = data.completed;
-
-              // Automatically set status to in-progress if starting completion
-              if (order.status === 'new' && data.completed) {
-                  order.status = 'in-progress';
-              }
-              
-              // If all items are complete, transition the order status to ready
-              if (data.allCompleted) {
-                  markOrderReady(order);
-              } else {
-                  saveKDSState();
-                  broadcast({
-                      type: 'ITEM_COMPLETED_CONFIRM',
-                      orderNumber: data.orderNumber,
-                      itemIndex: data.itemIndex,
-                      completed: data.completed,
-                      allCompleted: data.allCompleted
-                  });
-                  
-                  // Broadcast general status update if it went from 'new' to 'in-progress'
-                  if (order.status !== 'ready') {
-                      broadcast({ 
-                          type: 'ORDER_STATUS_UPDATE', 
-                          orderNumber: data.orderNumber, 
-                          status: order.status 
-                      });
-                  }
-              }
-          }
-      }
-      
-      // KDS FEATURE: Toggle Priority
-      else if (data.type === 'ORDER_PRIORITY_TOGGLE' && data.orderNumber) {
-          const orderToMark = Object.values(orders).find(o => o.orderNumber === data.orderNumber);
-          if (orderToMark) {
-              orderToMark.isPrioritized = data.isPrioritized;
-              orders[orderToMark.orderId] = orderToMark;
-              saveKDSState();
-              broadcast({
-                  type: 'ORDER_PRIORITY_TOGGLE',
-                  orderNumber: orderToMark.orderNumber,
-                  isPrioritized: data.isPrioritized
-              });
-          }
-      } 
-      
-      // KDS FEATURE: Order marked Ready (e.g., from cycleStatus on client)
-      else if (data.type === "ORDER_READY" && data.orderNumber) {
-        const orderToMark = Object.values(orders).find(
-          (o) => o.orderNumber === data.orderNumber
-        );
-
-        if (orderToMark) {
-          markOrderReady(orderToMark);
-        }
-      }
-      
-      // KDS FEATURE: Order marked Completed (done)
-      else if (data.type === "ORDER_COMPLETED" && data.orderNumber) {
-          const orderToMark = Object.values(orders).find(o => o.orderNumber === data.orderNumber);
-          if (orderToMark) {
-              orderToMark.status = 'done';
-              orders[orderToMark.orderId] = orderToMark;
-              saveKDSState(); // Save state
-              broadcast({
-                  type: "ORDER_STATUS_UPDATE",
-                  orderNumber: orderToMark.orderNumber,
-                  status: 'done'
-              });
-          }
-      }
-      
-      // KDS FEATURE: Recall/Reactivate
-      else if (data.type === "ORDER_REACTIVATED" && data.orderNumber) {
-        const orderToMark = Object.values(orders).find(
-          (o) => o.orderNumber === data.orderNumber
-        );
-
-        if (orderToMark) {
-          orderToMark.status = "in-progress";
-          orderToMark.items.forEach(item => item.completed = false); // Reset item completion
-          orders[orderToMark.orderId] = orderToMark;
-          saveKDSState(); // Save state
-
-          console.log(`Order ${data.orderNumber} RECALLED/REACTIVATED.`);
-          
-          broadcast({
-            type: "NEW_ORDER", 
-            ...orderToMark,
-          });
-        }
-      } 
-      
-      // KDS FEATURE: Cancel Order
-      else if (data.type === "ORDER_CANCELLED" && data.orderNumber) {
-        const orderToMark = Object.values(orders).find(
-          (o) => o.orderNumber === data.orderNumber
-        );
-
-        if (orderToMark) {
-          orderToMark.status = "done";
-          orders[orderToMark.orderId] = orderToMark;
-          saveKDSState(); // Save state
-
-          console.log(`Order ${data.orderNumber} CANCELLED by KDS user.`);
-
-          broadcast({
-            type: "NEW_ORDER",
-            ...orderToMark,
-          });
-        }
-      }
-    } catch (e) {
-      console.error("Error processing client message:", e);
-    }
-  });
+// Fire a scheduled order to the line now
+app.post("/api/orders/:id/fire", requireStaff(), (req, res) => {
+  const order = findOrderByIdentifier(req.params.id, resolveLocation(req.query.location));
+  if (!order) {
+    return res.status(404).json({ error: "Order not found" });
+  }
+  if (!isScheduled(order.status)) {
+    return res.status(409).json({ error: `Order is ${order.status}, only scheduled orders can be fired` });
+  }
 
-  ws.on("close", () => console.log("KDS disconnected"));
+  fireOrder(order, { early: true, source: "rest", staff: req.staff });
+  res.json({ success: true, order });
 });
 
-// ---------------- Middleware + static ----------------
+// Opt one order out of (or back into) customer notifications
+app.post("/api/orders/:id/notifications", requireStaff(), (req, res) => {
+  const order = findOrderByIdentifier(req.params.id, resolveLocation(req.query.location));
+  if (!order) {
+    return res.status(404).json({ error: "Order not found" });
+  }
+  if (typeof req.body?.optOut !== "boolean") {
+    return res.status(400).json({ error: "optOut must be true or false" });
+  }
 
-app.use(bodyParser.json());
-// Serve static assets from the repo's public directory (works even if the server is started elsewhere)
-const PUBLIC_DIR = path.join(process.cwd(), "public");
-app.use(express.static(PUBLIC_DIR));
+  setNotificationsOptOut(order, req.body.optOut, { source: "rest", staff: req.staff });
+  res.json({ success: true, orderId: order.orderId, optOut: order.notificationsOptOut });
+});
 
-app.get("/kitchen", (req, res) => {
-  res.sendFile(path.join(PUBLIC_DIR, "kitchen.html"));
+// Notification channels, queue, dead list and recent delivery log (recipients masked)
+app.get("/api/notifications", requireStaff(["manager"]), (req, res) => {
+  res.json(notifier.getStatus());
 });
 
-app.get("/cds", (req, res) => {
-  res.sendFile(path.join(PUBLIC_DIR, "cds.html"));
+// Reprint a ticket; body { station } picks the printer (see reprintOrder)
+app.post("/api/orders/:id/print", requireStaff(), (req, res) => {
+  const order = findOrderByIdentifier(req.params.id, resolveLocation(req.query.location));
+  if (!order) return res.status(404).json({ error: "Order not found" });
+  try {
+    const jobs = reprintOrder(order, normalizeStation(req.body?.station));
+    res.status(202).json({ queued: jobs.map(({ data, ...job }) => job) });
+  } catch (err) {
+    if (err.code !== "NO_PRINTER") throw err;
+    res.status(409).json({ error: err.message, code: err.code });
+  }
 });
 
-app.get("/", (req, res) => res.redirect("/kitchen"));
+// Printers, and what's queued or gave up on them
+app.get("/api/printers", requireStaff(["manager"]), (req, res) => {
+  res.json(printQueue.getStatus());
+});
 
-app.get("/healthz", (req, res) => res.status(200).send("OK"));
+// ---------------- Order Sources ----------------
+// Orders that arrive by webhook go through an order source adapter (see lib/orderSources.js):
+// Square, plus the generic JSON sources configured in KDS_ORDER_SOURCES.
+
+const squareSource = createSquareSource({
+  signatureKey: SQUARE_WEBHOOK_SIGNATURE_KEY,
+  allowUnsigned: SQUARE_WEBHOOK_ALLOW_UNSIGNED,
+  notificationUrl: SQUARE_WEBHOOK_NOTIFICATION_URL,
+  fetchOrder: fetchOrderFromSquare,
+  fetchCategories: fetchCatalogCategories,
+  defaultPrepMs: DEFAULT_PREP_MS,
+});
 
-// ---------------- API Routes ----------------
+// Badges for tickets that start on the KDS itself
+const LOCAL_SOURCE_LABELS = { manual: "Manual", test: "Test" };
+
+const jsonOrderSources = {};
+parseSourceConfig(KDS_ORDER_SOURCES).forEach((config) => {
+  if (config.id === squareSource.id || LOCAL_SOURCE_LABELS[config.id]) {
+    log.warn("Order source id is reserved, source ignored", { source: config.id });
+  } else if (!config.secret) {
+    log.warn("Order source has no secret, source ignored", { source: config.id });
+  } else {
+    jsonOrderSources[config.id] = createJsonOrderSource({ ...config, defaultPrepMs: DEFAULT_PREP_MS });
+  }
+});
+if (Object.keys(jsonOrderSources).length > 0) {
+  log.info("Order sources configured", { sources: Object.keys(jsonOrderSources) });
+}
 
-app.get("/api/orders", (req, res) => {
-  const list = Object.values(orders)
-    .map((o) => ({ ...o, status: normalizeStatus(o.status) }))
-    .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+// order.source -> badge label, for the kitchen screen
+function getSourceLabels() {
+  return {
+    [squareSource.id]: squareSource.label,
+    ...LOCAL_SOURCE_LABELS,
+    ...Object.fromEntries(Object.values(jsonOrderSources).map((source) => [source.id, source.label])),
+  };
+}
 
-  res.json({ orders: list });
-});
+// ---------------- Webhook Security ----------------
+
+// event id -> time it was processed
+const processedWebhookEvents = {};
+// Event ids being processed right now; a redelivery meanwhile is told to come back later
+const inFlightWebhookEvents = new Set();
+
+const webhookStats = {
+  received: 0,
+  accepted: 0,
+  rejected: 0,
+  duplicates: 0,
+  lastReceivedAt: null,
+  lastRejectedAt: null,
+  lastRejectReason: null,
+  lastDuplicateEventId: null,
+};
+
+function loadWebhookEvents() {
+  // Older installs kept the ids next to server.js
+  const file = fs.existsSync(WEBHOOK_EVENTS_FILE) ? WEBHOOK_EVENTS_FILE : LEGACY_WEBHOOK_EVENTS_FILE;
+  try {
+    const data = fs.readFileSync(file, 'utf8');
+    if (data.trim().length === 0) return;
+    Object.assign(processedWebhookEvents, JSON.parse(data));
+    pruneWebhookEvents();
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log.error("Error loading webhook event ids", { file, error: error.message });
+    }
+  }
+}
 
-app.post("/api/orders/:id/ready", (req, res) => {
-  const order = findOrderByIdentifier(req.params.id);
-  if (!order) {
-    return res.status(404).json({ error: "Order not found" });
+function saveWebhookEvents() {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmp = `${WEBHOOK_EVENTS_FILE}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(processedWebhookEvents), 'utf8');
+    fs.renameSync(tmp, WEBHOOK_EVENTS_FILE);
+  } catch (error) {
+    log.error("Error saving webhook event ids", { error: error.message });
   }
+}
 
-  const updated = markOrderReady(order);
-  res.json({ success: true, order: updated });
-});
+function pruneWebhookEvents() {
+  const cutoff = Date.now() - WEBHOOK_EVENT_TTL_MS;
+  for (const eventId in processedWebhookEvents) {
+    if (processedWebhookEvents[eventId] < cutoff) delete processedWebhookEvents[eventId];
+  }
+}
 
-// ---------------- Square Webhook ----------------
+loadWebhookEvents();
 
-async function handleSquareWebhook(req, res) {
-  try {
-    const body = req.body || {};
-    console.log("🔔 Square Webhook Received:", JSON.stringify(body));
+if (!SQUARE_WEBHOOK_SIGNATURE_KEY && SQUARE_WEBHOOK_ALLOW_UNSIGNED) {
+  log.warn("No SQUARE_WEBHOOK_SIGNATURE_KEY set and SQUARE_WEBHOOK_ALLOW_UNSIGNED=true: Square webhooks will NOT be verified");
+} else if (!SQUARE_WEBHOOK_SIGNATURE_KEY) {
+  log.error("No SQUARE_WEBHOOK_SIGNATURE_KEY set: Square webhooks will be rejected until it is");
+}
+
+// Event ids only have to be unique within a source. Square's are stored bare, as they were
+// before there were other sources, so a redelivery across an upgrade is still caught.
+function webhookEventKey(source, eventId) {
+  if (!eventId) return null;
+  return source.id === squareSource.id ? eventId : `${source.id}:${eventId}`;
+}
 
-    const eventType = body.type;
-    console.log("Square Event:", eventType);
+// Event types come from the payload, so only names the source is known to send (and none from
+// unverified bodies) become label values; anything else would grow the series without bound
+function countWebhook(req, source, outcome) {
+  let eventType = outcome === "rejected" ? "unverified" : source.eventType(req.body);
+  if (outcome !== "rejected" && !(source.eventTypes || []).includes(eventType)) eventType = "other";
+  webhookEventsTotal.inc({ source: source.id, event_type: eventType, outcome });
+}
 
-    const dataObj = body.data || {};
-    const objectWrapper = dataObj.object || {};
+function rejectWebhook(req, res, source, reason) {
+  webhookStats.rejected++;
+  webhookStats.lastRejectedAt = Date.now();
+  webhookStats.lastRejectReason = reason;
+  countWebhook(req, source, "rejected");
+  req.log.warn("Order webhook rejected", { source: source.id, reason });
+  return res.status(401).send("invalid signature");
+}
 
-    let eventWrapper =
-      objectWrapper.order ||
-      objectWrapper.order_created ||
-      objectWrapper.order_updated ||
-      null;
+// Returns true when the request may be processed, and marks its event id in flight (see
+// finishWebhookEvent); otherwise the response has already been sent
+function verifyOrderWebhook(source, req, res) {
+  webhookStats.received++;
+  webhookStats.lastReceivedAt = Date.now();
 
-    if (!eventWrapper) {
-      console.log(
-        "❌ No order wrapper (order / order_created / order_updated)."
-      );
-      return res.status(200).send("ok");
+  if (!source.verify(req)) {
+    const unconfigured = source === squareSource && !SQUARE_WEBHOOK_SIGNATURE_KEY;
+    rejectWebhook(req, res, source, unconfigured ? "no signature key configured" : "signature mismatch");
+    return false;
+  }
+
+  const eventKey = webhookEventKey(source, source.eventId(req.body));
+  if (eventKey) {
+    pruneWebhookEvents();
+    if (processedWebhookEvents[eventKey]) {
+      webhookStats.duplicates++;
+      webhookStats.lastDuplicateEventId = eventKey;
+      countWebhook(req, source, "duplicate");
+      req.log.info("Duplicate webhook event ignored", { source: source.id, eventId: eventKey });
+      res.status(200).send("duplicate");
+      return false;
+    }
+    // Square may redeliver while we are still awaiting the Orders API; not a duplicate yet,
+    // since the first delivery can still fail
+    if (inFlightWebhookEvents.has(eventKey)) {
+      countWebhook(req, source, "duplicate");
+      req.log.info("Webhook event already in progress", { source: source.id, eventId: eventKey });
+      res.status(409).send("in progress");
+      return false;
     }
+    inFlightWebhookEvents.add(eventKey);
+  }
 
-    let fullOrder = eventWrapper.order || null;
+  webhookStats.accepted++;
+  return true;
+}
 
-    const orderId = (fullOrder && fullOrder.id) || eventWrapper.order_id;
-    const state = (fullOrder && fullOrder.state) || eventWrapper.state;
+// Only an event that was processed is remembered; one that failed or was turned away can
+// come back (fixed) under the same id
+function finishWebhookEvent(source, req, { processed }) {
+  const eventKey = webhookEventKey(source, source.eventId(req.body));
+  if (!eventKey) return;
+  inFlightWebhookEvents.delete(eventKey);
+  if (!processed) return;
+  processedWebhookEvents[eventKey] = Date.now();
+  saveWebhookEvents();
+}
 
-    if (!orderId) {
-      console.log("❌ No order_id present in event.");
-      return res.status(200).send("ok");
-    }
+app.get("/api/square-sync", requireStaff(["manager"]), (req, res) => {
+  res.json({
+    enabled: Boolean(SQUARE_ACCESS_TOKEN && SQUARE_FULFILLMENT_SYNC),
+    ...squareSync.getStatus(),
+  });
+});
 
-    // If we don't have items yet, try Orders API
-    if (!fullOrder || !Array.isArray(fullOrder.line_items)) {
-      const fetched = await fetchOrderFromSquare(orderId);
-      if (fetched) {
-        fullOrder = fetched;
-      }
-    }
+app.get("/api/webhooks/square/stats", requireStaff(["manager"]), (req, res) => {
+  res.json({
+    signatureVerification: Boolean(SQUARE_WEBHOOK_SIGNATURE_KEY),
+    trackedEventIds: Object.keys(processedWebhookEvents).length,
+    ...webhookStats,
+  });
+});
+
+// ---------------- Order Webhooks ----------------
 
-    // ---------- ORDER NUMBER (3-digit KDS display: 001-999) ----------
+// Merge an incoming order (see lib/orderSources.js) into the KDS: a new ticket, or an update
+// to one the kitchen may already be working on. Returns { order, isNewOrder }.
+function ingestOrder(source, incoming, eventType) {
+    const { orderId } = incoming;
+
+    // ---------- ORDER NUMBER (3-digit KDS display: 001-999, per location) ----------
     const existing = orders[orderId] || {};
-    let orderNumber = existing.orderNumber || null;
-    if (!orderNumber) {
-      orderNumber = getNextLiveOrderNumber();
-    }
-    // ---------- END ORDER NUMBER ASSIGNMENT ----------
+    const locationId =
+      existing.locationId ||
+      normalizeLocation(incoming.locationId) ||
+      DEFAULT_LOCATION_ID;
+    const orderNumber = existing.orderNumber || getNextLiveOrderNumber(locationId);
 
     // ---------- ITEMS ----------
-    let items = [];
-    if (fullOrder && Array.isArray(fullOrder.line_items)) {
-      items = fullOrder.line_items.map((li) => ({
-        name: li.name || "Item",
-        quantity: toNumberQuantity(li.quantity || 1),
-        variationName: li.variation_name || null,
-        note: li.note || "",
-        modifiers: Array.isArray(li.modifiers)
-          ? li.modifiers.map((m) => m.name).filter(Boolean)
-          : [],
-      }));
-    } else if (orders[orderId]?.items) {
-      // reuse items from previous event for same order
-      items = orders[orderId].items;
-    }
-    
+    // No items in the event: keep the ones from the previous event for the same order
+    const items = incoming.items
+      ? incoming.items.map((item) => ({ ...item, station: routeItemToStation(item) }))
+      : existing.items || [];
+
     // Get existing state for merge
-    if (existing.status) existing.status = normalizeStatus(existing.status);
+    if (existing.status) {
+      existing.status = normalizeStatus(existing.status, { cancelled: Boolean(existing.cancelledAt) });
+    }
 
     // --- ITEM COMPLETION & PRIORITY PERSISTENCE ---
     // 1. Map new items to existing completion status if available
     let finalItems = items.map((newItem, index) => {
         let completed = false;
+        let completedAt = null;
         if (existing.items && existing.items[index]) {
             completed = existing.items[index].completed ?? false;
+            completedAt = existing.items[index].completedAt ?? null;
         }
         return {
             ...newItem,
-            completed: completed
+            completed: completed,
+            completedAt: completed ? completedAt : null,
+            ...(existing.items?.[index]?.eightySixed ? { eightySixed: true } : {}),
         };
     });
     
@@ -519,101 +2546,345 @@ async function handleSquareWebhook(req, res) {
       0
     );
 
-    const fulfillment = Array.isArray(fullOrder?.fulfillments) ? fullOrder.fulfillments[0] : null;
-    const rawDiningOption = (fullOrder?.dining_option && fullOrder.dining_option.name) || null;
-    const rawFulfillmentType = fulfillment?.type || null;
-    const diningOption =
-      normalizeDiningOption(rawDiningOption, rawFulfillmentType) ||
-      existing.diningOption ||
-      null;
-
-    const notes = typeof fullOrder?.note === "string" ? fullOrder.note : "";
-    const stateFromSquare = typeof state === "string" ? state.toLowerCase() : "";
-    const eventTypeLower = typeof eventType === "string" ? eventType.toLowerCase() : "";
-
-    // --- ULTIMATE KDS STATUS LOCK FIX ---
-    let kdsStatus = normalizeStatus(existing.status) || "new";
-    
-    // Rule 1: Cancellation is the only update that can override any KDS status.
-    if (stateFromSquare === "canceled" || stateFromSquare === "cancelled" || stateFromSquare === "closed" || eventTypeLower.includes("cancel")) {
-        kdsStatus = "done";
-    }
+    // Later pickups wait off the line until their fire time; a source update can move it
+    const schedule = incoming.schedule;
+    const holdUntilFire = schedule && schedule.fireAt > Date.now() && (!existing.status || isScheduled(existing.status));
 
-    // Rule 2 (THE CRITICAL PART): If the order already exists in our KDS memory
-    // AND it has been touched (i.e., status is NOT 'new'), we NEVER override
-    // the existing KDS status with a general Square update (like 'OPEN').
-    if (existing.status && existing.status !== 'new' && kdsStatus !== 'done') {
-        kdsStatus = normalizeStatus(existing.status);
-    }
-    // --- END ULTIMATE KDS STATUS LOCK FIX ---
+    // --- KDS STATUS LOCK ---
+    // The kitchen owns the ticket's status. The only thing a source update can change is
+    // cancelling it; a general update (like Square's 'OPEN') never overrides what the kitchen did.
+    const isNewOrder = !existing.status;
 
     const merged = {
+      ...existing, // keep KDS-side timestamps (readyAt, timeline, ...) across source updates
       orderId,
-      orderNumber: orderNumber || existing.orderNumber || orderId.slice(-6), // Final selection, preferring Square's
-      status: normalizeStatus(kdsStatus), // Use the determined status
+      locationId,
+      source: source.id,
+      orderNumber,
+      status: existing.status || (holdUntilFire ? "scheduled" : "new"),
       createdAt: existing.createdAt || Date.now(),
       itemCount,
       items: finalItems,
       isPrioritized, // Include priority
-      stateFromSquare,
-      diningOption,
-      notes,
+      diningOption: incoming.diningOption || existing.diningOption || null,
+      notes: incoming.notes ?? existing.notes ?? "",
+      customer: incoming.customer || existing.customer || null,
+      pickupAt: schedule?.pickupAt ?? existing.pickupAt ?? null,
+      prepTimeMs: schedule?.prepTimeMs ?? existing.prepTimeMs ?? null,
+      fireAt: schedule?.fireAt ?? existing.fireAt ?? null,
+      ...incoming.fields,
     };
 
     orders[orderId] = merged;
-    saveKDSState(); // Save state after Square webhook update
+    if (incoming.items) menu.learn(finalItems);
+    const flagged = flagEightySixedItems(merged);
+    const sourceDetail = {
+      source: `${source.id}-webhook`,
+      event: eventType || null,
+      state: incoming.state || null,
+      ...(flagged.length > 0 ? { eightySixed: flagged } : {}),
+    };
+    // SQUARE_WEBHOOK / SQUARE_CANCELLED, KIOSK_WEBHOOK / KIOSK_CANCELLED, ...
+    const eventPrefix = source.id.toUpperCase().replace(/[^A-Z0-9]/g, "_");
+    if (incoming.cancelled && canTransition(merged.status, "cancelled")) {
+      transitionOrder(merged, "cancelled", `${eventPrefix}_CANCELLED`, sourceDetail);
+    } else {
+      recordOrderEvent(merged, `${eventPrefix}_WEBHOOK`, sourceDetail);
+    }
 
-    console.log("✅ Final KDS order object:", merged);
+    if (isNewOrder && merged.status === "new") printOrder(merged, "ticket");
 
-    broadcast({
-      type: "NEW_ORDER",
-      ...merged,
-    });
+    broadcastOrder(merged, isNewOrder ? "NEW_ORDER" : "ORDER_UPDATED");
+    return { order: merged, isNewOrder };
+}
 
-    return res.status(200).send("ok");
-  } catch (err) {
-    console.error("Webhook Error:", err);
-    // 200 so Square doesn’t spam retries while we debug
-    return res.status(200).send("error");
-  }
+// One route handler per source: verify, dedupe, parse, merge
+function handleOrderWebhook(source) {
+  return async (req, res) => {
+    if (!verifyOrderWebhook(source, req, res)) return;
+
+    const eventId = source.eventId(req.body);
+    const eventType = source.eventType(req.body);
+    try {
+      req.log.debug("Order webhook body", { source: source.id, body: req.body });
+      const incoming = await source.parse(req.body);
+      if (!incoming) {
+        finishWebhookEvent(source, req, { processed: true });
+        countWebhook(req, source, "ignored");
+        req.log.info("Order webhook without an order, ignored", { source: source.id, eventId, eventType });
+        return res.status(200).send("ok");
+      }
+
+      const { order, isNewOrder } = ingestOrder(source, incoming, eventType);
+      finishWebhookEvent(source, req, { processed: true });
+      countWebhook(req, source, "accepted");
+      req.log.info("Order webhook applied", {
+        source: source.id,
+        eventId,
+        eventType,
+        orderId: order.orderId,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        newOrder: isNewOrder,
+      });
+      req.log.debug("KDS order after webhook", { order });
+      return res.status(200).send("ok");
+    } catch (err) {
+      finishWebhookEvent(source, req, { processed: false });
+      if (err instanceof OrderSourceError) {
+        countWebhook(req, source, "invalid");
+        req.log.warn("Order webhook payload invalid", { source: source.id, eventId, details: err.details });
+        return res.status(400).json({ error: err.message, details: err.details });
+      }
+      countWebhook(req, source, "error");
+      req.log.error("Error processing order webhook", { source: source.id, eventId, err });
+      // The source retries, and the event id wasn't recorded, so the retry gets processed
+      return res.status(500).send("error");
+    }
+  };
 }
 
+const handleSquareWebhook = handleOrderWebhook(squareSource);
 app.post("/square/webhook", handleSquareWebhook); // Legacy route
 app.post("/webhooks/square", handleSquareWebhook);
 
-// ---------------- Test endpoint ----------------
+// Generic JSON sources, e.g. POST /webhooks/orders/kiosk (see lib/jsonOrderSource.js)
+const jsonOrderWebhookHandlers = Object.fromEntries(
+  Object.values(jsonOrderSources).map((source) => [source.id, handleOrderWebhook(source)])
+);
+app.post("/webhooks/orders/:source", (req, res) => {
+  const handler = jsonOrderWebhookHandlers[String(req.params.source).toLowerCase()];
+  if (!handler) return res.status(404).json({ error: `Unknown order source: ${req.params.source}` });
+  return handler(req, res);
+});
+
+// ---------------- Manual Orders ----------------
+
+// A ticket that starts on the KDS instead of in Square (manual entry, /test-order). It gets
+// a live order number and is routed, checked against the 86 list, printed and pushed like
+// a Square order; Square never hears about it.
+function createLocalOrder({
+  idPrefix,
+  locationId,
+  items,
+  diningOption = null,
+  notes = "",
+  customer = null,
+  pickupInMinutes = null,
+  event,
+  detail,
+}) {
+  const now = Date.now();
+  // Same numbering as Square orders, so a local ticket never shares a number with a live one
+  const orderNumber = getNextLiveOrderNumber(locationId);
+  const orderId = `${idPrefix}-${orderNumber}-${now}`;
+  const schedule = pickupInMinutes > 0
+    ? { pickupAt: now + pickupInMinutes * 60000, prepTimeMs: DEFAULT_PREP_MS }
+    : null;
+  if (schedule) schedule.fireAt = schedule.pickupAt - schedule.prepTimeMs;
 
-app.get("/test-order", (req, res) => {
-  const ticketNum = getNextTestTicketNumber(); // <--- Sequential 001, 002... for testing
-  const orderId = `TEST-${ticketNum}-${Date.now()}`;
   const order = {
     orderId,
-    orderNumber: ticketNum, // <--- Clean 3-digit number
-    status: "new",
-    createdAt: Date.now(),
-    isPrioritized: false, // ADDED: Default priority status
+    orderNumber,
+    locationId,
+    source: detail.source,
+    status: schedule && schedule.fireAt > now ? "scheduled" : "new",
+    ...(schedule || {}),
+    createdAt: now,
+    isPrioritized: false,
+    diningOption,
+    notes,
+    customer,
+    items: items.map((item) => ({ ...item, completed: false, completedAt: null, station: routeItemToStation(item) })),
+  };
+  order.itemCount = order.items.reduce((sum, it) => sum + toNumberQuantity(it.quantity), 0);
+  orders[orderId] = order;
+  const flagged = flagEightySixedItems(order);
+  recordOrderEvent(order, event, { ...detail, ...(flagged.length > 0 ? { eightySixed: flagged } : {}) });
+  if (order.status === "new") printOrder(order, "ticket");
+
+  broadcastOrder(order, "NEW_ORDER");
+  return order;
+}
+
+// Walk-up and phone orders keyed in on the kitchen screen while Square is down
+app.post("/api/orders", requireStaff(), (req, res) => {
+  let input;
+  try {
+    input = normalizeManualOrder(req.body);
+  } catch (err) {
+    if (!(err instanceof ManualOrderError)) throw err;
+    return res.status(400).json({ error: err.message, details: err.details });
+  }
+  const locationId = resolveLocation(input.location) || DEFAULT_LOCATION_ID;
+  const order = createLocalOrder({
+    idPrefix: "MANUAL",
+    locationId,
+    items: input.items,
+    diningOption: normalizeDiningOption(input.diningOption) || null,
+    notes: input.notes,
+    customer: input.customer,
+    pickupInMinutes: input.pickupInMinutes,
+    event: "MANUAL_ORDER",
+    detail: { source: "manual", staff: req.staff },
+  });
+  req.log.info("Manual order created", { orderId: order.orderId, orderNumber: order.orderNumber, items: order.itemCount });
+  res.status(201).json({ order: viewOrderForStation(order, null) });
+});
+
+// The new-ticket form's item list, with what each item looks like and whether it's 86'd
+app.get("/api/menu", requireStaff(), (req, res) => {
+  const location = resolveLocation(req.query.location);
+  res.json({
+    items: menu.list().map((item) => ({
+      ...item,
+      displayName: menuDisplay.describeItem(item).displayName,
+      station: routeItemToStation(item),
+      eightySixed: Boolean(menu.findEightySixed(item, location)),
+    })),
+    eightySixed: menu.getEightySixed(location),
+  });
+});
+
+app.get("/api/86", requireStaff(), (req, res) => {
+  res.json({ items: menu.getEightySixed(resolveLocation(req.query.location)) });
+});
+
+// { name, variationName?, catalogObjectId?, eightySixed: true | false, location? }
+app.post("/api/86", requireStaff(), (req, res) => {
+  let item;
+  try {
+    item = readEightySixItem(req.body || {});
+  } catch (err) {
+    if (!(err instanceof CommandError)) throw err;
+    return res.status(400).json({ error: err.message });
+  }
+  if (typeof req.body.eightySixed !== "boolean") {
+    return res.status(400).json({ error: "eightySixed must be true or false" });
+  }
+  const location = resolveLocation(req.body.location);
+  const changed = setItemEightySixed(item, req.body.eightySixed, location, { source: "rest", staff: req.staff });
+  res.json({ changed, items: menu.getEightySixed(location) });
+});
+
+// ---------------- Test endpoint ----------------
+
+app.get("/test-order", requireStaff(["manager"]), (req, res) => {
+  const order = createLocalOrder({
+    idPrefix: "TEST",
+    locationId: resolveLocation(req.query.location) || DEFAULT_LOCATION_ID,
+    // ?pickupInMinutes=30 makes a scheduled pickup order
+    pickupInMinutes: Number(req.query.pickupInMinutes) || null,
     diningOption: "For Here",
     notes: "Extra napkins, light ice.",
+    // ?phone= / ?email= try out ready notifications without a real Square order
+    customer: req.query.phone || req.query.email
+      ? { name: "Test Customer", phone: req.query.phone || null, email: req.query.email || null }
+      : null,
     items: [
-      { name: "Hot Dog", quantity: 1, modifiers: ["No Pickle", "Extra Ketchup"], completed: false }, // ADDED: Item completion status
-      { name: "Coke", quantity: 1, modifiers: [], completed: false },
-      { name: "Fries", quantity: 2, modifiers: ["Well Done"], completed: false },
+      { name: "Hot Dog", quantity: 1, modifiers: ["No Pickle", "Extra Ketchup"] },
+      { name: "Coke", quantity: 1, modifiers: [] },
+      { name: "Fries", quantity: 2, modifiers: ["Well Done"] },
     ],
-  };
-  order.itemCount = order.items.reduce((sum, it) => sum + it.quantity, 0);
-  orders[orderId] = order;
-  saveKDSState(); // Save state after test order
-
-  broadcast({
-    type: "NEW_ORDER",
-    ...order,
+    event: "TEST_ORDER",
+    detail: { source: "test", staff: req.staff },
   });
 
-  res.send(`Test order #${ticketNum} sent to KDS`);
+  res.send(`Test order #${order.orderNumber} sent to KDS`);
 });
 
+// ---------------- Dev Tools ----------------
+
+// The rush simulator (see lib/simulator.js) run against this server, with the caller's
+// session for its fake screens. Body: { mode: "rush" | "replay", events (replay: recorded
+// webhooks, as a list or NDJSON text), orders, minutes, updates, cancels, screens, location,
+// speed, shuffle, freshIds, duplicates }. Answers with the report once the run settles;
+// recordings too big for a request body go through scripts/simulate.js instead.
+if (KDS_DEV_TOOLS) {
+  log.warn("Dev tools are on: POST /api/dev/simulate can put simulated tickets on the screens");
+  let simulationRunning = false;
+
+  app.post("/api/dev/simulate", requireStaff(["manager"]), async (req, res) => {
+    if (simulationRunning) return res.status(409).json({ error: "A simulation is already running" });
+    const body = req.body || {};
+    const mode = body.mode === "replay" ? "replay" : "rush";
+    const events = mode === "replay"
+      ? parseRecordedEvents(typeof body.events === "string" ? body.events : JSON.stringify(body.events || []))
+      : [];
+    if (mode === "replay" && events.length === 0) {
+      return res.status(400).json({ error: "events has no Square webhooks to replay" });
+    }
+    const clamp = (value, min, max, fallback) => {
+      const n = Number(value);
+      return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+    };
+
+    simulationRunning = true;
+    req.log.info("Simulation started", { mode, by: req.staff.name });
+    try {
+      const report = await runSimulation({
+        baseUrl: `http://127.0.0.1:${PORT}`,
+        token: getSessionToken(req),
+        signatureKey: SQUARE_WEBHOOK_SIGNATURE_KEY || null,
+        notificationUrl: SQUARE_WEBHOOK_NOTIFICATION_URL,
+        mode,
+        events,
+        rush: {
+          orders: clamp(body.orders, 1, 1000, 60),
+          durationMs: clamp(body.minutes, 0.1, 240, 10) * 60 * 1000,
+          updateRate: clamp(body.updates, 0, 1, 0.15),
+          cancelRate: clamp(body.cancels, 0, 1, 0.05),
+        },
+        screens: Array.isArray(body.screens) ? body.screens.map((s) => String(s).toLowerCase()) : undefined,
+        location: resolveLocation(body.location),
+        speed: clamp(body.speed, 1, 100, 10),
+        shuffle: body.shuffle === true,
+        freshIds: body.freshIds !== false,
+        duplicateRate: clamp(body.duplicates, 0, 1, 0),
+      });
+      req.log.info("Simulation finished", {
+        runId: report.runId,
+        ok: report.ok,
+        collisions: report.collisions.length,
+        dropped: report.dropped.length,
+        divergence: report.divergence.length,
+        disagreements: report.disagreements.length,
+      });
+      res.json(report);
+    } catch (err) {
+      req.log.error("Simulation failed", { err });
+      res.status(500).json({ error: err.message });
+    } finally {
+      simulationRunning = false;
+    }
+  });
+}
+
+// ---------------- Scheduled Orders ----------------
+
+// Also catches orders that came due while the server was down
+const scheduleTimer = setInterval(fireDueOrders, SCHEDULE_CHECK_INTERVAL_MS);
+scheduleTimer.unref();
+
 // ---------------- Start server ----------------
 
 server.listen(PORT, () => {
-  console.log(`🚀 VertiDog KDS backend running on port ${PORT}`);
+  log.info("VertiDog KDS backend running", { port: Number(PORT) });
+  fireDueOrders();
 });
+
+// Flush a final snapshot so the next start doesn't have to replay this run's log
+function shutdown(signal) {
+  log.info("Shutting down, saving KDS state", { signal });
+  clearInterval(scheduleTimer);
+  clearInterval(pacingTimer);
+  squareSync.stop();
+  notifier.stop();
+  printQueue.stop();
+  cdsChannel.stop();
+  orderStore.close();
+  process.exit(0);
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
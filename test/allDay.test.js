@@ -0,0 +1,84 @@
+// All-day counts: what's still to make across the line, batched by item
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildAllDayCounts } = require("../lib/allDay");
+const { describeItem, normalizeMenuDisplay, DEFAULT_MENU_DISPLAY } = require("../lib/menuDisplay");
+
+const config = normalizeMenuDisplay(DEFAULT_MENU_DISPLAY);
+const options = { describeItem: (item) => describeItem(item, config) };
+
+const order = (orderNumber, items, status = "new") => ({ orderId: `o-${orderNumber}`, orderNumber, status, items });
+const summary = (counts) => counts.items.map((g) => [g.quantity, g.name, g.variationName, g.modifiers.join(", ")]);
+
+test("items group by display name, variation and modifiers, adding up quantities", () => {
+  const counts = buildAllDayCounts(
+    [
+      order("101", [
+        { name: "VertiDog Original", quantity: 2, station: "grill" },
+        { name: "Hot Dog", variationName: "Jumbo" },
+        { name: "VertiFries Cheese", quantity: "3", station: "fryer" },
+      ]),
+      order("102", [
+        { name: "vertidog  ORIGINAL", station: "grill" },
+        { name: "Hot Dog", variationName: "Regular" },
+        { name: "Hot Dog", variationName: "jumbo", quantity: 0 },
+        { name: "VertiDog Original", modifiers: ["Relish", "No Onion"], station: "grill" },
+        { name: "VertiDog Original", modifiers: ["no onion", "relish"], station: "grill" },
+      ], "in-progress"),
+    ],
+    options
+  );
+
+  assert.deepEqual(summary(counts), [
+    [3, "VD ORIG", null, ""],
+    [3, "VF CHEESE", null, ""],
+    [2, "Hot Dog", "Jumbo", ""],
+    [2, "VD ORIG", null, "No Onion, Relish"],
+    [1, "Hot Dog", "Regular", ""],
+  ]);
+  assert.deepEqual(counts.items[0].orderNumbers, ["101", "102"]);
+  assert.equal(counts.totalQuantity, 11);
+  assert.equal(counts.station, null);
+});
+
+test("completed and 86'd items aren't counted", () => {
+  const counts = buildAllDayCounts(
+    [
+      order("201", [
+        { name: "VertiDog Original", quantity: 2 },
+        { name: "VertiDog Original", completed: true },
+        { name: "VertiDog Seattle", eightySixed: true },
+      ]),
+    ],
+    options
+  );
+  assert.deepEqual(summary(counts), [[2, "VD ORIG", null, ""]]);
+});
+
+test("only working orders count; scheduled and finished ones don't", () => {
+  const counts = buildAllDayCounts(
+    ["new", "in-progress", "recalled", "scheduled", "ready", "picked-up", "cancelled"].map((status, i) =>
+      order(String(300 + i), [{ name: "VertiDog Original" }], status)
+    ),
+    options
+  );
+  assert.equal(counts.totalQuantity, 3);
+  assert.deepEqual(counts.items[0].orderNumbers, ["300", "301", "302"]);
+});
+
+test("a station only sees its own items; expo sees everything", () => {
+  const orders = [
+    order("401", [
+      { name: "VertiDog Original", station: "grill" },
+      { name: "VertiFries Original", quantity: 2, station: "fryer" },
+    ]),
+  ];
+  const fryer = buildAllDayCounts(orders, { ...options, station: "fryer" });
+  assert.equal(fryer.station, "fryer");
+  assert.deepEqual(summary(fryer), [[2, "VF ORIG", null, ""]]);
+
+  const expo = buildAllDayCounts(orders, { ...options, station: "expo" });
+  assert.equal(expo.station, null);
+  assert.equal(expo.totalQuantity, 3);
+});
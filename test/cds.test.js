@@ -0,0 +1,30 @@
+// The customer display tells orders apart by id, since numbers repeat across locations
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { startKds } = require("./helpers/kdsServer");
+
+test("orders sharing a number at two locations are separate on the display", async () => {
+  const kds = await startKds();
+  try {
+    const token = await kds.login();
+    const create = async (location) => {
+      const resp = await fetch(`${kds.baseUrl}/api/orders`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+        body: JSON.stringify({ items: [{ name: "Chili Dog" }], location }),
+      });
+      return (await resp.json()).order;
+    };
+    const north = await create("NORTH");
+    const south = await create("SOUTH");
+    assert.equal(north.orderNumber, south.orderNumber);
+
+    const { orders } = await (await fetch(`${kds.baseUrl}/api/cds/orders`)).json();
+    const shown = orders.filter((o) => o.orderNumber === north.orderNumber);
+    assert.deepEqual(shown.map((o) => o.orderId).sort(), [north.orderId, south.orderId].sort());
+    assert.deepEqual(Object.keys(shown[0]).sort(), ["orderId", "orderNumber", "readyAt", "status"]);
+  } finally {
+    await kds.stop();
+  }
+});
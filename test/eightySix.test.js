@@ -0,0 +1,52 @@
+// The 86 list only takes tidy, bounded item names
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startKds } = require("./helpers/kdsServer");
+
+let kds;
+let token;
+let screen;
+
+before(async () => {
+  kds = await startKds();
+  token = await kds.login();
+  screen = await kds.connectScreen(token);
+});
+
+after(async () => {
+  await screen.close();
+  await kds.stop();
+});
+
+const getList = async () =>
+  (await (await fetch(`${kds.baseUrl}/api/86`, { headers: { Authorization: `Bearer ${token}` } })).json()).items;
+
+test("names from the screen are trimmed", async () => {
+  const reply = await screen.send({ type: "ITEM_86", name: "  Chili Dog \n", variationName: " Large ", eightySixed: true });
+  assert.equal(reply.type, "COMMAND_ACK");
+  const [entry] = await getList();
+  assert.equal(entry.name, "Chili Dog");
+  assert.equal(entry.variationName, "Large");
+});
+
+test("an over-long name is refused on the socket and over REST", async () => {
+  const long = "x".repeat(101);
+  const reply = await screen.send({ type: "ITEM_86", name: long, eightySixed: true });
+  assert.equal(reply.type, "COMMAND_ERROR");
+  assert.equal(reply.code, "INVALID_MESSAGE");
+
+  const resp = await fetch(`${kds.baseUrl}/api/86`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+    body: JSON.stringify({ name: "Lemonade", catalogObjectId: long, eightySixed: true }),
+  });
+  assert.equal(resp.status, 400);
+  assert.equal((await resp.json()).error, "catalogObjectId must be at most 100 characters");
+  assert.equal((await getList()).length, 1);
+});
+
+test("a blank name is refused", async () => {
+  const reply = await screen.send({ type: "ITEM_86", name: "   ", eightySixed: true });
+  assert.equal(reply.code, "INVALID_MESSAGE");
+});
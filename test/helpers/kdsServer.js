@@ -0,0 +1,140 @@
+// Starts server.js in a child process, on a free port with its own data directory, so a
+// test can drive it over HTTP and the WebSocket the way Square and the screens do.
+
+const { spawn } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { WebSocket } = require("ws");
+
+const ROOT = path.join(__dirname, "..", "..");
+const MANAGER_PIN = "1234";
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// The server remembers commandIds across connections, so they're unique per test process
+let nextCommand = 0;
+
+// Resolves once the server answers /healthz; env is added to a minimal environment, so the
+// developer's own KDS_* settings don't leak into the test
+async function startKds(env = {}, { dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "kds-test-")) } = {}) {
+  const port = await getFreePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  let output = "";
+  const child = spawn(process.execPath, [path.join(ROOT, "server.js")], {
+    cwd: ROOT,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      KDS_DATA_DIR: dataDir,
+      KDS_BOOTSTRAP_MANAGER_PIN: MANAGER_PIN,
+      KDS_LOG_LEVEL: "error",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  child.stdout.on("data", (chunk) => (output += chunk));
+  child.stderr.on("data", (chunk) => (output += chunk));
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+
+  for (let i = 0; ; i++) {
+    if (child.exitCode !== null) throw new Error(`server.js exited early:\n${output}`);
+    try {
+      await fetch(`${baseUrl}/healthz`);
+      break;
+    } catch (err) {
+      if (i > 100) {
+        child.kill();
+        throw new Error(`server.js did not start:\n${output}`);
+      }
+      await sleep(100);
+    }
+  }
+
+  async function login(pin = MANAGER_PIN) {
+    const resp = await fetch(`${baseUrl}/api/auth/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ pin }),
+    });
+    const body = await resp.json();
+    if (!resp.ok) throw new Error(`login failed: ${body.error}`);
+    return body.token;
+  }
+
+  // Stops the server (SIGTERM, so it saves like a real shutdown); removes the data
+  // directory unless keepData, for tests that restart on the same data
+  async function stop({ keepData = false } = {}) {
+    if (child.exitCode === null) child.kill("SIGTERM");
+    await exited;
+    if (!keepData) fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  // A kitchen screen on the WebSocket, signed in with `token`; query is e.g.
+  // { station: "grill", since: 12 }, options go to the ws client (autoPong: false plays a
+  // tablet that has dropped off the network). Resolves once the initial sync has arrived.
+  async function connectScreen(token, query = {}, options = {}) {
+    const url = new URL(baseUrl.replace(/^http/, "ws"));
+    Object.entries(query).forEach(([key, value]) => url.searchParams.set(key, String(value)));
+    const ws = new WebSocket(url, { ...options, headers: { Authorization: `Bearer ${token}` } });
+    const messages = [];
+    const waiters = [];
+    ws.on("message", (raw) => {
+      const msg = JSON.parse(raw.toString());
+      messages.push(msg);
+      waiters.filter((w) => w.match(msg)).forEach((w) => {
+        waiters.splice(waiters.indexOf(w), 1);
+        w.resolve(msg);
+      });
+    });
+
+    // The first message (already received or still to come) that `match` accepts
+    function waitFor(match, timeoutMs = 5000) {
+      const seen = messages.find(match);
+      if (seen) return Promise.resolve(seen);
+      return new Promise((resolve, reject) => {
+        const waiter = { match, resolve };
+        waiters.push(waiter);
+        setTimeout(() => {
+          if (!waiters.includes(waiter)) return;
+          waiters.splice(waiters.indexOf(waiter), 1);
+          reject(new Error(`no matching message within ${timeoutMs}ms`));
+        }, timeoutMs).unref();
+      });
+    }
+
+    // Sends a command and resolves with its COMMAND_ACK or COMMAND_ERROR
+    function send(command) {
+      const commandId = command.commandId || `test-${process.pid}-${++nextCommand}`;
+      ws.send(JSON.stringify({ ...command, commandId }));
+      return waitFor((m) => m.commandId === commandId && /^COMMAND_(ACK|ERROR)$/.test(m.type));
+    }
+
+    function close() {
+      if (ws.readyState === WebSocket.CLOSED) return Promise.resolve();
+      return new Promise((resolve) => {
+        ws.once("close", resolve);
+        ws.close();
+      });
+    }
+
+    const sync = await waitFor((m) => m.type === "SYNC_STATE" || m.type === "SYNC_DELTA");
+    return { ws, messages, sync, waitFor, send, close };
+  }
+
+  return { baseUrl, port, dataDir, login, connectScreen, stop, output: () => output };
+}
+
+module.exports = { startKds, getFreePort, sleep, MANAGER_PIN };
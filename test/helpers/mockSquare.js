@@ -0,0 +1,63 @@
+// A stand-in for the Square API (SQUARE_API_BASE_URL): serves orders from memory, applies
+// fulfillment updates, and records every request. `failNext(method, count)` answers the
+// next requests with a 500.
+
+const http = require("http");
+
+function createMockSquare() {
+  const orders = {};
+  const requests = [];
+  const failures = { GET: 0, PUT: 0, POST: 0 };
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({ method: req.method, path: req.url, body });
+      const send = (status, json) => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(json));
+      };
+
+      if (failures[req.method] > 0) {
+        failures[req.method]--;
+        return send(500, { errors: [{ code: "INTERNAL_SERVER_ERROR" }] });
+      }
+
+      const match = /^\/v2\/orders\/([^/?]+)$/.exec(req.url);
+      const order = match && orders[decodeURIComponent(match[1])];
+      if (!match) return send(200, { objects: [], related_objects: [] }); // catalog lookups
+      if (!order) return send(404, { errors: [{ code: "NOT_FOUND" }] });
+
+      if (req.method === "PUT") {
+        (body.order.fulfillments || []).forEach((update) => {
+          const fulfillment = order.fulfillments.find((f) => f.uid === update.uid);
+          if (fulfillment) fulfillment.state = update.state;
+        });
+        order.version++;
+      }
+      return send(200, { order });
+    });
+  });
+
+  return {
+    orders,
+    requests,
+    failNext(method, count = 1) {
+      failures[method] += count;
+    },
+    addOrder(order) {
+      orders[order.id] = { version: 1, ...JSON.parse(JSON.stringify(order)) };
+      return orders[order.id];
+    },
+    listen() {
+      return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`)));
+    },
+    close() {
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = { createMockSquare };
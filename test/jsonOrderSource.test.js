@@ -0,0 +1,183 @@
+// The generic JSON order source adapter, driven by the fixtures in test/fixtures/json, on
+// its own and through POST /webhooks/orders/<id>
+
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createJsonOrderSource, signJsonOrderPayload } = require("../lib/jsonOrderSource");
+const { OrderSourceError, parseSourceConfig } = require("../lib/orderSources");
+const { startKds } = require("./helpers/kdsServer");
+
+const SECRET = "kiosk-secret";
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, "fixtures", "json", name), "utf8");
+}
+
+// Just enough of an Express request for verify()
+function fakeRequest(rawBody, headers) {
+  return { rawBody: Buffer.from(rawBody), get: (name) => headers[name.toLowerCase()] };
+}
+
+describe("the adapter", () => {
+  const source = createJsonOrderSource({ id: "kiosk", label: "Kiosk", secret: SECRET });
+
+  test("verifies a signature over the exact body, or the shared secret", () => {
+    const raw = fixture("kiosk-order-created.json");
+    assert.equal(source.verify(fakeRequest(raw, { "x-kds-signature": signJsonOrderPayload(raw, SECRET) })), true);
+    assert.equal(source.verify(fakeRequest(`${raw} `, { "x-kds-signature": signJsonOrderPayload(raw, SECRET) })), false);
+    assert.equal(source.verify(fakeRequest(raw, { "x-kds-signature": signJsonOrderPayload(raw, "other") })), false);
+    assert.equal(source.verify(fakeRequest(raw, { "x-kds-secret": SECRET })), true);
+    assert.equal(source.verify(fakeRequest(raw, { "x-kds-secret": "guess" })), false);
+    assert.equal(source.verify(fakeRequest(raw, {})), false);
+  });
+
+  test("parses a full order into the KDS model", async () => {
+    const body = JSON.parse(fixture("kiosk-order-created.json"));
+    assert.equal(source.eventId(body), "evt-1029");
+    assert.equal(source.eventType(body), "order.created");
+    assert.deepEqual(await source.parse(body), {
+      orderId: "kiosk-A-1001",
+      locationId: "LTEST01",
+      items: [
+        {
+          name: "Chili Dog",
+          quantity: 2,
+          variationName: "Jumbo",
+          modifiers: ["No onion", "Extra cheese"],
+          note: "Well done",
+          catalogObjectId: "SKU-17",
+          category: "Hot Dogs",
+        },
+        { name: "Lemonade", quantity: 1, variationName: null, modifiers: [], note: "", catalogObjectId: null, category: null },
+      ],
+      diningOption: "FOR HERE",
+      notes: "Birthday, add candle",
+      customer: { name: "Sam Test", phone: "+15550100", email: "sam@example.com" },
+      schedule: null,
+      cancelled: false,
+      state: "open",
+      fields: {},
+    });
+  });
+
+  test("a scheduled delivery order with numeric ids and a modifier string", async () => {
+    const body = JSON.parse(fixture("delivery-order-scheduled.json"));
+    assert.equal(source.eventId(body), "88120");
+    const incoming = await source.parse(body);
+    assert.equal(incoming.orderId, "kiosk-5521");
+    assert.equal(incoming.diningOption, "TO GO");
+    assert.deepEqual(incoming.items[0].modifiers, ["No onion", "Relish"]);
+    assert.deepEqual(incoming.schedule, {
+      pickupAt: Date.parse("2026-10-19T18:30:00Z"),
+      prepTimeMs: 25 * 60000,
+      fireAt: Date.parse("2026-10-19T18:05:00Z"),
+    });
+  });
+
+  test("an update without items keeps the ticket's, and a cancel is flagged", async () => {
+    const update = await source.parse(JSON.parse(fixture("kiosk-order-updated-no-items.json")));
+    assert.equal(update.items, null);
+    assert.equal(update.notes, "Birthday, add two candles");
+    assert.equal(update.cancelled, false);
+
+    const cancel = await source.parse(JSON.parse(fixture("kiosk-order-cancelled.json")));
+    assert.equal(cancel.cancelled, true);
+    assert.equal(cancel.notes, null);
+  });
+
+  test("lists every problem with a malformed order", async () => {
+    await assert.rejects(source.parse(JSON.parse(fixture("kiosk-order-invalid.json"))), (err) => {
+      assert.ok(err instanceof OrderSourceError);
+      assert.deepEqual(err.details, [
+        "order.id is required",
+        "order.items[0].name is required",
+        "order.items[0].quantity must be a whole number from 1 to 99",
+        "order.items[1] must be an object",
+        "order.pickupAt must be an ISO time or epoch milliseconds",
+        "order.prepTimeMinutes must be between 0 and 1440",
+        "order.customer must be an object",
+      ]);
+      return true;
+    });
+    await assert.rejects(source.parse([]), OrderSourceError);
+  });
+
+  test("source config", () => {
+    assert.deepEqual(parseSourceConfig("Kiosk=s3cret, doordash:DoorDash=other,bad id=x"), [
+      { id: "kiosk", label: "Kiosk", secret: "s3cret" },
+      { id: "doordash", label: "DoorDash", secret: "other" },
+    ]);
+  });
+});
+
+describe("through the webhook route", () => {
+  let kds;
+  let token;
+
+  before(async () => {
+    kds = await startKds({ KDS_ORDER_SOURCES: `kiosk:Kiosk=${SECRET}` });
+    token = await kds.login();
+  });
+
+  after(async () => {
+    await kds.stop();
+  });
+
+  function post(name, headers) {
+    return postRaw(fixture(name), headers);
+  }
+
+  function postRaw(raw, headers) {
+    return fetch(`${kds.baseUrl}/webhooks/orders/kiosk`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(headers || { "X-KDS-Signature": signJsonOrderPayload(raw, SECRET) }) },
+      body: raw,
+    });
+  }
+
+  async function getOrder(orderId) {
+    const resp = await fetch(`${kds.baseUrl}/api/orders`, { headers: { Authorization: `Bearer ${token}` } });
+    return (await resp.json()).orders.find((o) => o.orderId === orderId) || null;
+  }
+
+  test("creates, updates and cancels a ticket with the source's badge", async () => {
+    assert.equal((await post("kiosk-order-created.json")).status, 200);
+    const created = await getOrder("kiosk-A-1001");
+    assert.equal(created.source, "kiosk");
+    assert.deepEqual(created.items.map((i) => [i.name, i.quantity]), [["Chili Dog", 2], ["Lemonade", 1]]);
+
+    const screen = await kds.connectScreen(token);
+    const session = await screen.waitFor((m) => m.type === "SESSION");
+    assert.equal(session.sources.kiosk, "Kiosk");
+    await screen.close();
+
+    assert.equal((await post("kiosk-order-updated-no-items.json", { "X-KDS-Secret": SECRET })).status, 200);
+    const updated = await getOrder("kiosk-A-1001");
+    assert.equal(updated.notes, "Birthday, add two candles");
+    assert.equal(updated.items.length, 2);
+
+    assert.equal((await post("kiosk-order-cancelled.json")).status, 200);
+    assert.equal((await getOrder("kiosk-A-1001")).status, "cancelled");
+  });
+
+  test("answers a redelivery, a bad secret and a malformed order", async () => {
+    assert.equal(await (await post("kiosk-order-created.json")).text(), "duplicate");
+    assert.equal((await post("kiosk-order-created.json", { "X-KDS-Secret": "guess" })).status, 401);
+
+    const invalid = await post("kiosk-order-invalid.json");
+    assert.equal(invalid.status, 400);
+    assert.ok((await invalid.json()).details.includes("order.id is required"));
+  });
+
+  test("refuses an order id that could break out of the screens' markup", async () => {
+    const body = JSON.parse(fixture("kiosk-order-created.json"));
+    body.eventId = "evt-quote";
+    body.order.id = "A-1002');alert(document.cookie);//";
+    const resp = await postRaw(JSON.stringify(body));
+    assert.equal(resp.status, 400);
+    assert.deepEqual((await resp.json()).details, ["order.id may only use letters, digits and _ . : -"]);
+    assert.equal(await getOrder(`kiosk-${body.order.id}`), null);
+  });
+});
@@ -0,0 +1,50 @@
+// Manual orders from the new-ticket form: trimmed, bounded text and every problem listed
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeManualOrder, ManualOrderError } = require("../lib/manualOrders");
+
+function invalid(body) {
+  try {
+    normalizeManualOrder(body);
+  } catch (err) {
+    assert.ok(err instanceof ManualOrderError);
+    return err.details;
+  }
+  assert.fail("expected a ManualOrderError");
+}
+
+test("modifiers are trimmed, and blank ones dropped, from a list or a comma-separated string", () => {
+  const order = normalizeManualOrder({
+    items: [
+      { name: " VertiDog Original ", modifiers: [" No onion ", "", null, "Relish"] },
+      { name: "Fries", modifiers: "Extra salt, , ketchup " },
+    ],
+  });
+  assert.deepEqual(order.items[0].modifiers, ["No onion", "Relish"]);
+  assert.deepEqual(order.items[1].modifiers, ["Extra salt", "ketchup"]);
+  assert.equal(order.items[0].name, "VertiDog Original");
+});
+
+test("a modifier over 80 characters is refused like any other over-long text", () => {
+  const [item] = normalizeManualOrder({ items: [{ name: "Dog", modifiers: ["x".repeat(80)] }] }).items;
+  assert.equal(item.modifiers[0].length, 80);
+  assert.deepEqual(invalid({ items: [{ name: "Dog", modifiers: ["Relish", "x".repeat(81)] }] }), [
+    "items[0].modifiers[1] must be at most 80 characters",
+  ]);
+  assert.deepEqual(invalid({ items: [{ name: "Dog", modifiers: `Relish,${"y".repeat(81)}` }] }), [
+    "items[0].modifiers[1] must be at most 80 characters",
+  ]);
+  assert.deepEqual(invalid({ items: [{ name: "Dog", modifiers: [{ name: "Relish" }] }] }), [
+    "items[0].modifiers[0] must be a string",
+  ]);
+});
+
+test("every problem in an order is reported at once", () => {
+  assert.deepEqual(invalid({ items: [{ quantity: 0, modifiers: 3 }], notes: 5 }), [
+    "items[0].name is required",
+    "items[0].quantity must be a whole number from 1 to 99",
+    "items[0].modifiers must be a list",
+    "notes must be a string",
+  ]);
+});
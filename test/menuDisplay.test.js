@@ -0,0 +1,120 @@
+// Menu display rules: short names, colors and sort order for line items
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  applyMenuDisplay,
+  describeItem,
+  findEntry,
+  normalizeMenuDisplay,
+  MenuDisplayError,
+  DEFAULT_MENU_DISPLAY,
+} = require("../lib/menuDisplay");
+
+const defaults = normalizeMenuDisplay(DEFAULT_MENU_DISPLAY);
+
+function invalid(config, options) {
+  try {
+    normalizeMenuDisplay(config, options);
+  } catch (err) {
+    assert.ok(err instanceof MenuDisplayError);
+    return err.details;
+  }
+  assert.fail("expected a MenuDisplayError");
+}
+
+test("the defaults give the abbreviations the kitchen screen used to hard-code", () => {
+  assert.equal(describeItem({ name: "VertiDog Pulled Pork" }, defaults).displayName, "VD PORK");
+  assert.equal(describeItem({ name: "Combo - Seattle VertiDog" }, defaults).displayName, "COMBO SEA");
+  assert.equal(describeItem({ name: "Combo Special" }, defaults).displayName, "COMBO");
+  assert.equal(describeItem({ name: "VertiFries  Cheese " }, defaults).displayName, "VF CHEESE");
+});
+
+test("names no entry matches fall back to the name rules, then to the name itself", () => {
+  assert.equal(describeItem({ name: "Mini Vertidog" }, defaults).displayName, "Mini VD");
+  assert.equal(describeItem({ name: "  Lemonade \n" }, defaults).displayName, "Lemonade");
+  assert.equal(describeItem({}, defaults).displayName, "Item");
+});
+
+test("a catalog id match wins over an earlier name match", () => {
+  const config = normalizeMenuDisplay({
+    items: [
+      { name: "hot dog", shortName: "DOG" },
+      { catalogObjectId: "CAT-1", shortName: "JUMBO" },
+    ],
+  });
+  assert.equal(findEntry({ name: "Hot Dog", catalogObjectId: "CAT-1" }, config).shortName, "JUMBO");
+  assert.equal(findEntry({ name: "Hot Dog", catalogObjectId: "CAT-2" }, config).shortName, "DOG");
+  assert.equal(findEntry({ name: "Corn Dog" }, config), null);
+});
+
+test("an item only matches when its name contains every listed string", () => {
+  const config = normalizeMenuDisplay({ items: [{ name: ["Combo", "Veggie"], shortName: "COMBO VEG" }] });
+  assert.equal(describeItem({ name: "Veggie Combo" }, config).displayName, "COMBO VEG");
+  assert.equal(describeItem({ name: "Veggie Dog" }, config).displayName, "Veggie Dog");
+});
+
+test("colors must be 3- or 6-digit hex", () => {
+  const config = normalizeMenuDisplay({
+    items: [
+      { name: "pork", color: " #F97316 " },
+      { name: "fries", color: "#abc" },
+    ],
+  });
+  assert.equal(describeItem({ name: "Pulled Pork" }, config).displayColor, "#F97316");
+  assert.equal(describeItem({ name: "Fries" }, config).displayColor, "#abc");
+  assert.equal(describeItem({ name: "Lemonade" }, config).displayColor, null);
+
+  for (const color of ["red", "#abcd", "#12345g", "f97316", "#f97316;background:url(x)"]) {
+    assert.deepEqual(invalid({ items: [{ name: "pork", color }] }), [
+      "items[0]: color must be a hex color like #f97316",
+    ]);
+  }
+});
+
+test("every problem in a config is reported at once", () => {
+  const details = invalid(
+    {
+      items: [{}, { name: "fries", station: "grill", sortOrder: "soon" }],
+      nameRules: [{ find: "" }],
+      modifierRules: [{ find: "(", regex: true }],
+    },
+    { stations: ["fryer"] }
+  );
+  assert.equal(details.length, 5);
+  assert.deepEqual(details.slice(0, 3), [
+    "items[0]: needs a catalogObjectId or name",
+    "items[1]: unknown station grill",
+    "items[1]: sortOrder must be a number",
+  ]);
+  assert.equal(details[3], "nameRules[0]: find is required");
+  assert.match(details[4], /^modifierRules\[0\]: invalid regex/);
+  assert.throws(() => normalizeMenuDisplay([]), MenuDisplayError);
+});
+
+test("items sort by sortOrder; items without one keep their place after the rest", () => {
+  const config = normalizeMenuDisplay({
+    items: [
+      { name: "fries", sortOrder: 2 },
+      { name: "dog", sortOrder: "1" },
+      { name: "shake", sortOrder: 2 },
+    ],
+  });
+  const names = applyMenuDisplay(
+    [{ name: "Lemonade" }, { name: "Shake" }, { name: "Fries" }, { name: "Cookie" }, { name: "Hot Dog" }],
+    config
+  ).map((item) => item.name);
+  assert.deepEqual(names, ["Hot Dog", "Shake", "Fries", "Lemonade", "Cookie"]);
+});
+
+test("modifier rules rewrite modifiers, and an empty result hides one", () => {
+  const config = normalizeMenuDisplay({
+    modifierRules: [
+      { find: "no ", replace: "NO " },
+      { find: "^regular.*$", replace: "", regex: true },
+    ],
+  });
+  const [item] = applyMenuDisplay([{ name: "Hot Dog", modifiers: [" - no onion", "Regular bun", "", "+ Relish"] }], config);
+  assert.deepEqual(item.displayModifiers, ["NO onion", "Relish"]);
+  assert.deepEqual(item.modifiers, [" - no onion", "Regular bun", "", "+ Relish"]);
+});
@@ -0,0 +1,32 @@
+// /metrics labels stay within a fixed set whatever senders put in their payloads
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { signJsonOrderPayload } = require("../lib/jsonOrderSource");
+const { startKds } = require("./helpers/kdsServer");
+
+test("webhook event types outside the source's own list are counted as other", async () => {
+  const kds = await startKds({ KDS_ORDER_SOURCES: "kiosk=s3cret" });
+  try {
+    const post = (body, headers = {}) => {
+      const raw = JSON.stringify(body);
+      return fetch(`${kds.baseUrl}/webhooks/orders/kiosk`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "X-KDS-Signature": signJsonOrderPayload(raw, "s3cret"), ...headers },
+        body: raw,
+      });
+    };
+    const order = { id: "1", items: [{ name: "Chili Dog" }] };
+    assert.equal((await post({ type: "order.created", eventId: "e1", order })).status, 200);
+    assert.equal((await post({ type: "made-up-1", eventId: "e2", order })).status, 200);
+    assert.equal((await post({ type: "made-up-2", eventId: "e3", order }, { "X-KDS-Signature": "sha256=bad" })).status, 401);
+
+    const text = await (await fetch(`${kds.baseUrl}/metrics`)).text();
+    assert.match(text, /kds_webhook_events_total\{source="kiosk",event_type="order\.created",outcome="accepted"\} 1/);
+    assert.match(text, /kds_webhook_events_total\{source="kiosk",event_type="other",outcome="accepted"\} 1/);
+    assert.match(text, /kds_webhook_events_total\{source="kiosk",event_type="unverified",outcome="rejected"\} 1/);
+    assert.doesNotMatch(text, /made-up/);
+  } finally {
+    await kds.stop();
+  }
+});
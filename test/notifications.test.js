@@ -0,0 +1,197 @@
+// Customer "order ready" messages through the fake (log) provider and a stand-in SMTP server
+
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { createNotifier } = require("../lib/notifications");
+const { createLogProvider, createSmtpProvider, NotificationError } = require("../lib/notificationProviders");
+const { startKds, sleep } = require("./helpers/kdsServer");
+
+const order = (orderId, extra = {}) => ({
+  orderId,
+  orderNumber: "042",
+  customer: { name: "Sam", phone: "+15550100", email: "sam@example.com" },
+  ...extra,
+});
+
+describe("the notifier", () => {
+  let dataDir;
+  let sms;
+  let email;
+  let notifier;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "kds-notify-"));
+    sms = createLogProvider({ channel: "sms" });
+    email = createLogProvider({ channel: "email" });
+    notifier = createNotifier({
+      providers: { sms, email },
+      queueFile: path.join(dataDir, "notification-queue.json"),
+      logFile: path.join(dataDir, "notification-log.ndjson"),
+      shopName: "VertiDog Test",
+      sendDelayMs: 50,
+      baseDelayMs: 10,
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test("texts and emails once the grace period is over", async () => {
+    assert.equal(notifier.notifyOrderReady(order("A")).length, 2);
+    await notifier.processDueJobs();
+    assert.equal(sms.sent.length + email.sent.length, 0, "nothing before the delay");
+
+    await sleep(70);
+    await notifier.processDueJobs();
+    assert.equal(sms.sent[0].to, "+15550100");
+    assert.equal(sms.sent[0].text, "VertiDog Test: order #042 is ready for pickup!");
+    assert.equal(email.sent[0].subject, "Your VertiDog Test order #042 is ready");
+    assert.match(email.sent[0].text, /^Hi Sam,/);
+  });
+
+  test("a ticket taken back within the grace period sends nothing", async () => {
+    notifier.notifyOrderReady(order("B"));
+    assert.equal(notifier.cancel("B", "undone"), 2);
+    await sleep(70);
+    await notifier.processDueJobs();
+    assert.equal(sms.sent.length + email.sent.length, 0);
+    assert.deepEqual(
+      notifier.getStatus().log.filter((e) => e.orderId === "B").map((e) => e.outcome),
+      ["cancelled", "cancelled", "queued", "queued"]
+    );
+  });
+
+  test("a recall and re-bump doesn't notify twice", async () => {
+    notifier.notifyOrderReady(order("C"));
+    await sleep(70);
+    await notifier.processDueJobs();
+    assert.deepEqual(notifier.notifyOrderReady(order("C")), []);
+  });
+
+  test("retries a failed send, then gives up on ones that can't work", async () => {
+    sms.failNext = 1;
+    notifier.notifyOrderReady(order("D", { customer: { phone: "+15550101" } }));
+    await sleep(70);
+    await notifier.processDueJobs();
+    assert.equal(sms.sent.length, 0);
+    assert.equal(notifier.getStatus().pending[0].lastError, "log provider told to fail");
+
+    await sleep(30);
+    await notifier.processDueJobs();
+    assert.equal(sms.sent.length, 1);
+    assert.deepEqual(notifier.getStatus().pending, []);
+  });
+
+  test("skips opted-out orders and masks recipients in the status", () => {
+    assert.deepEqual(notifier.notifyOrderReady(order("E", { notificationsOptOut: true })), []);
+    notifier.notifyOrderReady(order("F"));
+    assert.deepEqual(
+      notifier.getStatus().pending.map((j) => j.to),
+      ["***0100", "s***@example.com"]
+    );
+  });
+});
+
+// Speaks just enough SMTP to take one message, never offering STARTTLS
+function startPlainSmtpServer() {
+  const commands = [];
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let inData = false;
+    socket.write("220 test ESMTP\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      let idx;
+      while ((idx = buffer.indexOf("\r\n")) >= 0) {
+        const line = buffer.slice(0, idx);
+        buffer = buffer.slice(idx + 2);
+        if (inData) {
+          if (line === ".") {
+            inData = false;
+            socket.write("250 queued as TEST1\r\n");
+          }
+          continue;
+        }
+        commands.push(line);
+        if (/^EHLO/i.test(line)) socket.write("250-test\r\n250 AUTH PLAIN\r\n");
+        else if (/^DATA/i.test(line)) {
+          inData = true;
+          socket.write("354 go ahead\r\n");
+        } else if (/^QUIT/i.test(line)) socket.end("221 bye\r\n");
+        else socket.write("250 ok\r\n");
+      }
+    });
+  });
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () => resolve({ port: server.address().port, commands, close: () => server.close() }))
+  );
+}
+
+describe("the SMTP provider", () => {
+  test("won't send credentials to a server without TLS", async () => {
+    const smtp = await startPlainSmtpServer();
+    try {
+      const provider = createSmtpProvider({
+        host: "127.0.0.1",
+        port: smtp.port,
+        user: "kds",
+        pass: "secret",
+        from: "kds@example.com",
+      });
+      await assert.rejects(provider.send({ to: "sam@example.com", subject: "Ready", text: "Hi" }), (err) => {
+        assert.ok(err instanceof NotificationError);
+        assert.equal(err.retryable, false);
+        return true;
+      });
+      assert.ok(!smtp.commands.some((c) => /^AUTH/i.test(c)));
+      assert.ok(!smtp.commands.some((c) => c.includes(Buffer.from("\0kds\0secret").toString("base64"))));
+    } finally {
+      smtp.close();
+    }
+  });
+
+  test("sends without credentials to a local relay", async () => {
+    const smtp = await startPlainSmtpServer();
+    try {
+      const provider = createSmtpProvider({ host: "127.0.0.1", port: smtp.port, from: "kds@example.com" });
+      const result = await provider.send({ to: "sam@example.com", subject: "Ready", text: "Hi" });
+      assert.equal(result.id, "queued as TEST1");
+      assert.ok(smtp.commands.includes("RCPT TO:<sam@example.com>"));
+    } finally {
+      smtp.close();
+    }
+  });
+});
+
+describe("undo on the kitchen screen", () => {
+  test("stops the ready text that hasn't gone out yet", async () => {
+    const kds = await startKds({ KDS_NOTIFY_PROVIDER: "log", KDS_NOTIFY_DELAY_SECONDS: "1" });
+    try {
+      const token = await kds.login();
+      const screen = await kds.connectScreen(token);
+      const created = await fetch(`${kds.baseUrl}/api/orders`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+        body: JSON.stringify({ items: [{ name: "Chili Dog" }], customer: { phone: "+15550100" } }),
+      });
+      const { orderId } = (await created.json()).order;
+
+      await screen.send({ type: "ORDER_READY", orderId });
+      await screen.send({ type: "ORDER_UNDO", orderId });
+      await sleep(2000);
+      await screen.close();
+
+      const resp = await fetch(`${kds.baseUrl}/api/notifications`, { headers: { Authorization: `Bearer ${token}` } });
+      const status = await resp.json();
+      const outcomes = status.log.filter((e) => e.orderId === orderId).map((e) => e.outcome);
+      assert.deepEqual(outcomes, ["cancelled", "queued"]);
+    } finally {
+      await kds.stop();
+    }
+  });
+});
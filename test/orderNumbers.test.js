@@ -0,0 +1,88 @@
+// Display order numbers: per location, reset each business day, never a live ticket's number
+
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createOrderNumberAllocator, getBusinessDay, MAX_ORDER_NUMBER } = require("../lib/orderNumbers");
+
+let dataDir;
+let file;
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "kds-numbers-"));
+  file = path.join(dataDir, "order-numbers.json");
+});
+
+afterEach(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const at = (iso) => Date.parse(iso);
+
+test("the business day rolls over at the configured hour, not at midnight", () => {
+  const numbers = createOrderNumberAllocator({ file, dayStartHour: 4, timeZone: "UTC" });
+  assert.equal(numbers.next("main", at("2026-10-19T22:00:00Z")), "001");
+  assert.equal(numbers.next("main", at("2026-10-20T01:30:00Z")), "002");
+  assert.equal(numbers.next("main", at("2026-10-20T03:59:59Z")), "003");
+  assert.equal(numbers.next("main", at("2026-10-20T04:00:00Z")), "001");
+  assert.equal(numbers.businessDayOf(at("2026-10-20T03:59:59Z")), "2026-10-19");
+});
+
+test("the business day follows the shop's time zone", () => {
+  const options = { dayStartHour: 4, timeZone: "America/Los_Angeles" };
+  // 10:59 and 11:00 UTC are 03:59 and 04:00 in Seattle (PDT)
+  assert.equal(getBusinessDay(at("2026-10-20T10:59:00Z"), options), "2026-10-19");
+  assert.equal(getBusinessDay(at("2026-10-20T11:00:00Z"), options), "2026-10-20");
+});
+
+test("each location counts on its own", () => {
+  const numbers = createOrderNumberAllocator({ file, timeZone: "UTC" });
+  const now = at("2026-10-19T12:00:00Z");
+  assert.equal(numbers.next("north", now), "001");
+  assert.equal(numbers.next("north", now), "002");
+  assert.equal(numbers.next("south", now), "001");
+});
+
+test("numbers still live on the line are skipped, even across a new day", () => {
+  const live = new Set(["002", "003"]);
+  const numbers = createOrderNumberAllocator({
+    file,
+    timeZone: "UTC",
+    isInUse: (location, orderNumber) => location === "main" && live.has(orderNumber),
+  });
+  assert.equal(numbers.next("main", at("2026-10-19T12:00:00Z")), "001");
+  assert.equal(numbers.next("main", at("2026-10-19T12:01:00Z")), "004");
+  live.add("001");
+  assert.equal(numbers.next("main", at("2026-10-20T12:00:00Z")), "004");
+  assert.equal(numbers.next("other", at("2026-10-20T12:00:00Z")), "001");
+});
+
+test("after 999 the count wraps around to 001, skipping live numbers", () => {
+  fs.writeFileSync(file, JSON.stringify({ main: { businessDay: "2026-10-19", last: MAX_ORDER_NUMBER - 1 } }));
+  const numbers = createOrderNumberAllocator({
+    file,
+    timeZone: "UTC",
+    isInUse: (location, orderNumber) => orderNumber === "001",
+  });
+  const now = at("2026-10-19T12:00:00Z");
+  assert.equal(numbers.next("main", now), "999");
+  assert.equal(numbers.next("main", now), "002");
+});
+
+test("with every number live, the next one is reused rather than stalling", () => {
+  const numbers = createOrderNumberAllocator({ file, timeZone: "UTC", isInUse: () => true });
+  const now = at("2026-10-19T12:00:00Z");
+  assert.equal(numbers.next("main", now), "001");
+  assert.equal(numbers.next("main", now), "002");
+});
+
+test("a restart carries on from the last number used", () => {
+  const now = at("2026-10-19T12:00:00Z");
+  const first = createOrderNumberAllocator({ file, timeZone: "UTC" });
+  first.next("main", now);
+  first.next("main", now);
+  const second = createOrderNumberAllocator({ file, timeZone: "UTC" });
+  assert.equal(second.next("main", now), "003");
+});
@@ -0,0 +1,99 @@
+// The order state machine: which bumps, recalls and cancels are allowed from where
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  STATUSES,
+  TRANSITIONS,
+  InvalidTransitionError,
+  normalizeStatus,
+  canTransition,
+  assertTransition,
+  isWorking,
+  isFinished,
+  isScheduled,
+} = require("../lib/orderStateMachine");
+
+// Every [from, to] pair the kitchen is allowed to make
+const ALLOWED = [
+  ["scheduled", "new"],
+  ["scheduled", "cancelled"],
+  ["new", "in-progress"],
+  ["new", "ready"],
+  ["new", "cancelled"],
+  ["in-progress", "ready"],
+  ["in-progress", "cancelled"],
+  ["ready", "picked-up"],
+  ["ready", "recalled"],
+  ["ready", "cancelled"],
+  ["picked-up", "recalled"],
+  ["cancelled", "recalled"],
+  ["recalled", "in-progress"],
+  ["recalled", "ready"],
+  ["recalled", "cancelled"],
+];
+
+test("allows exactly the transitions on the diagram", () => {
+  const allowed = new Set(ALLOWED.map((pair) => pair.join(" -> ")));
+  STATUSES.forEach((from) => {
+    STATUSES.forEach((to) => {
+      assert.equal(canTransition(from, to), allowed.has(`${from} -> ${to}`), `${from} -> ${to}`);
+    });
+  });
+  assert.deepEqual(Object.keys(TRANSITIONS).sort(), [...STATUSES].sort());
+});
+
+test("a scheduled order only reaches the line by firing", () => {
+  assert.equal(canTransition("scheduled", "new"), true);
+  ["in-progress", "ready", "picked-up", "recalled"].forEach((to) => assert.equal(canTransition("scheduled", to), false));
+});
+
+test("a recalled ticket can be readied again without being restarted", () => {
+  assert.equal(canTransition("recalled", "ready"), true);
+  assert.equal(canTransition("recalled", "picked-up"), false);
+  assert.equal(canTransition("recalled", "new"), false);
+});
+
+test("a cancelled ticket stays cancelled unless someone recalls it", () => {
+  ["scheduled", "new", "in-progress", "ready", "picked-up", "cancelled"].forEach((to) =>
+    assert.equal(canTransition("cancelled", to), false, `cancelled -> ${to}`)
+  );
+  assert.equal(canTransition("cancelled", "recalled"), true);
+});
+
+test("nothing moves backwards along the line", () => {
+  assert.equal(canTransition("in-progress", "new"), false);
+  assert.equal(canTransition("ready", "in-progress"), false);
+  assert.equal(canTransition("picked-up", "ready"), false);
+  assert.equal(canTransition("new", "scheduled"), false);
+});
+
+test("assertTransition throws with both ends of the move", () => {
+  assert.doesNotThrow(() => assertTransition("new", "ready"));
+  assert.throws(
+    () => assertTransition("picked-up", "in-progress"),
+    (err) =>
+      err instanceof InvalidTransitionError &&
+      err.code === "ILLEGAL_TRANSITION" &&
+      err.from === "picked-up" &&
+      err.to === "in-progress"
+  );
+  assert.throws(() => assertTransition(undefined, "new"), /from unknown to new/);
+  assert.throws(() => assertTransition("new", "bogus"), InvalidTransitionError);
+});
+
+test("older and Square status names map onto the machine", () => {
+  assert.equal(normalizeStatus("CANCELED"), "cancelled");
+  assert.equal(normalizeStatus("done"), "picked-up");
+  assert.equal(normalizeStatus("done", { cancelled: true }), "cancelled");
+  assert.equal(normalizeStatus("COMPLETED"), "picked-up");
+  assert.equal(normalizeStatus("picked_up"), "picked-up");
+  assert.equal(normalizeStatus("In-Progress"), "in-progress");
+  assert.equal(normalizeStatus(null), null);
+});
+
+test("status groups", () => {
+  assert.deepEqual(STATUSES.filter(isWorking), ["new", "in-progress", "recalled"]);
+  assert.deepEqual(STATUSES.filter(isFinished), ["picked-up", "cancelled"]);
+  assert.deepEqual(STATUSES.filter(isScheduled), ["scheduled"]);
+});
@@ -0,0 +1,89 @@
+// The event log keeps a gapless sequence and survives a disk that stops taking writes
+
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createOrderStore } = require("../lib/orderStore");
+
+let dataDir;
+let orders;
+let store;
+const realWriteSync = fs.writeSync;
+
+function failWrites() {
+  fs.writeSync = () => {
+    const error = new Error("ENOSPC: no space left on device, write");
+    error.code = "ENOSPC";
+    throw error;
+  };
+}
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "kds-store-"));
+  orders = {};
+  store = createOrderStore({
+    orders,
+    dataDir,
+    retentionMs: 0,
+    isArchivable: (order) => order.status === "picked-up",
+  });
+  store.load();
+});
+
+afterEach(() => {
+  fs.writeSync = realWriteSync;
+  store.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test("a failed append doesn't advance the sequence", () => {
+  const order = { orderId: "A", status: "new", createdAt: Date.now() };
+  orders.A = order;
+  assert.equal(store.record("ORDER_CREATED", order), 1);
+
+  failWrites();
+  assert.equal(store.record("ORDER_STARTED", order), null);
+  assert.equal(store.getRevision(), 1);
+  assert.equal(order.revision, 1);
+
+  fs.writeSync = realWriteSync;
+  assert.equal(store.record("ORDER_STARTED", order), 2);
+
+  const seqs = fs
+    .readFileSync(path.join(dataDir, "events.log"), "utf8")
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line).seq);
+  assert.deepEqual(seqs, [1, 2]);
+});
+
+test("archiving on a full disk logs the error instead of throwing", () => {
+  orders.B = { orderId: "B", status: "picked-up", createdAt: Date.now() - 1000 };
+  store.record("ORDER_COMPLETED", orders.B);
+
+  failWrites();
+  assert.doesNotThrow(() => assert.equal(store.archiveCompleted(), 0));
+  assert.ok(orders.B, "stays live until its removal is logged");
+  assert.equal(store.getRevision(), 1);
+
+  fs.writeSync = realWriteSync;
+  assert.equal(store.archiveCompleted(), 1);
+  assert.equal(orders.B, undefined);
+  assert.equal(store.getRevision(), 2);
+});
+
+test("a restart replays to the same state", () => {
+  orders.C = { orderId: "C", status: "new", createdAt: Date.now() };
+  store.record("ORDER_CREATED", orders.C);
+  orders.C.status = "ready";
+  store.record("ORDER_READY", orders.C);
+  store.close();
+
+  const reloaded = {};
+  store = createOrderStore({ orders: reloaded, dataDir });
+  store.load();
+  assert.equal(reloaded.C.status, "ready");
+  assert.equal(store.getRevision(), 2);
+});
@@ -0,0 +1,72 @@
+// Undo needs the same rights as the change it takes back
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startKds } = require("./helpers/kdsServer");
+
+let kds;
+let manager;
+let cook;
+
+async function createOrder(token) {
+  const resp = await fetch(`${kds.baseUrl}/api/orders`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+    body: JSON.stringify({ items: [{ name: "VertiDog Original" }] }),
+  });
+  return (await resp.json()).order.orderId;
+}
+
+before(async () => {
+  kds = await startKds();
+  const managerToken = await kds.login();
+  const resp = await fetch(`${kds.baseUrl}/api/staff`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${managerToken}`, "Content-Type": "application/json" },
+    body: JSON.stringify({ name: "Robin", role: "cook", pin: "5678" }),
+  });
+  assert.equal(resp.status, 201);
+  manager = await kds.connectScreen(managerToken);
+  cook = await kds.connectScreen(await kds.login("5678"));
+});
+
+after(async () => {
+  await cook.close();
+  await manager.close();
+  await kds.stop();
+});
+
+test("a cook can't undo a manager's recall", async () => {
+  const orderId = await createOrder(await kds.login());
+  await manager.send({ type: "ORDER_READY", orderId });
+  await manager.send({ type: "ORDER_COMPLETED", orderId });
+  assert.equal((await manager.send({ type: "ORDER_REACTIVATED", orderId })).status, "recalled");
+
+  const refused = await cook.send({ type: "ORDER_UNDO", orderId });
+  assert.equal(refused.type, "COMMAND_ERROR");
+  assert.equal(refused.code, "FORBIDDEN");
+  assert.equal(refused.order.status, "recalled");
+
+  const undone = await manager.send({ type: "ORDER_UNDO", orderId });
+  assert.equal(undone.type, "COMMAND_ACK");
+  assert.equal(undone.status, "picked-up");
+});
+
+test("a cook can't undo a station recall either", async () => {
+  const orderId = await createOrder(await kds.login());
+  await manager.send({ type: "ORDER_STARTED", orderId });
+  await manager.send({ type: "STATION_BUMP", orderId, station: "grill" });
+  const recalled = await manager.send({ type: "ORDER_REACTIVATED", orderId, station: "grill" });
+  assert.equal(recalled.type, "COMMAND_ACK");
+
+  const refused = await cook.send({ type: "ORDER_UNDO", orderId });
+  assert.equal(refused.code, "FORBIDDEN");
+});
+
+test("a cook can undo their own bump", async () => {
+  const orderId = await createOrder(await kds.login());
+  await cook.send({ type: "ORDER_READY", orderId });
+  const undone = await cook.send({ type: "ORDER_UNDO", orderId });
+  assert.equal(undone.type, "COMMAND_ACK");
+  assert.equal(undone.status, "new");
+});
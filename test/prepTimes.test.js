@@ -0,0 +1,148 @@
+// Prep times and pacing: ticket targets, expected ready times down each station's queue,
+// and when the kitchen counts as behind
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildPacing, getTicketPrepMs, normalizePrepTimes, PrepTimesError } = require("../lib/prepTimes");
+
+const STATIONS = ["grill", "fryer", "drinks"];
+const config = normalizePrepTimes(
+  {
+    defaultSeconds: 120,
+    stations: { drinks: 30 },
+    items: [
+      { name: ["combo"], seconds: 300, extraSeconds: 90 },
+      { name: ["fries"], seconds: 180 },
+    ],
+    behindMinutes: 20,
+  },
+  { stations: STATIONS }
+);
+
+const NOW = Date.parse("2026-10-19T18:00:00Z");
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+let nextId = 0;
+const order = (items, fields = {}) => ({
+  orderId: `o-${++nextId}`,
+  status: "new",
+  createdAt: NOW,
+  items,
+  ...fields,
+});
+
+test("a ticket takes as long as its slowest station, counting extra quantity", () => {
+  const dogs = { name: "Hot Dog", station: "grill", quantity: 3 };
+  const combo = { name: "Combo Original", station: "grill", quantity: 2 };
+  const fries = { name: "Fries", station: "fryer", quantity: 2 };
+  const drink = { name: "Lemonade", station: "drinks" };
+
+  // 120s + 2 x 60s (half of seconds when extraSeconds isn't set)
+  assert.equal(getTicketPrepMs(order([dogs]), config), 240 * SECOND);
+  // 300s + 90s; the fryer's 180s + 90s runs alongside
+  assert.equal(getTicketPrepMs(order([combo, fries, drink]), config), 390 * SECOND);
+  assert.equal(getTicketPrepMs(order([drink]), config), 30 * SECOND);
+  assert.equal(getTicketPrepMs(order([]), config), 120 * SECOND);
+  // Items with no station fall back to the default station, then share one line
+  assert.equal(getTicketPrepMs(order([{ name: "Hot Dog" }, { name: "Lemonade" }]), config), 240 * SECOND);
+  assert.equal(
+    getTicketPrepMs(order([{ name: "Lemonade" }]), config, { defaultStation: "drinks" }),
+    30 * SECOND
+  );
+});
+
+test("a started ticket counts its time in once, not once per bumped item as well", () => {
+  const started = order(
+    [
+      { name: "Hot Dog", station: "grill", completed: true },
+      { name: "Hot Dog", station: "grill" },
+      { name: "Fries", station: "fryer", completed: true },
+    ],
+    { status: "in-progress", createdAt: NOW - 2 * MINUTE, startedAt: NOW - MINUTE }
+  );
+  const { tickets } = buildPacing([started], config, { now: NOW });
+  const pacing = tickets[started.orderId];
+  assert.equal(pacing.startAt, NOW - 2 * MINUTE);
+  assert.equal(pacing.prepMs, 240 * SECOND);
+  assert.equal(pacing.targetAt, NOW - 2 * MINUTE + 240 * SECOND);
+  // The grill's two dogs take 240s and it's been at them for 60s; the fryer is done
+  assert.equal(pacing.expectedReadyAt, NOW + 180 * SECOND);
+});
+
+test("a ticket running over its time is expected now, not in the past", () => {
+  const late = order([{ name: "Hot Dog", station: "grill" }], {
+    status: "in-progress",
+    createdAt: NOW - 10 * MINUTE,
+    startedAt: NOW - 10 * MINUTE,
+  });
+  assert.equal(buildPacing([late], config, { now: NOW }).tickets[late.orderId].expectedReadyAt, NOW);
+});
+
+test("each station works through its queue in line order, side by side with the others", () => {
+  const first = order([{ name: "Hot Dog", station: "grill" }], { createdAt: NOW - 3 * MINUTE });
+  const second = order(
+    [
+      { name: "Hot Dog", station: "grill" },
+      { name: "Lemonade", station: "drinks" },
+    ],
+    { createdAt: NOW - 2 * MINUTE }
+  );
+  const rush = order([{ name: "Hot Dog", station: "grill" }], {
+    createdAt: NOW - MINUTE,
+    isPrioritized: true,
+    prioritizedAt: NOW - 30 * SECOND,
+  });
+  const finished = order([{ name: "Hot Dog", station: "grill" }], { status: "ready" });
+  const scheduled = order([{ name: "Hot Dog", station: "grill" }], { status: "scheduled" });
+
+  const pacing = buildPacing([second, finished, first, scheduled, rush], config, { now: NOW });
+  assert.equal(pacing.queueLength, 3);
+  assert.deepEqual(Object.keys(pacing.tickets).sort(), [first.orderId, second.orderId, rush.orderId].sort());
+  // The prioritized ticket goes first, then the oldest
+  assert.equal(pacing.tickets[rush.orderId].expectedReadyAt, NOW + 120 * SECOND);
+  assert.equal(pacing.tickets[first.orderId].expectedReadyAt, NOW + 240 * SECOND);
+  // The drink is long done by the time the grill gets to the dog
+  assert.equal(pacing.tickets[second.orderId].expectedReadyAt, NOW + 360 * SECOND);
+  // A new order waits for the longest queue, plus one default item
+  assert.equal(pacing.projectedWaitMs, 480 * SECOND);
+});
+
+test("the kitchen is behind once a new order would wait behindMinutes", () => {
+  // Each dog adds 120s to the grill's queue; a new order adds another 120s on top
+  const dogs = (count) =>
+    Array.from({ length: count }, (_, i) =>
+      order([{ name: "Hot Dog", station: "grill" }], { createdAt: NOW - (count - i) * SECOND })
+    );
+
+  const almost = buildPacing(dogs(8), config, { now: NOW });
+  assert.equal(almost.projectedWaitMs, 18 * MINUTE);
+  assert.equal(almost.behind, false);
+
+  const behind = buildPacing(dogs(9), config, { now: NOW });
+  assert.equal(behind.projectedWaitMs, 20 * MINUTE);
+  assert.equal(behind.behind, true);
+
+  const quiet = buildPacing([], config, { now: NOW });
+  assert.equal(quiet.projectedWaitMs, 2 * MINUTE);
+  assert.equal(quiet.behind, false);
+});
+
+test("a config lists every problem at once", () => {
+  assert.throws(
+    () =>
+      normalizePrepTimes(
+        { stations: { pizza: 60 }, items: [{ name: "dog" }], warnPercent: 200, criticalPercent: 150 },
+        { stations: STATIONS }
+      ),
+    (err) => {
+      assert.ok(err instanceof PrepTimesError);
+      assert.deepEqual(err.details, [
+        "stations: unknown station pizza",
+        "items[0]: seconds is required",
+        "criticalPercent must not be below warnPercent",
+      ]);
+      return true;
+    }
+  );
+});
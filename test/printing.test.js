@@ -0,0 +1,202 @@
+// Ticket printing against local TCP listeners standing in for port-9100 receipt printers
+
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { createPrintQueue, sendToPrinter } = require("../lib/printing");
+const { renderTicket, COMMANDS } = require("../lib/escpos");
+const { startKds, getFreePort, sleep } = require("./helpers/kdsServer");
+
+// A "printer": every connection's bytes, in the order the connections closed
+function startPrinter(port = 0) {
+  const received = [];
+  const server = net.createServer((socket) => {
+    const chunks = [];
+    socket.on("data", (chunk) => chunks.push(chunk));
+    socket.on("end", () => received.push(Buffer.concat(chunks)));
+  });
+  return new Promise((resolve) =>
+    server.listen(port, "127.0.0.1", () =>
+      resolve({
+        port: server.address().port,
+        received,
+        text: () => received.map((b) => b.toString("latin1")),
+        close: () => new Promise((done) => server.close(done)),
+      })
+    )
+  );
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+  for (let waited = 0; !check(); waited += 50) {
+    if (waited > timeoutMs) throw new Error("timed out waiting");
+    await sleep(50);
+  }
+}
+
+const order = {
+  orderNumber: "017",
+  diningOption: "TO GO",
+  createdAt: Date.parse("2026-10-19T12:05:00Z"),
+  items: [
+    { name: "VertiDog Original", quantity: 2, variationName: "Regular", modifiers: ["No onion", "Extra relish"] },
+    { name: "Chili Dog", quantity: 1, note: "cut in half" },
+  ],
+  notes: "Extra napkins",
+};
+
+describe("ESC/POS tickets", () => {
+  test("carry the number, dining option, items, modifiers and notes", async () => {
+    const printer = await startPrinter();
+    try {
+      const bytes = renderTicket(order, { station: "grill", timeZone: "UTC" });
+      await sendToPrinter({ host: "127.0.0.1", port: printer.port }, bytes);
+      await waitFor(() => printer.received.length === 1);
+
+      const [got] = printer.received;
+      assert.deepEqual(got, bytes);
+      assert.deepEqual(got.subarray(0, 2), COMMANDS.init);
+      assert.deepEqual(got.subarray(-COMMANDS.cut.length), COMMANDS.cut);
+      const text = got.toString("latin1");
+      for (const expected of ["#017", "TO GO", "Station: GRILL", "2x VertiDog Original (Regular)", "+ No onion", "+ Extra relish", "1x Chili Dog", "* cut in half", "NOTES", "Extra napkins", "12:05 PM"]) {
+        assert.ok(text.includes(expected), `missing ${expected}`);
+      }
+    } finally {
+      await printer.close();
+    }
+  });
+
+  test("a ready chit is just the number", () => {
+    const text = renderTicket({ ...order, readyAt: order.createdAt }, { kind: "ready", timeZone: "UTC" }).toString("latin1");
+    assert.ok(text.includes("READY") && text.includes("#017"));
+    assert.ok(!text.includes("VertiDog"));
+  });
+});
+
+describe("the print queue", () => {
+  test("holds tickets for a printer that's off and prints them in order once it's back", async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "kds-print-"));
+    const port = await getFreePort();
+    const queue = createPrintQueue({
+      printers: [{ station: "grill", location: null, host: "127.0.0.1", port }],
+      queueFile: path.join(dataDir, "print-queue.json"),
+      baseDelayMs: 50,
+      sendTimeoutMs: 1000,
+    });
+    let printer;
+    try {
+      queue.enqueue({ orderId: "A", orderNumber: "001", station: "grill", kind: "ticket", data: Buffer.from("first") });
+      queue.enqueue({ orderId: "B", orderNumber: "002", station: "grill", kind: "ticket", data: Buffer.from("second") });
+      await sleep(100);
+      await queue.processDueJobs();
+      const status = queue.getStatus();
+      assert.equal(status.pending.length, 2);
+      assert.ok(status.pending[0].attempts >= 1);
+      assert.equal(status.pending[1].attempts, 0, "the later ticket waits behind the first");
+      assert.ok(!("data" in status.pending[0]), "the status page doesn't carry the ticket bytes");
+
+      printer = await startPrinter(port);
+      await sleep(150);
+      await queue.processDueJobs();
+      await waitFor(() => printer.received.length === 2);
+      assert.deepEqual(printer.text(), ["first", "second"]);
+      assert.deepEqual(queue.getStatus().pending, []);
+    } finally {
+      queue.stop();
+      if (printer) await printer.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+
+  test("a ticket held back behind a waiting one still expires", async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "kds-print-"));
+    const queueFile = path.join(dataDir, "print-queue.json");
+    const now = Date.now();
+    const job = (id, createdAt, nextAttemptAt) => ({
+      id,
+      orderId: id,
+      orderNumber: "001",
+      station: "grill",
+      kind: "ticket",
+      printer: "127.0.0.1:9100",
+      host: "127.0.0.1",
+      port: 9100,
+      data: Buffer.from(id).toString("base64"),
+      attempts: 1,
+      createdAt,
+      nextAttemptAt,
+      lastError: "connect ECONNREFUSED",
+    });
+    // Queued out of age order, as after the clock was set back
+    fs.writeFileSync(
+      queueFile,
+      JSON.stringify({ pending: [job("waiting", now, now + 60 * 1000), job("stale", now - 60 * 60 * 1000, now)], dead: [] })
+    );
+    const sent = [];
+    const queue = createPrintQueue({
+      printers: [{ station: "grill", location: null, host: "127.0.0.1", port: 9100 }],
+      queueFile,
+      send: async (printer, data) => sent.push(data.toString()),
+    });
+    try {
+      queue.start();
+      await queue.processDueJobs();
+      const status = queue.getStatus();
+      assert.deepEqual(status.pending.map((j) => j.id), ["waiting"]);
+      assert.deepEqual(status.dead.map((j) => [j.id, j.reason]), [["stale", "expired"]]);
+      assert.deepEqual(sent, []);
+    } finally {
+      queue.stop();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("printing from the server", () => {
+  test("new tickets, ready chits and reprints reach the station's printer", async () => {
+    const grill = await startPrinter();
+    const expo = await startPrinter();
+    const kds = await startKds({
+      KDS_PRINTERS: `grill=127.0.0.1:${grill.port},expo=127.0.0.1:${expo.port}`,
+      KDS_TIMEZONE: "UTC",
+    });
+    try {
+      const token = await kds.login();
+      const resp = await fetch(`${kds.baseUrl}/api/orders`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+        body: JSON.stringify({
+          items: [{ name: "VertiDog Original", modifiers: ["No onion"] }],
+          diningOption: "DINE IN",
+          notes: "Table 4",
+        }),
+      });
+      const { order: created } = await resp.json();
+      await waitFor(() => grill.received.length === 1);
+      const ticket = grill.text()[0];
+      assert.ok(ticket.includes(`#${created.orderNumber}`));
+      assert.ok(ticket.includes("Station: GRILL") && ticket.includes("+ No onion") && ticket.includes("Table 4"));
+
+      // Expo gets the whole ticket too, then a chit when it's ready
+      await waitFor(() => expo.received.length === 1);
+      assert.ok(expo.text()[0].includes("+ No onion"));
+      const screen = await kds.connectScreen(token);
+      await screen.send({ type: "ORDER_READY", orderId: created.orderId });
+      await waitFor(() => expo.received.length === 2);
+      assert.ok(expo.text()[1].includes("READY"));
+
+      const reprint = await screen.send({ type: "ORDER_REPRINT", orderId: created.orderId, station: "grill" });
+      assert.equal(reprint.type, "COMMAND_ACK");
+      await waitFor(() => grill.received.length === 2);
+      assert.ok(grill.text()[1].includes("*** REPRINT ***"));
+      await screen.close();
+    } finally {
+      await kds.stop();
+      await grill.close();
+      await expo.close();
+    }
+  });
+});
@@ -0,0 +1,27 @@
+// Throughput counts the location's own clock hours
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildKitchenReport } = require("../lib/reports");
+
+const order = (orderId, iso) => ({ orderId, createdAt: Date.parse(iso), items: [{ name: "VertiDog", quantity: 1 }] });
+
+test("one local hour that straddles UTC midnight counts once", () => {
+  // 05:10 and 05:45 in Kolkata are 23:40 and 00:15 UTC
+  const report = buildKitchenReport(
+    [order("A", "2026-10-18T23:40:00Z"), order("B", "2026-10-19T00:15:00Z")],
+    { timeZone: "Asia/Kolkata" }
+  );
+  assert.equal(report.throughput.activeHours, 1);
+  assert.deepEqual(report.byHour.map((b) => b.hour), ["05"]);
+});
+
+test("the same local hour on two local days counts twice", () => {
+  // 05:45 on the 19th and 05:10 on the 20th in Kolkata share a UTC date
+  const report = buildKitchenReport(
+    [order("A", "2026-10-19T00:15:00Z"), order("B", "2026-10-19T23:40:00Z")],
+    { timeZone: "Asia/Kolkata" }
+  );
+  assert.equal(report.throughput.activeHours, 2);
+  assert.equal(report.throughput.ordersPerHour, 1);
+});
@@ -0,0 +1,114 @@
+// The Square order source adapter on its own: signatures and parsing of signed fixtures
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createSquareSource, computeSquareSignature, parseIsoDuration } = require("../lib/squareSource");
+
+const KEY = "fixture-key";
+const URL = "https://kds.example.com/webhooks/square";
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, "fixtures", "square", name), "utf8");
+}
+
+// Just enough of an Express request for verify()
+function fakeRequest(rawBody, signature) {
+  return {
+    rawBody: Buffer.from(rawBody),
+    protocol: "https",
+    originalUrl: "/webhooks/square",
+    get: (name) => (name.toLowerCase() === "x-square-hmacsha256-signature" ? signature : "kds.example.com"),
+  };
+}
+
+test("verify accepts Square's signature and nothing else", () => {
+  const source = createSquareSource({ signatureKey: KEY, notificationUrl: URL });
+  const raw = fixture("order-created.json");
+  assert.equal(source.verify(fakeRequest(raw, computeSquareSignature(URL, raw, KEY))), true);
+  assert.equal(source.verify(fakeRequest(raw, computeSquareSignature(URL, raw, "other-key"))), false);
+  assert.equal(source.verify(fakeRequest(`${raw} `, computeSquareSignature(URL, raw, KEY))), false);
+  assert.equal(source.verify(fakeRequest(raw, undefined)), false);
+});
+
+test("verify checks against the request's own URL when none is configured", () => {
+  const source = createSquareSource({ signatureKey: KEY });
+  const raw = fixture("order-created.json");
+  assert.equal(source.verify(fakeRequest(raw, computeSquareSignature(URL, raw, KEY))), true);
+});
+
+test("without a signature key nothing verifies unless allowUnsigned", () => {
+  const raw = fixture("order-created.json");
+  assert.equal(createSquareSource({}).verify(fakeRequest(raw, undefined)), false);
+  assert.equal(createSquareSource({ allowUnsigned: true }).verify(fakeRequest(raw, undefined)), true);
+});
+
+test("parses an embedded order without calling the API", async () => {
+  const source = createSquareSource({
+    fetchOrder: async () => assert.fail("should not fetch"),
+    fetchCategories: async () => ({ "VAR-ORIG": "Hot Dogs" }),
+  });
+  const body = JSON.parse(fixture("order-created.json"));
+  const incoming = await source.parse(body);
+
+  assert.equal(source.eventId(body), "6a8f5f28-54a1-4eb0-a98a-3111513fd4fc");
+  assert.equal(incoming.orderId, "SQ-FIXTURE-1");
+  assert.equal(incoming.locationId, "LTEST01");
+  assert.equal(incoming.diningOption, "TO GO");
+  assert.equal(incoming.notes, "Extra napkins");
+  assert.deepEqual(incoming.customer, { name: "Sam Test", phone: "+15550100", email: null });
+  assert.equal(incoming.cancelled, false);
+  assert.deepEqual(incoming.items[0], {
+    name: "VertiDog Original",
+    quantity: 2,
+    variationName: "Regular",
+    note: "",
+    modifiers: ["No onion"],
+    catalogObjectId: "VAR-ORIG",
+    category: "Hot Dogs",
+  });
+});
+
+test("fetches the order when the event only names it, keeping the note when it can't", async () => {
+  const full = JSON.parse(fixture("order-fixture-2.json"));
+  const source = createSquareSource({ fetchOrder: async (id) => (id === full.id ? full : null) });
+  const incoming = await source.parse(JSON.parse(fixture("order-updated-minimal.json")));
+  assert.deepEqual(incoming.items.map((item) => item.name), ["Chili Dog"]);
+
+  const offline = createSquareSource({ fetchOrder: async () => null });
+  const bare = await offline.parse(JSON.parse(fixture("order-updated-minimal.json")));
+  assert.equal(bare.items, null);
+  assert.equal(bare.notes, null);
+});
+
+test("a cancelled order is flagged", async () => {
+  const body = JSON.parse(fixture("order-created.json"));
+  body.data.object.order_created.order.state = "CANCELED";
+  const incoming = await createSquareSource({}).parse(body);
+  assert.equal(incoming.cancelled, true);
+});
+
+test("parseIsoDuration", () => {
+  assert.equal(parseIsoDuration("PT20M"), 20 * 60000);
+  assert.equal(parseIsoDuration("PT1H5M"), 65 * 60000);
+  assert.equal(parseIsoDuration("nonsense"), null);
+});
+
+test("only a pickup the customer scheduled is held back", async () => {
+  const body = JSON.parse(fixture("order-created.json"));
+  const fulfillment = body.data.object.order_created.order.fulfillments[0];
+  // Square sets pickup_at on ASAP orders too
+  fulfillment.pickup_details.pickup_at = "2026-10-19T18:30:00Z";
+  fulfillment.pickup_details.prep_time_duration = "PT20M";
+  const asap = await createSquareSource({}).parse(body);
+  assert.equal(asap.schedule, null);
+
+  fulfillment.pickup_details.schedule_type = "SCHEDULED";
+  const scheduled = await createSquareSource({}).parse(body);
+  assert.deepEqual(scheduled.schedule, {
+    pickupAt: Date.parse("2026-10-19T18:30:00Z"),
+    prepTimeMs: 20 * 60000,
+    fireAt: Date.parse("2026-10-19T18:10:00Z"),
+  });
+});
@@ -0,0 +1,172 @@
+// Kitchen status pushed back to Square: each order's updates go out in the order they
+// happened, and the screen's own auto-complete isn't passed off as a pickup.
+
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createSquareSync } = require("../lib/squareSync");
+const { startKds, sleep } = require("./helpers/kdsServer");
+const { createMockSquare } = require("./helpers/mockSquare");
+
+function loadFixture(name) {
+  return fs.readFileSync(path.join(__dirname, "fixtures", "square", name), "utf8");
+}
+
+const putStates = (square, orderId) =>
+  square.requests
+    .filter((r) => r.method === "PUT" && r.path === `/v2/orders/${orderId}`)
+    .map((r) => r.body.order.fulfillments[0].state);
+
+describe("the sync queue", () => {
+  let square;
+  let sync;
+  let dataDir;
+
+  before(async () => {
+    square = createMockSquare();
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "kds-sync-"));
+    sync = createSquareSync({
+      baseUrl: await square.listen(),
+      accessToken: "test-token",
+      queueFile: path.join(dataDir, "square-sync-queue.json"),
+      baseDelayMs: 20,
+    });
+  });
+
+  after(async () => {
+    await square.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test("a pickup waits behind a ready that's being retried", async () => {
+    square.addOrder(JSON.parse(loadFixture("order-fixture-2.json")));
+    square.failNext("PUT");
+
+    sync.enqueue("SQ-FIXTURE-2", "PREPARED");
+    await sync.processDueJobs();
+    assert.equal(sync.getStatus().pending.length, 1, "PREPARED is waiting on a retry");
+
+    sync.enqueue("SQ-FIXTURE-2", "COMPLETED");
+    await sync.processDueJobs();
+    assert.deepEqual(
+      sync.getStatus().pending.map((j) => j.targetState),
+      ["PREPARED", "COMPLETED"],
+      "COMPLETED doesn't replace or overtake it"
+    );
+
+    await sleep(60);
+    await sync.processDueJobs();
+    await sync.processDueJobs();
+    assert.deepEqual(putStates(square, "SQ-FIXTURE-2"), ["PREPARED", "PREPARED", "COMPLETED"]);
+    assert.equal(square.orders["SQ-FIXTURE-2"].fulfillments[0].state, "COMPLETED");
+    assert.deepEqual(sync.getStatus().pending, []);
+  });
+
+  test("the same target twice in a row is queued once", () => {
+    const first = sync.enqueue("SQ-OTHER", "PREPARED");
+    assert.equal(sync.enqueue("SQ-OTHER", "PREPARED"), first);
+    assert.equal(sync.getStatus().pending.filter((j) => j.orderId === "SQ-OTHER").length, 1);
+  });
+
+  test("only the order's last queued update can be taken back", () => {
+    sync.enqueue("SQ-UNDO", "PREPARED");
+    sync.enqueue("SQ-UNDO", "COMPLETED");
+    assert.equal(sync.drop("SQ-UNDO", "PREPARED"), false);
+    assert.equal(sync.drop("SQ-UNDO", "COMPLETED"), true);
+    assert.equal(sync.drop("SQ-UNDO", "COMPLETED"), false);
+    assert.deepEqual(
+      sync.getStatus().pending.filter((j) => j.orderId === "SQ-UNDO").map((j) => j.targetState),
+      ["PREPARED"]
+    );
+  });
+});
+
+describe("the kitchen screen's auto-complete", () => {
+  let kds;
+  let square;
+  let token;
+  let screen;
+
+  before(async () => {
+    square = createMockSquare();
+    kds = await startKds({
+      SQUARE_WEBHOOK_ALLOW_UNSIGNED: "true",
+      SQUARE_ACCESS_TOKEN: "test-token",
+      SQUARE_API_BASE_URL: await square.listen(),
+    });
+    token = await kds.login();
+    screen = await kds.connectScreen(token);
+  });
+
+  after(async () => {
+    await screen.close();
+    await kds.stop();
+    await square.close();
+  });
+
+  // Square has the order; the webhook tells the KDS about it
+  async function receiveOrder(webhookFixture, order) {
+    square.addOrder(order);
+    const resp = await fetch(`${kds.baseUrl}/webhooks/square`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: loadFixture(webhookFixture),
+    });
+    assert.equal(resp.status, 200);
+    return order.id;
+  }
+
+  // The sync worker polls every second
+  async function waitForPuts(orderId, count) {
+    for (let i = 0; i < 50 && putStates(square, orderId).length < count; i++) await sleep(100);
+    return putStates(square, orderId);
+  }
+
+  test("leaves Square at PREPARED", async () => {
+    const created = JSON.parse(loadFixture("order-created.json"));
+    const orderId = await receiveOrder("order-created.json", created.data.object.order_created.order);
+    assert.equal((await screen.send({ type: "ORDER_READY", orderId })).type, "COMMAND_ACK");
+    assert.deepEqual(await waitForPuts(orderId, 1), ["PREPARED"]);
+
+    const done = await screen.send({ type: "ORDER_COMPLETED", orderId, auto: true });
+    assert.equal(done.status, "picked-up");
+    await sleep(1500);
+    assert.deepEqual(putStates(square, orderId), ["PREPARED"]);
+    assert.equal(square.orders[orderId].fulfillments[0].state, "PREPARED");
+  });
+
+  test("while a pickup bumped by staff is pushed as COMPLETED", async () => {
+    const orderId = await receiveOrder("order-updated-minimal.json", JSON.parse(loadFixture("order-fixture-2.json")));
+    await screen.send({ type: "ORDER_READY", orderId });
+    await screen.send({ type: "ORDER_COMPLETED", orderId });
+    assert.deepEqual(await waitForPuts(orderId, 2), ["PREPARED", "COMPLETED"]);
+  });
+
+  test("an undone cancel that hasn't gone out is never sent", async () => {
+    const order = { ...JSON.parse(loadFixture("order-fixture-2.json")), id: "SQ-UNDONE-CANCEL" };
+    const webhook = JSON.parse(loadFixture("order-updated-minimal.json"));
+    webhook.event_id = "undone-cancel-event";
+    webhook.data.id = order.id;
+    webhook.data.object.order_updated.order_id = order.id;
+    square.addOrder(order);
+    const resp = await fetch(`${kds.baseUrl}/webhooks/square`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(webhook),
+    });
+    assert.equal(resp.status, 200);
+
+    // Should the worker get to the cancel first, it fails and waits to retry
+    square.failNext("GET");
+    assert.equal((await screen.send({ type: "ORDER_CANCELLED", orderId: order.id })).status, "cancelled");
+    assert.equal((await screen.send({ type: "ORDER_UNDO", orderId: order.id })).status, "new");
+
+    const status = await (
+      await fetch(`${kds.baseUrl}/api/square-sync`, { headers: { Authorization: `Bearer ${token}` } })
+    ).json();
+    assert.deepEqual(status.pending.filter((j) => j.orderId === order.id), []);
+    assert.deepEqual(putStates(square, order.id), []);
+  });
+});
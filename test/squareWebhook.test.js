@@ -0,0 +1,123 @@
+// Square webhooks end to end: signed fixtures through /webhooks/square, replay protection,
+// and a failed delivery that Square retries.
+
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { computeSquareSignature } = require("../lib/squareSource");
+const { startKds } = require("./helpers/kdsServer");
+const { createMockSquare } = require("./helpers/mockSquare");
+
+const SIGNATURE_KEY = "test-signature-key";
+const NOTIFICATION_URL = "https://kds.example.com/webhooks/square";
+
+function loadFixture(name) {
+  return fs.readFileSync(path.join(__dirname, "fixtures", "square", name), "utf8");
+}
+
+function postWebhook(kds, rawBody, { signature = computeSquareSignature(NOTIFICATION_URL, rawBody, SIGNATURE_KEY) } = {}) {
+  const headers = { "Content-Type": "application/json" };
+  if (signature) headers["X-Square-HmacSha256-Signature"] = signature;
+  return fetch(`${kds.baseUrl}/webhooks/square`, { method: "POST", headers, body: rawBody });
+}
+
+async function getOrder(kds, token, orderId) {
+  const resp = await fetch(`${kds.baseUrl}/api/orders`, { headers: { Authorization: `Bearer ${token}` } });
+  return (await resp.json()).orders.find((o) => o.orderId === orderId) || null;
+}
+
+describe("Square webhooks with a signature key", () => {
+  let kds;
+  let square;
+  let token;
+
+  before(async () => {
+    square = createMockSquare();
+    kds = await startKds({
+      SQUARE_WEBHOOK_SIGNATURE_KEY: SIGNATURE_KEY,
+      SQUARE_WEBHOOK_NOTIFICATION_URL: NOTIFICATION_URL,
+      SQUARE_ACCESS_TOKEN: "test-token",
+      SQUARE_API_BASE_URL: await square.listen(),
+      SQUARE_FULFILLMENT_SYNC: "false",
+    });
+    token = await kds.login();
+  });
+
+  after(async () => {
+    await kds.stop();
+    await square.close();
+  });
+
+  test("accepts a correctly signed order and shows it to the kitchen", async () => {
+    const resp = await postWebhook(kds, loadFixture("order-created.json"));
+    assert.equal(resp.status, 200);
+    assert.equal(await resp.text(), "ok");
+
+    const order = await getOrder(kds, token, "SQ-FIXTURE-1");
+    assert.equal(order.status, "new");
+    assert.equal(order.locationId, "LTEST01");
+    assert.equal(order.notes, "Extra napkins");
+    assert.deepEqual(
+      order.items.map((item) => [item.name, item.quantity]),
+      [["VertiDog Original", 2], ["Lemonade", 1]]
+    );
+  });
+
+  test("ignores a redelivery of the same event", async () => {
+    const resp = await postWebhook(kds, loadFixture("order-created.json"));
+    assert.equal(resp.status, 200);
+    assert.equal(await resp.text(), "duplicate");
+  });
+
+  test("rejects a wrong or missing signature", async () => {
+    const body = loadFixture("order-created.json").replace("Extra napkins", "Free food");
+    assert.equal((await postWebhook(kds, body, { signature: "bm90IHRoZSBzaWduYXR1cmU=" })).status, 401);
+    assert.equal((await postWebhook(kds, body, { signature: null })).status, 401);
+    // Signed for another URL
+    const elsewhere = computeSquareSignature("https://evil.example.com/hook", body, SIGNATURE_KEY);
+    assert.equal((await postWebhook(kds, body, { signature: elsewhere })).status, 401);
+    assert.equal((await getOrder(kds, token, "SQ-FIXTURE-1")).notes, "Extra napkins");
+  });
+
+  test("a delivery that fails is answered 5xx and processed when Square retries it", async () => {
+    square.addOrder(JSON.parse(loadFixture("order-fixture-2.json")));
+    square.failNext("GET");
+    const body = loadFixture("order-updated-minimal.json");
+
+    const failed = await postWebhook(kds, body);
+    assert.equal(failed.status, 500);
+    assert.equal(await getOrder(kds, token, "SQ-FIXTURE-2"), null);
+
+    const retried = await postWebhook(kds, body);
+    assert.equal(retried.status, 200);
+    assert.equal(await retried.text(), "ok");
+    const order = await getOrder(kds, token, "SQ-FIXTURE-2");
+    assert.deepEqual(order.items.map((item) => item.name), ["Chili Dog"]);
+  });
+
+  test("remembers processed event ids in the data directory", () => {
+    const saved = JSON.parse(fs.readFileSync(path.join(kds.dataDir, "webhook-events.json"), "utf8"));
+    assert.ok(saved["6a8f5f28-54a1-4eb0-a98a-3111513fd4fc"]);
+    assert.ok(saved["0f6b9d0e-8d2f-4c55-9f0a-3a1cdd2a5e77"]);
+  });
+});
+
+describe("Square webhooks without a signature key", () => {
+  test("are refused unless unsigned delivery is switched on", async () => {
+    const body = loadFixture("order-created.json");
+    const strict = await startKds();
+    try {
+      assert.equal((await postWebhook(strict, body, { signature: null })).status, 401);
+    } finally {
+      await strict.stop();
+    }
+
+    const insecure = await startKds({ SQUARE_WEBHOOK_ALLOW_UNSIGNED: "true" });
+    try {
+      assert.equal((await postWebhook(insecure, body, { signature: null })).status, 200);
+    } finally {
+      await insecure.stop();
+    }
+  });
+});
@@ -0,0 +1,117 @@
+// PIN login limits: per client, across all clients, and with spoofed forwarding headers
+
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createStaffAuth, AuthError } = require("../lib/staffAuth");
+const { startKds, MANAGER_PIN } = require("./helpers/kdsServer");
+
+describe("staffAuth", () => {
+  let dataDir;
+  let auth;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "kds-auth-"));
+    auth = createStaffAuth({
+      staffFile: path.join(dataDir, "staff.json"),
+      sessionFile: path.join(dataDir, "sessions.json"),
+      bootstrapManagerPin: "1234",
+      maxFailedLogins: 3,
+      globalSlowdownAfter: 5,
+      globalSlowdownMs: 200,
+    });
+    auth.load();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const code = (promise) => promise.then(() => "OK", (err) => (err instanceof AuthError ? err.code : err));
+
+  test("signs in with the right PIN", async () => {
+    await auth.addStaff({ name: "Robin", role: "cook", pin: "5678" });
+    const session = await auth.login("5678", "10.0.0.1");
+    assert.equal(session.staff.name, "Robin");
+    assert.equal(auth.authenticate(session.token).role, "cook");
+    assert.equal(await code(auth.addStaff({ name: "Kim", role: "cook", pin: "5678" })), "INVALID_STAFF");
+  });
+
+  test("locks one client out after too many wrong PINs", async () => {
+    for (let i = 0; i < 3; i++) assert.equal(await code(auth.login("0000", "10.0.0.1")), "INVALID_PIN");
+    assert.equal(await code(auth.login("1234", "10.0.0.1")), "TOO_MANY_ATTEMPTS");
+    assert.equal(await code(auth.login("1234", "10.0.0.2")), "OK");
+  });
+
+  // Time a login in milliseconds, along with how it went
+  const timed = async (promise) => {
+    const startedAt = Date.now();
+    const result = await code(promise);
+    return { result, ms: Date.now() - startedAt };
+  };
+
+  test("guesses from ever-changing addresses take turns past the overall limit", async () => {
+    for (let i = 0; i < 5; i++) assert.equal(await code(auth.login("0000", `10.0.1.${i}`)), "INVALID_PIN");
+    const results = await Promise.all([
+      timed(auth.login("0000", "10.0.1.10")),
+      timed(auth.login("0000", "10.0.1.11")),
+      timed(auth.login("0000", "10.0.1.12")),
+    ]);
+    assert.deepEqual(results.map((r) => r.result), ["INVALID_PIN", "INVALID_PIN", "INVALID_PIN"]);
+    assert.ok(Math.max(...results.map((r) => r.ms)) >= 3 * 200);
+  });
+
+  test("a right PIN from another address still signs in past the overall limit", async () => {
+    for (let i = 0; i < 5; i++) assert.equal(await code(auth.login("0000", `10.0.1.${i}`)), "INVALID_PIN");
+    const { result, ms } = await timed(auth.login("1234", "10.0.2.1"));
+    assert.equal(result, "OK");
+    assert.ok(ms >= 200);
+  });
+
+  test("guesses sent side by side count before their hashes are checked", async () => {
+    const results = await Promise.all(Array.from({ length: 8 }, () => code(auth.login("0000", "10.0.0.1"))));
+    assert.equal(results.filter((r) => r === "INVALID_PIN").length, 3);
+    assert.equal(results.filter((r) => r === "TOO_MANY_ATTEMPTS").length, 5);
+  });
+
+  test("a successful login doesn't count against the overall limit", async () => {
+    for (let i = 0; i < 10; i++) assert.equal(await code(auth.login("1234", `10.0.3.${i}`)), "OK");
+    for (let i = 0; i < 4; i++) await auth.login("0000", `10.0.4.${i}`).catch(() => {});
+    const { result, ms } = await timed(auth.login("1234", "10.0.5.1"));
+    assert.equal(result, "OK");
+    assert.ok(ms < 200);
+  });
+});
+
+describe("the login route", () => {
+  const attempt = (kds, pin, forwardedFor) =>
+    fetch(`${kds.baseUrl}/api/auth/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Forwarded-For": forwardedFor },
+      body: JSON.stringify({ pin }),
+    }).then((resp) => resp.status);
+
+  test("only believes the proxy's own X-Forwarded-For entry", async () => {
+    const kds = await startKds({ KDS_TRUST_PROXY_HOPS: "1" });
+    try {
+      // The client makes up the first entry; the proxy appends the address it saw
+      for (let i = 0; i < 5; i++) assert.equal(await attempt(kds, "0000", `203.0.113.${i}, 198.51.100.7`), 401);
+      assert.equal(await attempt(kds, MANAGER_PIN, "203.0.113.99, 198.51.100.7"), 429);
+      assert.equal(await attempt(kds, MANAGER_PIN, "198.51.100.8"), 200);
+    } finally {
+      await kds.stop();
+    }
+  });
+
+  test("ignores X-Forwarded-For unless a proxy is configured", async () => {
+    const kds = await startKds();
+    try {
+      for (let i = 0; i < 5; i++) assert.equal(await attempt(kds, "0000", `203.0.113.${i}`), 401);
+      assert.equal(await attempt(kds, MANAGER_PIN, "203.0.113.99"), 429);
+    } finally {
+      await kds.stop();
+    }
+  });
+});
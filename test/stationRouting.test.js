@@ -0,0 +1,60 @@
+// Station routing rules match whole words, and station-routes.json is read from the data
+// directory
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startKds } = require("./helpers/kdsServer");
+
+let kds;
+let token;
+
+async function routeItems(names) {
+  const resp = await fetch(`${kds.baseUrl}/api/orders`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+    body: JSON.stringify({ items: names.map((name) => ({ name })) }),
+  });
+  assert.equal(resp.status, 201);
+  const { order } = await resp.json();
+  return Object.fromEntries(order.items.map((item) => [item.name, item.station]));
+}
+
+before(async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "kds-test-"));
+  fs.writeFileSync(
+    path.join(dataDir, "station-routes.json"),
+    JSON.stringify({
+      defaultStation: "grill",
+      rules: [
+        { station: "drinks", names: ["tea", "coke"] },
+        { station: "fryer", names: ["fries", "onion rings"] },
+      ],
+    })
+  );
+  kds = await startKds({}, { dataDir });
+  token = await kds.login();
+});
+
+after(() => kds.stop());
+
+test("names match on whole words, plurals included", async () => {
+  assert.deepEqual(await routeItems(["Iced Tea", "Coke", "Teas", "Onion Rings", "Chili Cheese Fries"]), {
+    "Iced Tea": "drinks",
+    Coke: "drinks",
+    Teas: "drinks",
+    "Onion Rings": "fryer",
+    "Chili Cheese Fries": "fryer",
+  });
+});
+
+test("a word that merely contains a rule's name doesn't match it", async () => {
+  assert.deepEqual(await routeItems(["Philly Cheesesteak", "Steamed Dog", "Cokeburger", "Friesian Dog"]), {
+    "Philly Cheesesteak": "grill",
+    "Steamed Dog": "grill",
+    Cokeburger: "grill",
+    "Friesian Dog": "grill",
+  });
+});
@@ -0,0 +1,201 @@
+// Incremental sync for screens that drop off the network: reconnecting with ?since= gets
+// only what was missed, commands queued while offline replay safely, and a socket that
+// stops answering pings is closed.
+
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startKds, sleep } = require("./helpers/kdsServer");
+
+describe("reconnecting with the last revision seen", () => {
+  let kds;
+  let token;
+  let other;
+
+  async function createOrder(name) {
+    const resp = await fetch(`${kds.baseUrl}/api/orders`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+      body: JSON.stringify({ items: [{ name }] }),
+    });
+    assert.equal(resp.status, 201);
+    return (await resp.json()).order.orderId;
+  }
+
+  before(async () => {
+    kds = await startKds();
+    token = await kds.login();
+    // Stays connected the whole time, making changes while the tablet is away
+    other = await kds.connectScreen(token);
+  });
+
+  after(async () => {
+    await other.close();
+    await kds.stop();
+  });
+
+  test("gets only the orders that changed while it was away", async () => {
+    const untouched = await createOrder("Chili Dog");
+    const started = await createOrder("VertiDog Original");
+
+    const tablet = await kds.connectScreen(token);
+    assert.equal(tablet.sync.type, "SYNC_STATE");
+    const seen = tablet.sync.revision;
+    await tablet.close();
+
+    const created = await createOrder("Lemonade");
+    assert.equal((await other.send({ type: "ORDER_STARTED", orderId: started })).type, "COMMAND_ACK");
+
+    const back = await kds.connectScreen(token, { since: seen });
+    try {
+      assert.equal(back.sync.type, "SYNC_DELTA");
+      assert.equal(back.sync.fromRevision, seen);
+      assert.ok(back.sync.revision > seen);
+      const ids = back.sync.orders.map((o) => o.orderId).sort();
+      assert.deepEqual(ids, [created, started].sort());
+      assert.ok(!ids.includes(untouched));
+      assert.equal(back.sync.orders.find((o) => o.orderId === started).status, "in-progress");
+      assert.deepEqual(back.sync.removed, []);
+    } finally {
+      await back.close();
+    }
+  });
+
+  test("an up-to-date screen gets an empty delta", async () => {
+    const first = await kds.connectScreen(token);
+    const { revision } = first.sync;
+    await first.close();
+
+    const again = await kds.connectScreen(token, { since: revision });
+    try {
+      assert.equal(again.sync.type, "SYNC_DELTA");
+      assert.deepEqual(again.sync.orders, []);
+      assert.equal(again.sync.revision, revision);
+    } finally {
+      await again.close();
+    }
+  });
+
+  test("a revision the server never reached gets the full snapshot", async () => {
+    const screen = await kds.connectScreen(token, { since: 999999 });
+    try {
+      assert.equal(screen.sync.type, "SYNC_STATE");
+      assert.ok(screen.sync.orders.length >= 3);
+    } finally {
+      await screen.close();
+    }
+  });
+
+  test("SYNC_REQUEST on an open socket answers the same way", async () => {
+    const { revision } = other.sync;
+    other.ws.send(JSON.stringify({ type: "SYNC_REQUEST", sinceRevision: revision }));
+    const reply = await other.waitFor((m) => m.type === "SYNC_DELTA" && m.fromRevision === revision);
+    assert.ok(reply.orders.length >= 3);
+  });
+
+  test("every broadcast carries the revision it brings the screen up to", async () => {
+    const before = other.messages.length;
+    const orderId = await createOrder("Chili Dog");
+    const update = await other.waitFor(
+      (m) => other.messages.indexOf(m) >= before && m.orderId === orderId && Number.isInteger(m.revision)
+    );
+    const delta = await kds.connectScreen(token, { since: update.revision - 1 });
+    try {
+      assert.deepEqual(delta.sync.orders.map((o) => o.orderId), [orderId]);
+    } finally {
+      await delta.close();
+    }
+  });
+});
+
+describe("commands queued while offline", () => {
+  let kds;
+  let token;
+  let other;
+
+  before(async () => {
+    kds = await startKds();
+    token = await kds.login();
+    other = await kds.connectScreen(token);
+  });
+
+  after(async () => {
+    await other.close();
+    await kds.stop();
+  });
+
+  async function createOrder() {
+    const resp = await fetch(`${kds.baseUrl}/api/orders`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+      body: JSON.stringify({ items: [{ name: "VertiDog Original" }] }),
+    });
+    return (await resp.json()).order.orderId;
+  }
+
+  test("a command whose ack was lost with the connection doesn't run twice", async () => {
+    const orderId = await createOrder();
+    const tablet = await kds.connectScreen(token);
+    const first = await tablet.send({ type: "ORDER_STARTED", orderId, commandId: "lost-ack-1" });
+    assert.equal(first.type, "COMMAND_ACK");
+    await tablet.close();
+
+    const back = await kds.connectScreen(token);
+    try {
+      const again = await back.send({ type: "ORDER_STARTED", orderId, commandId: "lost-ack-1" });
+      assert.equal(again.type, "COMMAND_ACK");
+      assert.equal(again.resolution, "duplicate");
+    } finally {
+      await back.close();
+    }
+  });
+
+  test("a tap someone else already made is acked as already applied", async () => {
+    const orderId = await createOrder();
+    const queuedAt = Date.now();
+    await other.send({ type: "ORDER_READY", orderId });
+
+    const back = await kds.connectScreen(token);
+    try {
+      const reply = await back.send({ type: "ORDER_READY", orderId, queuedAt, sentAt: Date.now() });
+      assert.equal(reply.type, "COMMAND_ACK");
+      assert.equal(reply.resolution, "already-applied");
+    } finally {
+      await back.close();
+    }
+  });
+
+  test("a tap on a ticket moved elsewhere since is dropped as a conflict", async () => {
+    const orderId = await createOrder();
+    const queuedAt = Date.now();
+    await sleep(5);
+    await other.send({ type: "ORDER_CANCELLED", orderId });
+
+    const back = await kds.connectScreen(token);
+    try {
+      const reply = await back.send({ type: "ORDER_STARTED", orderId, queuedAt, sentAt: Date.now() });
+      assert.equal(reply.type, "COMMAND_ERROR");
+      assert.equal(reply.code, "CONFLICT");
+      assert.equal(reply.order.status, "cancelled");
+    } finally {
+      await back.close();
+    }
+  });
+});
+
+describe("heartbeat", () => {
+  test("closes a socket that stops answering pings", async () => {
+    const kds = await startKds({ KDS_HEARTBEAT_SECONDS: "0.3" });
+    try {
+      const token = await kds.login();
+      const alive = await kds.connectScreen(token);
+      const dead = await kds.connectScreen(token, {}, { autoPong: false });
+      const closed = new Promise((resolve) => dead.ws.once("close", resolve));
+      await Promise.race([closed, sleep(3000)]);
+      assert.equal(dead.ws.readyState, dead.ws.CLOSED);
+      assert.equal(alive.ws.readyState, alive.ws.OPEN);
+      await alive.close();
+    } finally {
+      await kds.stop();
+    }
+  });
+});